@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+/**
+ * operateid - Command line access to the OperateID assembly (Node.js 18+, no dependencies)
+ *
+ * Resolves identities the same way index.html does, without a browser:
+ *
+ *   node src/cli/operateid.js urls sunstream --network kermit
+ *   node src/cli/operateid.js data sunstream.acme --json
+ *   node src/cli/operateid.js validate "my identity"
+ *   node src/cli/operateid.js batch identities.txt
+ *
+ * Commands:
+ * - urls <identity>:     Qoboto, BankOnLedger and explorer URLs (no network access)
+ * - data <identity>:     Logo, description and background image from the Qoboto API
+ * - validate <name>:     Check an identity name and show why it is invalid
+ * - batch <file>:        Load main data for every identity in a file (one per line,
+ *                        blank lines and lines starting with "#" are skipped, "-" reads stdin)
+ *
+ * Options:
+ *   --network <name>     Network to use (default "mainnet")
+ *   --api <url>          Qoboto API base URL (default: the network's API)
+ *   --mock               Serve built-in mock data instead of calling the API
+ *   --format <format>    Description format: raw, plain (default), escaped or rich
+ *   --timeout <ms>       Timeout per request attempt
+ *   --retries <n>        Extra attempts after a failed request
+ *   --concurrency <n>    Identities resolved at once by "batch" (default 4)
+ *   --json               Print JSON instead of text
+ *   --verbose            Log API activity to stderr
+ *
+ * Exit codes:
+ *   0  Success
+ *   1  Invalid identity (for "batch": at least one line was invalid)
+ *   2  Usage error (unknown command or option, unreadable file, unknown network)
+ *   3  API failure (for "batch": at least one identity failed and none were invalid)
+ *
+ * Against the mock API server:
+ *
+ *   node src/mock/mockQobotoServer.js --port 7033 &
+ *   node src/cli/operateid.js data sunstream --api http://127.0.0.1:7033
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { OperateIdClient, OperateIdError, SafeHtml, AdiParse, AccUrlParser } = require(path.join(__dirname, "..", "js", "operateIdAssembly.js"));
+
+const EXIT_CODES = Object.freeze({
+    OK: 0,
+    INVALID_IDENTITY: 1,
+    USAGE: 2,
+    API_FAILURE: 3
+});
+
+const COMMANDS = ["urls", "data", "validate", "batch"];
+
+const USAGE = `Usage: operateid <command> [options]
+
+Commands:
+  urls <identity>      Print the Qoboto, BankOnLedger and explorer URLs
+  data <identity>      Load logo, description and background image from the Qoboto API
+  validate <name>      Check an identity name
+  batch <file>         Load main data for every identity in a file ("-" for stdin)
+
+Options:
+  --network <name>     ${AdiParse.getNetworks().map(network => network.id).join(", ")} (default mainnet)
+  --api <url>          Qoboto API base URL (default: the network's API)
+  --mock               Serve built-in mock data instead of calling the API
+  --format <format>    Description format: ${SafeHtml.FORMATS.join(", ")} (default plain)
+  --timeout <ms>       Timeout per request attempt
+  --retries <n>        Extra attempts after a failed request
+  --concurrency <n>    Identities resolved at once by "batch" (default 4)
+  --json               Print JSON instead of text
+  --verbose            Log API activity to stderr
+  --help               Show this help
+
+Exit codes: 0 ok, 1 invalid identity, 2 usage error, 3 API failure`;
+
+/**
+ * Thrown for bad command lines; main() prints the message and exits with 2
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+// =============================================================================
+// ARGUMENTS
+// =============================================================================
+
+function parseArguments(argv) {
+    const options = { positional: [], format: "plain" };
+    const number = (flag, value) => {
+        const parsed = Number(value);
+        if (value === undefined || !Number.isInteger(parsed) || parsed < 0) {
+            throw new UsageError(`${flag} expects a whole number`);
+        }
+        return parsed;
+    };
+    const text = (flag, value) => {
+        if (value === undefined || value.startsWith("--")) {
+            throw new UsageError(`${flag} expects a value`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case "--network": options.network = text("--network", value); i++; break;
+            case "--api": options.apiBaseUrl = text("--api", value); i++; break;
+            case "--format": options.format = text("--format", value); i++; break;
+            case "--timeout": options.timeoutMs = number("--timeout", value); i++; break;
+            case "--retries": options.retries = number("--retries", value); i++; break;
+            case "--concurrency": options.concurrency = number("--concurrency", value); i++; break;
+            case "--mock": options.mock = true; break;
+            case "--json": options.json = true; break;
+            case "--verbose": options.verbose = true; break;
+            case "--help": case "-h": options.help = true; break;
+            default:
+                if (argv[i].startsWith("--")) {
+                    throw new UsageError(`Unknown option: ${argv[i]}`);
+                }
+                options.positional.push(argv[i]);
+        }
+    }
+
+    if (!SafeHtml.FORMATS.includes(options.format)) {
+        throw new UsageError(`--format must be one of ${SafeHtml.FORMATS.join(", ")}`);
+    }
+    return options;
+}
+
+function createClient(options) {
+    const request = {};
+    if (options.timeoutMs !== undefined) request.timeoutMs = options.timeoutMs;
+    if (options.retries !== undefined) request.retries = options.retries;
+
+    try {
+        return new OperateIdClient({
+            network: options.network,
+            apiBaseUrl: options.apiBaseUrl,
+            developmentMode: Boolean(options.mock),
+            logLevel: options.verbose ? "debug" : "silent",
+            logger: { log: console.error, warn: console.error, error: console.error },
+            request: request,
+            errorMode: "result"
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+function readIdentityList(file) {
+    let content;
+    try {
+        content = fs.readFileSync(file === "-" ? 0 : file, "utf8");
+    } catch (error) {
+        throw new UsageError(`Cannot read ${file}: ${error.message}`);
+    }
+    return content.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith("#"));
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+function print(options, value, lines) {
+    console.log(options.json ? JSON.stringify(value, null, 2) : lines.join("\n"));
+}
+
+function field(label, value) {
+    return `${(label + ":").padEnd(16)}${value === null || value === undefined ? "-" : value}`;
+}
+
+function errorJson(error) {
+    return error ? { code: error.code, message: error.message, details: error.details || {} } : null;
+}
+
+function dataJson(data) {
+    if (!data) return null;
+    return {
+        logoUrl: data.logoUrl,
+        sectionMain1Description: data.sectionMain1Description,
+        sectionMain1Background2ImageUrl: data.sectionMain1Background2ImageUrl,
+        sources: data.sources
+    };
+}
+
+function exitCodeFor(error) {
+    if (!error) return EXIT_CODES.OK;
+    return error.code === OperateIdError.CODES.INVALID_IDENTITY ? EXIT_CODES.INVALID_IDENTITY : EXIT_CODES.API_FAILURE;
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+function requireIdentity(options, command) {
+    if (options.positional.length !== 1) {
+        throw new UsageError(`"${command}" expects exactly one identity`);
+    }
+    return options.positional[0];
+}
+
+function runUrls(options) {
+    const identity = requireIdentity(options, "urls");
+    const client = createClient(options);
+    const apps = client.getAppUrls(identity);
+    const explorer = client.getExplorerUrl(identity);
+    const error = apps.error || explorer.error;
+    if (error) {
+        const reasons = (error.details && error.details.errors) || [];
+        print(options, {
+            identity: identity,
+            network: client.getNetwork(),
+            ok: false,
+            error: errorJson(error)
+        }, [
+            field("Identity", identity),
+            field("Network", client.getNetwork()),
+            field("Error", `${error.code}: ${error.message}`),
+            ...reasons.map(reason => `  ${reason.code}: ${reason.message}`)
+        ]);
+        return exitCodeFor(error);
+    }
+
+    const identityUrl = AccUrlParser.canonicalize(identity);
+    print(options, {
+        identity: identity,
+        identityUrl: identityUrl,
+        network: client.getNetwork(),
+        apps: apps.data,
+        explorerUrl: explorer.data
+    }, [
+        field("Identity", identityUrl),
+        field("Network", client.getNetwork()),
+        ...apps.data.map(app => field(app.displayName, app.url)),
+        field("Explorer", explorer.data)
+    ]);
+    return EXIT_CODES.OK;
+}
+
+async function runData(options) {
+    const identity = requireIdentity(options, "data");
+    const client = createClient(options);
+    const result = await client.getAllMainData(identity, { format: options.format });
+    const data = result.data;
+
+    const lines = result.ok ? [
+        field("Identity", identity),
+        field("Network", client.getNetwork()),
+        field("Logo", `${data.logoUrl} (${data.sources.logoUrl})`),
+        field("Description", `${data.sectionMain1Description} (${data.sources.sectionMain1Description})`),
+        field("Background", `${data.sectionMain1Background2ImageUrl} (${data.sources.sectionMain1Background2ImageUrl})`)
+    ] : [
+        field("Identity", identity),
+        field("Network", client.getNetwork()),
+        field("Error", `${result.error.code}: ${result.error.message}`)
+    ];
+    print(options, {
+        identity: identity,
+        network: client.getNetwork(),
+        ok: result.ok,
+        data: dataJson(data),
+        error: errorJson(result.error)
+    }, lines);
+    return exitCodeFor(result.error);
+}
+
+function runValidate(options) {
+    const identity = requireIdentity(options, "validate");
+    const validation = AdiParse.validateIdentity(identity);
+    if (!validation.valid) {
+        return reportInvalid(options, identity, validation);
+    }
+    print(options, validation, [`valid: ${validation.identityUrl}`]);
+    return EXIT_CODES.OK;
+}
+
+function reportInvalid(options, identity, validation) {
+    print(options, validation, [
+        `invalid: ${identity}`,
+        ...validation.errors.map(error => `  ${error.code}: ${error.message}`)
+    ]);
+    return EXIT_CODES.INVALID_IDENTITY;
+}
+
+async function runBatch(options) {
+    if (options.positional.length !== 1) {
+        throw new UsageError(`"batch" expects one file ("-" for stdin)`);
+    }
+    const identities = readIdentityList(options.positional[0]);
+    const client = createClient(options);
+    const results = await client.getAllMainDataBatch(identities, {
+        concurrency: options.concurrency,
+        format: options.format
+    });
+
+    const invalid = results.filter(result => exitCodeFor(result.error) === EXIT_CODES.INVALID_IDENTITY).length;
+    const failed = results.filter(result => exitCodeFor(result.error) === EXIT_CODES.API_FAILURE).length;
+    const width = Math.max(8, ...identities.map(identity => identity.length));
+
+    print(options, {
+        network: client.getNetwork(),
+        total: results.length,
+        ok: results.length - invalid - failed,
+        invalid: invalid,
+        failed: failed,
+        results: results.map(result => ({
+            identity: result.identityUrl,
+            ok: result.ok,
+            data: dataJson(result.data),
+            error: errorJson(result.error)
+        }))
+    }, [
+        ...results.map(result => result.ok
+            ? `ok       ${result.identityUrl.padEnd(width)}  ${result.data.logoUrl}`
+            : `${exitCodeFor(result.error) === EXIT_CODES.INVALID_IDENTITY ? "invalid" : "failed "}  `
+                + `${result.identityUrl.padEnd(width)}  ${result.error.code}: ${result.error.message}`),
+        `${results.length} identities: ${results.length - invalid - failed} ok, ${invalid} invalid, ${failed} failed`
+    ]);
+
+    if (invalid > 0) return EXIT_CODES.INVALID_IDENTITY;
+    if (failed > 0) return EXIT_CODES.API_FAILURE;
+    return EXIT_CODES.OK;
+}
+
+async function main(argv) {
+    const options = parseArguments(argv);
+    const command = options.positional.shift();
+    if (options.help || !command) {
+        console.log(USAGE);
+        return options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    switch (command) {
+        case "urls": return runUrls(options);
+        case "data": return runData(options);
+        case "validate": return runValidate(options);
+        case "batch": return runBatch(options);
+        default:
+            throw new UsageError(`Unknown command: ${command} (expected ${COMMANDS.join(", ")})`);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        console.error(`operateid: ${error.message}`);
+        process.exitCode = error instanceof UsageError ? EXIT_CODES.USAGE : EXIT_CODES.API_FAILURE;
+    });
+}
+
+module.exports = { main, EXIT_CODES };
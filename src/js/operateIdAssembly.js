@@ -16,962 +16,6803 @@
  * - AdiParse.getSectionMain1Description(identityUrl)
  * - AdiParse.getSectionMain1Background2ImageUrl(identityUrl)
  * - AdiParse.getAllMainData(identityUrl)
+ * - AdiParse.renderText(element, text, "plain" or "rich") - never innerHTML for API text
+ * - AdiParse.getQrCode(identityUrl, { target, format }) - QR code for an identity link, made offline
+ * - <operate-id-card identity="sunstream.acme"></operate-id-card> - ready-made identity card
+ *
+ * Multiple configurations on one page:
+ * - const client = new OperateIdClient({ network: "kermit", apiBaseUrl: "..." })
+ * - client.getQobotoUrl(identityUrl), client.getAllMainData(identityUrl), ...
  *
  * @version 1.0.0
  * @created 2024
  */
 
 // =============================================================================
-// NETWORK NAME SERVICE
+// ERRORS
 // =============================================================================
 
-class NetworkNameServiceClass {
-    constructor() {
-        this._currentNetwork = "mainnet"; // Default to mainnet
+/**
+ * Error with a machine-readable code. OperateIdClient and AdiParse throw it in
+ * "throw" error mode and return it as { ok: false, error } in "result" mode.
+ */
+class OperateIdError extends Error {
+    /**
+     * @param {string} code - One of OperateIdError.CODES
+     * @param {string} message - Human readable description
+     * @param {object} details - Extra facts (e.g., identityUrl, status, errors)
+     * @param {*} cause - The underlying error, if any
+     */
+    constructor(code, message, details = {}, cause = undefined) {
+        super(message);
+        this.name = "OperateIdError";
+        this.code = code;
+        this.details = details;
+        if (cause !== undefined) {
+            this.cause = cause;
+        }
     }
 
-    currentNetworkName() {
-        return this._currentNetwork;
+    static get CODES() {
+        return {
+            INVALID_IDENTITY: "INVALID_IDENTITY", // The identity URL or name can't be parsed or isn't allowed
+            NETWORK: "NETWORK", // Request failed or timed out (CORS errors show up here too)
+            HTTP_STATUS: "HTTP_STATUS", // The API answered with an error status
+            PARSE: "PARSE", // The response isn't valid JSON
+            SCHEMA: "SCHEMA", // The response was rejected by QobotoResponseSchema or has no "main" section
+            NOT_FOUND: "NOT_FOUND" // The identity has no data
+        };
     }
 
-    switchNetworkName(networkName) {
-        this._currentNetwork = networkName;
+    /**
+     * Wrap any error thrown while loading data
+     * @param {*} error - The caught error
+     * @param {object} details - Details to add when wrapping
+     * @returns {OperateIdError} The error itself if it already is one
+     */
+    static from(error, details = {}) {
+        if (error instanceof OperateIdError) {
+            return error;
+        }
+        const codes = OperateIdError.CODES;
+        const message = (error && error.message) || String(error);
+        if (error && error.name === "TimeoutError") {
+            return new OperateIdError(codes.NETWORK, message, { ...details, timeout: true }, error);
+        }
+        if (error && typeof error.status === 'number') {
+            return new OperateIdError(codes.HTTP_STATUS, message, { ...details, status: error.status }, error);
+        }
+        return new OperateIdError(codes.NETWORK, message, details, error);
     }
 
-    currentNetwork_IsMainnet() {
-        return (this.currentNetworkName() == "mainnet");
+    toJSON() {
+        return { name: this.name, code: this.code, message: this.message, details: this.details };
     }
 }
 
-const networkNameService = new NetworkNameServiceClass();
-
 // =============================================================================
-// IDENTITY FORMATTER
+// LOGGER
 // =============================================================================
 
-class IdentityFormatterClass {
-    formatIdentity(identityUrl) {
-        if (!identityUrl) return identityUrl;
-        identityUrl = identityUrl.toLowerCase();
-        if (!identityUrl.includes("acc://")) identityUrl = "acc://" + identityUrl;
-        if (!identityUrl.includes(".acme")) identityUrl = identityUrl + ".acme";
-        return identityUrl;
+/**
+ * Marks a value as a response body so it is redacted unless redaction is off
+ */
+class LoggedBody {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        const text = typeof this.value === 'string' ? this.value : JSON.stringify(this.value);
+        return `[response body redacted: ${text ? text.length : 0} chars]`;
     }
 }
 
-const identityFormatter = new IdentityFormatterClass();
+/**
+ * Leveled logger with named scopes and redaction
+ *
+ * Messages go to a sink (console by default, or any object with log, warn and
+ * error methods): error and warn to the matching method, info to info (or log),
+ * debug and trace to log. Each class logs through its own scope, e.g.
+ * logger.scope("QobotoApiService"), and every message is prefixed with it.
+ *
+ * Levels, from quiet to verbose: silent, error, warn, info, debug, trace.
+ * The default is "error" so production sites stay quiet.
+ */
+class OperateIdLogger {
+    /**
+     * @param {object} options - Logger settings (all optional)
+     * @param {string} options.level - Minimum level logged (default "error")
+     * @param {object} options.sink - Where messages go (default console)
+     * @param {boolean} options.redact - Hide response bodies and tokens (default true)
+     */
+    constructor(options = {}) {
+        this._config = {
+            level: "error",
+            scopeLevels: new Map(),
+            sink: options.sink || console,
+            redact: options.redact !== false
+        };
+        this._scopeName = null;
+        this._scopes = new Map();
+        if (options.level) this.setLevel(options.level);
+    }
 
-// =============================================================================
-// ADI STRING HELPER
-// =============================================================================
+    static get LEVELS() {
+        return { silent: 0, error: 1, warn: 2, info: 3, debug: 4, trace: 5 };
+    }
 
-class AdiStringHelper {
-    static parseAdi2(adiUrl) {
-        if (!adiUrl || adiUrl.trim() === "") return null;
+    /**
+     * Wrap a response body so it only shows up when redaction is off
+     * @param {*} value - The body (string or parsed JSON)
+     * @returns {LoggedBody} The marked value
+     */
+    static body(value) {
+        return new LoggedBody(value);
+    }
+
+    /**
+     * Get the logger for a named scope (scopes share level, sink and redaction with their parent)
+     * @param {string} name - Scope name, normally the class name
+     * @returns {OperateIdLogger} The scoped logger
+     */
+    scope(name) {
+        if (!this._scopes.has(name)) {
+            const scoped = Object.create(OperateIdLogger.prototype);
+            scoped._config = this._config;
+            scoped._scopeName = this._scopeName ? `${this._scopeName}:${name}` : name;
+            scoped._scopes = new Map();
+            this._scopes.set(name, scoped);
+        }
+        return this._scopes.get(name);
+    }
 
-        adiUrl = AdiStringHelper.fixAdiUrl(adiUrl);
+    /**
+     * Set the minimum level logged, for everything or for one scope
+     * @param {string} level - "silent", "error", "warn", "info", "debug" or "trace"
+     *   (null with a scope to make that scope follow the global level again)
+     * @param {string} scopeName - Optional scope (e.g., "QobotoApiService"); omit for all scopes
+     */
+    setLevel(level, scopeName = null) {
+        if (level === null && scopeName) {
+            this._config.scopeLevels.delete(scopeName);
+            return;
+        }
+        if (!(level in OperateIdLogger.LEVELS)) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        if (scopeName) {
+            this._config.scopeLevels.set(scopeName, level);
+        } else {
+            this._config.level = level;
+            this._config.scopeLevels.clear();
+        }
+    }
 
-        if (!adiUrl.startsWith("acc://")) adiUrl = "acc://" + adiUrl;
+    /**
+     * Get the minimum level logged
+     * @param {string} scopeName - Optional scope; defaults to this logger's scope
+     * @returns {string} The level name
+     */
+    getLevel(scopeName = this._scopeName) {
+        return (scopeName && this._config.scopeLevels.get(scopeName)) || this._config.level;
+    }
 
-        var adi = {}
-        adi.url = adiUrl;
-        adi.path = adi.url.substring(6);
-        var arr1 = adi.path.split(".");
-        adi.name = arr1[0];
-        var arr_remaining = arr1[1] || "";
-        adi.rootUrl = "acc://" + adi.name + ".acme";
-        adi.subPath = arr_remaining.length > 5 ? arr_remaining.substring(5) : "";
-        return adi;
+    /**
+     * Send messages somewhere other than the console
+     * @param {object} sink - Object with log, warn and error methods (null for console)
+     */
+    setSink(sink) {
+        this._config.sink = sink || console;
     }
 
-    static fixAdiUrl(url) {
-        if (!url) return url;
-        url = url.toLowerCase();
-        // Remove any trailing slashes
-        url = url.replace(/\/+$/, '');
-        return url;
+    getSink() {
+        return this._config.sink;
     }
 
-    static getLastSegment(adiUrl) {
-        if (!adiUrl) return "";
-        const segments = adiUrl.split("/");
-        return segments[segments.length - 1];
+    /**
+     * Turn redaction of response bodies and tokens on or off
+     * @param {boolean} enabled - Whether to redact (default on)
+     */
+    setRedaction(enabled) {
+        this._config.redact = enabled;
     }
-}
 
-// =============================================================================
-// ADI URL CLASS
-// =============================================================================
+    isEnabled(level) {
+        return OperateIdLogger.LEVELS[level] <= OperateIdLogger.LEVELS[this.getLevel()];
+    }
 
-class AdiUrlClass {
-    static createByUrl(url) {
-        var adi = new AdiUrlClass()
-        adi.init_ByAdiUrl(url);
-        return adi;
+    error(...args) {
+        this._write("error", args);
     }
 
-    static createByIdentityName(name) {
-        var adi = new AdiUrlClass()
-        adi.init_ByAdiUrl("acc://" + name + ".acme");
-        return adi;
+    warn(...args) {
+        this._write("warn", args);
     }
 
-    constructor() {
-        this.pathEnd = "";
-        this._calc_Server();
+    info(...args) {
+        this._write("info", args);
     }
 
-    _calc_Server() {
-        this.networkName = networkNameService.currentNetworkName();
-        this.serverName = (this.networkName == "mainnet" ? "" : this.networkName);
+    // Same as info - for code written against console-like loggers
+    log(...args) {
+        this._write("info", args);
     }
 
-    init_ByAdiUrl(url) {
-        this.url = url;
-        this.adiParsed = AdiStringHelper.parseAdi2(this.url);
-        if (this.adiParsed) {
-            this.name = this.adiParsed.name;
-            this.path = this.adiParsed.path;
-            this.pathEnd = this.adiParsed.subPath;
-        }
+    debug(...args) {
+        this._write("debug", args);
     }
 
-    calculate_app_Url(appSite) {
-        this._calc_Server();
-        return "https://" + this.name + "." + appSite + "/" + this.pathEnd + "?current-network=" + this.networkName;
+    trace(...args) {
+        this._write("trace", args);
     }
 
-    qoboto_Url() {
-        return this.calculate_app_Url("Qoboto.com");
+    _write(level, args) {
+        if (level === "silent" || !this.isEnabled(level)) {
+            return;
+        }
+        const sink = this._config.sink;
+        const method = level === "error" || level === "warn" ? level
+            : (level === "info" && typeof sink.info === 'function' ? "info" : "log");
+        const output = args.map(arg => this._redact(arg));
+        if (this._scopeName) {
+            output.unshift(`[${this._scopeName}]`);
+        }
+        sink[method](...output);
     }
 
-    bankOnLedger_Url() {
-        return this.calculate_app_Url("BankOnLedger.com");
+    _redact(arg) {
+        if (arg instanceof LoggedBody) {
+            return this._config.redact ? arg.toString() : arg.value;
+        }
+        if (typeof arg === 'string' && this._config.redact) {
+            return arg
+                .replace(/(Bearer\s+)[\w\-.~+/]+=*/gi, '$1[redacted]')
+                .replace(/((?:access_?token|api_?key|auth_?token|token|secret|password)["']?\s*[=:]\s*["']?)[^\s&"',;]+/gi, '$1[redacted]');
+        }
+        return arg;
     }
 }
 
+// Shared by the module-level services behind AdiParse
+const operateIdLogger = new OperateIdLogger();
+
 // =============================================================================
-// OPID INFO CLASS
+// NETWORK REGISTRY
 // =============================================================================
 
-class OpIdInfoClass {
-    init() {
-        this.adiInfo = AdiUrlClass.createByUrl(this.identityUrl);
+/**
+ * NetworkRegistryClass - The Accumulate networks OperateID can work with
+ *
+ * Each network declares where its data and links live:
+ *
+ *   networkRegistry.register({
+ *       id: "kermit",
+ *       displayName: "Kermit Testnet",
+ *       qobotoApiBaseUrl: "https://kermit-api.qoboto.com",  // Qoboto API for this network
+ *       appHostPattern: "{network}-{host}",                 // wraps each app host; {host}, {network}
+ *       explorerUrl: "https://kermit.explorer.accumulatenetwork.io"
+ *   });
+ *
+ * appHostPattern "{host}" keeps the app's own host (sunstream.Qoboto.com);
+ * the testnets have their own app deployments, "{network}-{host}"
+ * (kermit-sunstream.Qoboto.com).
+ */
+class NetworkRegistryClass {
+    constructor() {
+        this._networks = new Map();
     }
 
-    constructor() {
-        this.identityTrain = "";
-        this.identityName = "";
-        this.identityUrl = "";
+    /**
+     * Register (or replace) a network
+     * @param {object} network - Network definition (see class comment)
+     * @returns {object} The stored network definition
+     */
+    register(network) {
+        if (!network || !network.id) {
+            throw new Error("Network must have an id");
+        }
+        if (!network.qobotoApiBaseUrl) {
+            throw new Error(`Network "${network.id}" needs a qobotoApiBaseUrl`);
+        }
+        const definition = Object.assign({
+            displayName: network.id,
+            appHostPattern: "{host}",
+            explorerUrl: null
+        }, network);
+        this._networks.set(network.id, definition);
+        return definition;
+    }
+
+    unregister(networkId) {
+        return this._networks.delete(networkId);
+    }
+
+    get(networkId) {
+        return this._networks.get(networkId) || null;
+    }
+
+    has(networkId) {
+        return this._networks.has(networkId);
+    }
+
+    list() {
+        return Array.from(this._networks.values());
     }
 }
 
+const networkRegistry = new NetworkRegistryClass();
+
+networkRegistry.register({
+    id: "mainnet",
+    displayName: "Mainnet",
+    qobotoApiBaseUrl: "https://api.qoboto.com",
+    appHostPattern: "{host}",
+    explorerUrl: "https://explorer.accumulatenetwork.io"
+});
+
+networkRegistry.register({
+    id: "kermit",
+    displayName: "Kermit Testnet",
+    qobotoApiBaseUrl: "https://kermit-api.qoboto.com",
+    appHostPattern: "{network}-{host}",
+    explorerUrl: "https://kermit.explorer.accumulatenetwork.io"
+});
+
+networkRegistry.register({
+    id: "fozzie",
+    displayName: "Fozzie Testnet",
+    qobotoApiBaseUrl: "https://fozzie-api.qoboto.com",
+    appHostPattern: "{network}-{host}",
+    explorerUrl: "https://fozzie.explorer.accumulatenetwork.io"
+});
+
 // =============================================================================
-// OPID INFO FACTORY
+// NETWORK NAME SERVICE
 // =============================================================================
 
-class OpIdInfoFactoryClass {
-    createByIdentityUrl(identityUrl) {
-        identityUrl = identityFormatter.formatIdentity(identityUrl);
+class NetworkNameServiceClass {
+    constructor(registry = networkRegistry) {
+        this.registry = registry;
+        this._currentNetwork = "mainnet"; // Default to mainnet
+    }
 
-        const info = new OpIdInfoClass();
-        const match = identityUrl.match(/^acc:\/\/([^\/\.]+)\.acme(?:\/(.*))?$/);
-        if (match) {
-            const identityName = match[1];
-            const path = match[2] || "";
-            const identityTrain = [identityName, ...path.split("/").filter(Boolean)].join(".");
-            info.identityName = identityName;
-            info.identityTrain = identityTrain;
-        } else {
-            console.error("Invalid identity url format : " + identityUrl);
-            return null;
+    currentNetworkName() {
+        return this._currentNetwork;
+    }
+
+    /**
+     * The full definition of the current network
+     * @returns {object} { id, displayName, qobotoApiBaseUrl, appHostPattern, explorerUrl }
+     */
+    currentNetwork() {
+        return this.registry.get(this._currentNetwork);
+    }
+
+    switchNetworkName(networkName) {
+        if (!this.registry.has(networkName)) {
+            const known = this.registry.list().map(network => network.id).join(", ");
+            throw new Error(`Unknown network "${networkName}". Known networks: ${known}`);
         }
-        info.identityUrl = identityUrl;
-        info.init();
-        return info;
+        this._currentNetwork = networkName;
     }
 
-    createByIdentityName(identityName) {
-        const info = new OpIdInfoClass();
-        info.identityName = identityName;
-        info.identityTrain = identityName;
-        info.identityUrl = identityFormatter.formatIdentity(identityName);
-        info.init();
-        return info;
+    currentNetwork_IsMainnet() {
+        return (this.currentNetworkName() == "mainnet");
     }
 }
 
-const opIdInfoFactory = new OpIdInfoFactoryClass();
+const networkNameService = new NetworkNameServiceClass();
 
 // =============================================================================
-// QOBOTO API SERVICE
+// LITE ACCOUNT HELPER
 // =============================================================================
 
 /**
- * QobotoApiService - Fetches data from Qoboto API
+ * LiteAccountHelper - Lite identity and lite token account URLs
  *
- * The API returns a list of section objects. This service automatically:
- * 1. Calls the API: GET /api/v1/Qoboto/GetDataValue/All?DataAccountUrl={identityUrl}
- * 2. Parses the response list
- * 3. Finds the object where name="main"
- * 4. Extracts logoUrl, sectionMain1Description, sectionMain1Background2ImageUrl
- * 5. Caches the result for 5 minutes
+ * A lite identity has no registered name; its authority is derived from a key:
+ *
+ *   acc://<40 hex key hash><8 hex checksum>          lite identity
+ *   acc://<40 hex key hash><8 hex checksum>/ACME     lite token account
+ *
+ * The checksum is the last 4 bytes of SHA-256 over the lower-case hex key hash.
  */
-class QobotoApiService {
-    constructor() {
-        this.baseUrl = "https://localhost:7033"; // Default API base URL
-        this.cache = new Map(); // Simple cache for API responses
-        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache
-        this.debugMode = true; // Enable debug logging by default to help troubleshoot
+class LiteAccountHelper {
+    static isLiteAuthority(authority) {
+        return /^[0-9a-f]{48}$/i.test(authority || "");
     }
 
     /**
-     * Enable or disable debug logging
-     * @param {boolean} enabled - Whether to enable debug logs
+     * Compute the checksum for a key hash
+     * @param {string} keyHashHex - The 40 hex character key hash
+     * @returns {string} The 8 hex character checksum
      */
-    setDebugMode(enabled) {
-        this.debugMode = enabled;
-        if (enabled) {
-            console.log("QobotoApiService: Debug mode enabled");
-        }
+    static computeChecksum(keyHashHex) {
+        return LiteAccountHelper.sha256Hex(keyHashHex.toLowerCase()).substring(56);
     }
 
     /**
-     * Debug log helper
+     * Build the lite identity authority for a key hash
+     * @param {string} keyHashHex - The 40 hex character key hash (longer hashes are truncated)
+     * @returns {string} The 48 hex character authority
      */
-    _debug(...args) {
-        if (this.debugMode) {
-            console.log('[QobotoApiService]', ...args);
-        }
+    static authorityForKeyHash(keyHashHex) {
+        const keyHash = keyHashHex.toLowerCase().substring(0, 40);
+        return keyHash + LiteAccountHelper.computeChecksum(keyHash);
     }
 
     /**
-     * Error log helper (always logs)
+     * Split a lite authority into key hash and checksum and verify the checksum
+     * @param {string} authority - The 48 hex character authority
+     * @returns {{keyHash: string, checksum: string, checksumValid: boolean}|null} Null if not a lite authority
      */
-    _error(...args) {
-        console.error('[QobotoApiService]', ...args);
+    static parseAuthority(authority) {
+        if (!LiteAccountHelper.isLiteAuthority(authority)) return null;
+        const keyHash = authority.substring(0, 40).toLowerCase();
+        const checksum = authority.substring(40).toLowerCase();
+        return {
+            keyHash: keyHash,
+            checksum: checksum,
+            checksumValid: LiteAccountHelper.computeChecksum(keyHash) === checksum
+        };
     }
 
     /**
-     * Warning log helper (always logs)
+     * SHA-256 of an ASCII string, as lower-case hex
+     * (synchronous, so URL parsing doesn't need crypto.subtle)
      */
-    _warn(...args) {
-        console.warn('[QobotoApiService]', ...args);
+    static sha256Hex(ascii) {
+        const k = [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+        const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        // Pad: message, 0x80, zeros, 64-bit big-endian bit length
+        const bytes = [];
+        for (let i = 0; i < ascii.length; i++) bytes.push(ascii.charCodeAt(i) & 0xff);
+        const bitLength = bytes.length * 8;
+        bytes.push(0x80);
+        while (bytes.length % 64 !== 56) bytes.push(0);
+        for (let i = 7; i >= 0; i--) bytes.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+
+        const w = new Array(64);
+        for (let offset = 0; offset < bytes.length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+
+            let [a, b, c, d, e, f, g, hh] = h;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + k[i] + w[i]) | 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                hh = g; g = f; f = e; e = (d + t1) | 0;
+                d = c; c = b; b = a; a = (t1 + t2) | 0;
+            }
+            h[0] = (h[0] + a) | 0; h[1] = (h[1] + b) | 0; h[2] = (h[2] + c) | 0; h[3] = (h[3] + d) | 0;
+            h[4] = (h[4] + e) | 0; h[5] = (h[5] + f) | 0; h[6] = (h[6] + g) | 0; h[7] = (h[7] + hh) | 0;
+        }
+
+        return h.map(x => (x >>> 0).toString(16).padStart(8, "0")).join("");
+    }
+}
+
+// =============================================================================
+// ACCUMULATE URL PARSER
+// =============================================================================
+
+/**
+ * AccUrl - A parsed Accumulate URL
+ *
+ *   acc://sunstream.acme/shop/book?x=1#top
+ *         \____________/\________/\__/\_/
+ *           authority     path    query fragment
+ *
+ * Authority and path are stored lower case because Accumulate URLs are
+ * case-insensitive. Query and fragment are kept as given.
+ */
+class AccUrl {
+    constructor(authority, pathSegments = [], query = "", fragment = "") {
+        this.authority = authority;
+        this.pathSegments = pathSegments;
+        this.query = query;
+        this.fragment = fragment;
     }
 
     /**
-     * Clean text by replacing problematic characters
-     * @param {string} text - The text to clean
-     * @returns {string} Cleaned text
+     * True for lite identities and lite token accounts (acc://<48 hex>[/token])
      */
-    _cleanText(text) {
-        if (!text || typeof text !== 'string') {
-            return text;
-        }
-
-        // Replace common problematic characters
-        return text
-            .replace(/�/g, '') // Remove replacement character
-            .replace(/\u00A0/g, ' ') // Replace non-breaking space with regular space
-            .replace(/\u2019/g, "'") // Replace right single quotation mark
-            .replace(/\u201C/g, '"') // Replace left double quotation mark
-            .replace(/\u201D/g, '"') // Replace right double quotation mark
-            .replace(/\u2013/g, '-') // Replace en dash
-            .replace(/\u2014/g, '--') // Replace em dash
-            .replace(/\u2026/g, '...') // Replace horizontal ellipsis
-            .trim(); // Remove leading/trailing whitespace
+    get isLite() {
+        return LiteAccountHelper.isLiteAuthority(this.authority);
     }
 
     /**
-     * Set custom API base URL
-     * @param {string} baseUrl - The base URL for the API
+     * The identity name without the ".acme" TLD (e.g. "sunstream"); for lite URLs the full authority
      */
-    setBaseUrl(baseUrl) {
-        this.baseUrl = baseUrl;
+    get identityName() {
+        return this.authority.endsWith(".acme") ? this.authority.slice(0, -5) : this.authority;
     }
 
     /**
-     * Get data for an identity from Qoboto API
-     * @param {string} identityUrl - The full identity URL (e.g., "sunstream.acme")
-     * @returns {Promise<object|null>} The data object or null if failed
+     * The path below the authority without leading slash (e.g. "shop/book")
      */
-    async getIdentityData(identityUrl) {
-        const cacheKey = `qoboto_${identityUrl}`;
+    get path() {
+        return this.pathSegments.join("/");
+    }
 
-        // Check cache first
-        if (this.cache.has(cacheKey)) {
-            const cached = this.cache.get(cacheKey);
-            if (Date.now() - cached.timestamp < this.cacheTimeout) {
-                return cached.data;
-            }
-            this.cache.delete(cacheKey);
-        }
+    /**
+     * The root identity URL (e.g. "acc://sunstream.acme")
+     */
+    get rootUrl() {
+        return "acc://" + this.authority;
+    }
 
-        try {
-            // Construct API URL with correct format
-            // /api/v1/Qoboto/GetDataValue/All?DataAccountUrl=sunstream.acme
-            const apiUrl = `${this.baseUrl}/api/v1/Qoboto/GetDataValue/All?DataAccountUrl=${encodeURIComponent(identityUrl)}`;
+    /**
+     * Authority and path without query or fragment (e.g. "acc://sunstream.acme/shop")
+     */
+    get accountUrl() {
+        return this.rootUrl + (this.pathSegments.length ? "/" + this.path : "");
+    }
 
-            this._debug(`Fetching Qoboto data from: ${apiUrl}`);
+    /**
+     * Canonical form: lower case, "acc://" scheme, no trailing slash
+     * @returns {string} The canonical URL
+     */
+    toString() {
+        return this.accountUrl
+            + (this.query ? "?" + this.query : "")
+            + (this.fragment ? "#" + this.fragment : "");
+    }
 
-            const response = await fetch(apiUrl, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json; charset=utf-8',
-                    'Content-Type': 'application/json; charset=utf-8'
-                }
-            });
+    /**
+     * Compare with another URL, parsed or not
+     * @param {AccUrl|string} other - The URL to compare with
+     * @returns {boolean} True if both refer to the same account
+     */
+    equals(other) {
+        const otherUrl = other instanceof AccUrl ? other : AccUrlParser.parse(other).url;
+        return !!otherUrl && this.toString() === otherUrl.toString();
+    }
+}
 
-            if (!response.ok) {
-                this._warn(`API request failed: ${response.status} ${response.statusText}`);
-                return null;
-            }
+/**
+ * AccUrlParser - Parses and validates Accumulate URLs
+ *
+ * By default the parser is lenient about the forms people type: the "acc://"
+ * scheme is optional, a bare name gets ".acme" appended (lite identities,
+ * 48 hex characters, are left alone) and trailing slashes
+ * are ignored, so "Sunstream", "sunstream.acme" and "acc://sunstream.acme/"
+ * all parse to the same URL. With { strict: true } those shortcuts are
+ * reported as errors instead.
+ *
+ * Every problem is reported as { code, message } so callers can show why a
+ * string was rejected.
+ */
+class AccUrlParser {
+    static get ERROR_CODES() {
+        return {
+            EMPTY: "EMPTY",
+            NOT_A_STRING: "NOT_A_STRING",
+            WHITESPACE: "WHITESPACE",
+            INVALID_SCHEME: "INVALID_SCHEME",
+            MISSING_SCHEME: "MISSING_SCHEME",
+            MISSING_AUTHORITY: "MISSING_AUTHORITY",
+            INVALID_AUTHORITY: "INVALID_AUTHORITY",
+            MISSING_TLD: "MISSING_TLD",
+            INVALID_TLD: "INVALID_TLD",
+            USERINFO_OR_PORT: "USERINFO_OR_PORT",
+            EMPTY_PATH_SEGMENT: "EMPTY_PATH_SEGMENT",
+            INVALID_PATH_SEGMENT: "INVALID_PATH_SEGMENT",
+            INVALID_LITE_CHECKSUM: "INVALID_LITE_CHECKSUM"
+        };
+    }
+
+    /**
+     * Parse an Accumulate URL
+     * @param {string} input - The URL (e.g., "sunstream", "acc://sunstream.acme/book/1?x=1#top")
+     * @param {object} options - Parser options
+     * @param {boolean} options.strict - Require "acc://" and ".acme" to be written out
+     * @returns {{valid: boolean, url: AccUrl|null, errors: Array<{code: string, message: string}>}}
+     */
+    static parse(input, options = {}) {
+        const codes = AccUrlParser.ERROR_CODES;
+        const errors = [];
+        const fail = (code, message) => {
+            errors.push({ code, message });
+            return { valid: false, url: null, errors };
+        };
 
-            const responseText = await response.text();
-            this._debug(`Raw response text (first 200 chars):`, responseText.substring(0, 200));
+        if (typeof input !== "string") {
+            return fail(codes.NOT_A_STRING, `Expected a string but got ${input === null ? "null" : typeof input}`);
+        }
 
-            let responseData;
-            try {
-                responseData = JSON.parse(responseText);
-            } catch (parseError) {
-                this._error(`Failed to parse response as JSON:`, parseError);
-                return null;
+        let rest = input.trim();
+        if (rest === "") {
+            return fail(codes.EMPTY, "URL is empty");
+        }
+        if (/\s/.test(rest)) {
+            return fail(codes.WHITESPACE, "URL must not contain whitespace");
+        }
+
+        // Fragment and query come off the end first
+        let fragment = "";
+        const hashIndex = rest.indexOf("#");
+        if (hashIndex >= 0) {
+            fragment = rest.substring(hashIndex + 1);
+            rest = rest.substring(0, hashIndex);
+        }
+        let query = "";
+        const queryIndex = rest.indexOf("?");
+        if (queryIndex >= 0) {
+            query = rest.substring(queryIndex + 1);
+            rest = rest.substring(0, queryIndex);
+        }
+
+        // Scheme
+        const schemeMatch = rest.match(/^([a-z][a-z0-9+.-]*):\/\//i);
+        if (schemeMatch) {
+            if (schemeMatch[1].toLowerCase() !== "acc") {
+                return fail(codes.INVALID_SCHEME, `Scheme must be "acc://", not "${schemeMatch[1]}://"`);
             }
+            rest = rest.substring(schemeMatch[0].length);
+        } else if (options.strict) {
+            errors.push({ code: codes.MISSING_SCHEME, message: `URL must start with "acc://"` });
+        }
 
-            // Debug: Log the response type and content
-            this._debug(`Response type: ${typeof responseData}`);
-            this._debug(`Response is array: ${Array.isArray(responseData)}`);
-            this._debug(`Response data:`, responseData);
+        // Authority and path
+        rest = rest.replace(/\/+$/, "");
+        const slashIndex = rest.indexOf("/");
+        let authority = (slashIndex >= 0 ? rest.substring(0, slashIndex) : rest).toLowerCase();
+        const pathPart = slashIndex >= 0 ? rest.substring(slashIndex + 1) : "";
 
-            // Handle if response is a JSON string instead of parsed object
-            if (typeof responseData === 'string') {
-                this._debug(`Response is a string, attempting to parse...`);
-                try {
-                    responseData = JSON.parse(responseData);
-                    this._debug(`Successfully parsed string to object. Type: ${typeof responseData}, Is array: ${Array.isArray(responseData)}`);
-                } catch (parseError) {
-                    this._error(`Failed to parse response string:`, parseError);
-                    return null;
+        if (authority === "") {
+            return fail(codes.MISSING_AUTHORITY, "URL has no identity name");
+        }
+        if (/[@:]/.test(authority)) {
+            return fail(codes.USERINFO_OR_PORT, "Accumulate URLs cannot contain a user name or port");
+        }
+        if (!/^[a-z0-9._-]+$/.test(authority)) {
+            return fail(codes.INVALID_AUTHORITY, `Identity "${authority}" contains characters other than letters, digits, "-", "_" and "."`);
+        }
+
+        if (LiteAccountHelper.isLiteAuthority(authority)) {
+            const lite = LiteAccountHelper.parseAuthority(authority);
+            if (!lite.checksumValid) {
+                return fail(codes.INVALID_LITE_CHECKSUM, `Lite account checksum "${lite.checksum}" does not match key hash ${lite.keyHash}`);
+            }
+        } else if (!authority.includes(".")) {
+            if (options.strict) {
+                errors.push({ code: codes.MISSING_TLD, message: `Identity "${authority}" must end in ".acme"` });
+            } else {
+                authority = authority + ".acme";
+            }
+        } else if (!authority.endsWith(".acme")) {
+            return fail(codes.INVALID_TLD, `Identity "${authority}" must end in ".acme"`);
+        } else if (authority.slice(0, -5).includes(".") || authority === ".acme") {
+            return fail(codes.INVALID_AUTHORITY, `Identity "${authority}" must be a single name followed by ".acme"`);
+        }
+
+        const pathSegments = [];
+        if (pathPart !== "") {
+            const rawSegments = pathPart.split("/");
+            for (let i = 0; i < rawSegments.length; i++) {
+                const segment = rawSegments[i].toLowerCase();
+                if (segment === "") {
+                    errors.push({ code: codes.EMPTY_PATH_SEGMENT, message: `Path segment ${i + 1} is empty ("//")` });
+                } else if (segment === "." || segment === ".." || /[\\%]/.test(segment)) {
+                    errors.push({ code: codes.INVALID_PATH_SEGMENT, message: `Path segment "${rawSegments[i]}" is not allowed` });
+                } else {
+                    pathSegments.push(segment);
                 }
             }
+        }
 
-            // The API returns a list - find the object with name="main"
-            const mainData = this._findMainSection(responseData);
+        if (errors.length > 0) {
+            return { valid: false, url: null, errors };
+        }
+        return { valid: true, url: new AccUrl(authority, pathSegments, query, fragment), errors };
+    }
 
-            if (!mainData) {
-                this._warn(`No "main" section found in Qoboto API response for ${identityUrl}`);
-                this._warn(`Response data structure:`, responseData);
-                return null;
-            }
+    /**
+     * Canonical form of a URL
+     * @param {string} input - The URL in any accepted form
+     * @returns {string|null} The canonical URL or null if invalid
+     */
+    static canonicalize(input, options = {}) {
+        const result = AccUrlParser.parse(input, options);
+        return result.valid ? result.url.toString() : null;
+    }
 
-            this._debug(`Found main section:`, mainData);
+    /**
+     * Check whether two strings refer to the same Accumulate URL
+     * @param {string} a - First URL (e.g., "Sunstream")
+     * @param {string} b - Second URL (e.g., "acc://sunstream.acme/")
+     * @returns {boolean} True if both are valid and equal
+     */
+    static equals(a, b) {
+        const first = AccUrlParser.parse(a).url;
+        return !!first && first.equals(b);
+    }
+}
 
-            // Cache the parsed main section data
-            this.cache.set(cacheKey, {
-                data: mainData,
-                timestamp: Date.now()
-            });
+// =============================================================================
+// IDENTITY NAME VALIDATOR
+// =============================================================================
 
-            return mainData;
-        } catch (error) {
-            this._error(`Error fetching Qoboto data for ${identityUrl}:`, error);
-            return null;
-        }
+/**
+ * IdentityValidatorClass - Checks identity (ADI) names against Accumulate naming rules
+ *
+ * Accepts a bare name ("sunstream"), a name with TLD ("sunstream.acme") or a
+ * root identity URL ("acc://sunstream.acme"). All problems are collected, not
+ * just the first, so forms can show everything the user needs to fix.
+ */
+class IdentityValidatorClass {
+    constructor() {
+        this.minLength = 1;
+        this.maxLength = 64;
+        this.reservedNames = ["acme", "dn", "unknown"];
+        this.reservedPrefixes = ["bvn-"];
+    }
+
+    static get ERROR_CODES() {
+        return {
+            EMPTY: "EMPTY",
+            NOT_A_STRING: "NOT_A_STRING",
+            INVALID_URL: "INVALID_URL",
+            HAS_PATH: "HAS_PATH",
+            TOO_SHORT: "TOO_SHORT",
+            TOO_LONG: "TOO_LONG",
+            INVALID_CHARACTERS: "INVALID_CHARACTERS",
+            NUMERIC: "NUMERIC",
+            LITE_ACCOUNT_COLLISION: "LITE_ACCOUNT_COLLISION",
+            RESERVED: "RESERVED"
+        };
     }
 
     /**
-     * Find the "main" section from the API response list
-     * @param {Array|Object} responseData - The API response (expected to be an array)
-     * @returns {object|null} The main section object or null if not found
+     * Validate an identity name
+     * @param {string} input - The identity (e.g., "sunstream", "sunstream.acme", "acc://sunstream.acme")
+     * @param {object} options - Validation options
+     * @param {boolean} options.allowReserved - Accept reserved system names such as "dn" (default false)
+     * @returns {{valid: boolean, identityName: string|null, identityUrl: string|null, errors: Array<{code: string, message: string}>}}
      */
-    _findMainSection(responseData) {
-        this._debug(`_findMainSection called with data type: ${typeof responseData}, isArray: ${Array.isArray(responseData)}`);
+    validate(input, options = {}) {
+        const codes = IdentityValidatorClass.ERROR_CODES;
+        const errors = [];
+        const result = (identityName = null) => ({
+            valid: errors.length === 0,
+            identityName: errors.length === 0 ? identityName : null,
+            identityUrl: errors.length === 0 ? "acc://" + identityName + ".acme" : null,
+            errors
+        });
+
+        if (typeof input !== "string") {
+            errors.push({ code: codes.NOT_A_STRING, message: "Identity must be a string" });
+            return result();
+        }
 
-        // Handle if response is already an object (backward compatibility)
-        if (responseData && !Array.isArray(responseData) && typeof responseData === 'object') {
-            this._debug(`Response is a single object. Checking name property...`);
-            this._debug(`Object keys:`, Object.keys(responseData));
+        let name = input.trim().toLowerCase();
+        if (name === "") {
+            errors.push({ code: codes.EMPTY, message: "Identity name is required" });
+            return result();
+        }
 
-            if (responseData.name === 'main') {
-                this._debug(`Single object has name="main", returning it`);
-                return responseData;
+        // Reduce URL forms to the bare name
+        const schemeMatch = name.match(/^([a-z][a-z0-9+.-]*):\/\//);
+        if (schemeMatch) {
+            if (schemeMatch[1] !== "acc") {
+                errors.push({ code: codes.INVALID_URL, message: `Scheme must be "acc://", not "${schemeMatch[1]}://"` });
+                return result();
             }
-            // If it's a single object but not named "main", return it anyway for backward compatibility
-            this._debug(`Single object does not have name="main", but returning it anyway (backward compatibility)`);
-            return responseData;
+            name = name.substring(schemeMatch[0].length);
+        }
+        name = name.replace(/\/+$/, "");
+        if (/[\/?#]/.test(name)) {
+            errors.push({ code: codes.HAS_PATH, message: "An identity cannot have a path, query or fragment - use the root name only" });
+            return result();
+        }
+        if (name.endsWith(".acme")) {
+            name = name.slice(0, -5);
         }
 
-        // Handle array response - find object with name="main"
-        if (Array.isArray(responseData)) {
-            this._debug(`Response is an array with ${responseData.length} items`);
-
-            // Log all items in the array for debugging
-            responseData.forEach((item, index) => {
-                this._debug(`Array item ${index}:`, {
-                    name: item?.name,
-                    type: typeof item,
-                    keys: Object.keys(item || {})
-                });
-            });
+        if (name.length < this.minLength) {
+            errors.push({ code: codes.TOO_SHORT, message: `Identity name must be at least ${this.minLength} character(s) long` });
+        }
+        if (name.length > this.maxLength) {
+            errors.push({ code: codes.TOO_LONG, message: `Identity name must be at most ${this.maxLength} characters long (got ${name.length})` });
+        }
 
-            const mainSection = responseData.find(item => {
-                const isMain = item && item.name === 'main';
-                this._debug(`Checking item with name="${item?.name}": isMain=${isMain}`);
-                return isMain;
+        const invalidCharacters = [...new Set(name.replace(/[a-z0-9_-]/g, ""))];
+        if (invalidCharacters.length > 0) {
+            errors.push({
+                code: codes.INVALID_CHARACTERS,
+                message: `Identity name may only contain letters, digits, "-" and "_" (found ${invalidCharacters.map(c => JSON.stringify(c)).join(", ")})`
             });
+        }
 
-            if (mainSection) {
-                this._debug(`Found main section:`, mainSection);
-                return mainSection;
-            }
+        if (/^[0-9]+$/.test(name)) {
+            errors.push({ code: codes.NUMERIC, message: "Identity name cannot be a number" });
+        } else if (/^[0-9a-f]+$/.test(name) && name.length >= 40) {
+            errors.push({ code: codes.LITE_ACCOUNT_COLLISION, message: "Identity name cannot be a long hexadecimal string - it would look like a lite account address" });
+        }
 
-            // If no "main" found but there's at least one item, log available sections
-            if (responseData.length > 0) {
-                const availableSections = responseData.map(item => item?.name || 'unnamed').join(', ');
-                this._error(`Could not find "main" section. Available sections: ${availableSections}`);
-            } else {
-                this._error(`Response array is empty`);
-            }
+        if (!options.allowReserved && this.isReserved(name)) {
+            errors.push({ code: codes.RESERVED, message: `"${name}" is reserved by the Accumulate network` });
         }
 
-        this._error(`Could not find main section. Response data:`, responseData);
-        return null;
+        return result(name);
     }
 
     /**
-     * Get logo URL for an identity
-     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
-     * @returns {Promise<string|null>} The logo URL or null
+     * Check whether a bare name is reserved for the network
+     * @param {string} name - The bare identity name (e.g., "dn")
+     * @returns {boolean} True if reserved
      */
-    async getLogoUrl(identityUrl) {
-        const data = await this.getIdentityData(identityUrl);
-        const logoUrl = data?.logoUrl || null;
-        this._debug(`getLogoUrl for ${identityUrl}: ${logoUrl}`);
-        return logoUrl;
+    isReserved(name) {
+        return this.reservedNames.includes(name) || this.reservedPrefixes.some(prefix => name.startsWith(prefix));
     }
+}
 
-    /**
-     * Get section main description for an identity
-     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
-     * @returns {Promise<string|null>} The description or null
-     */
-    async getSectionMain1Description(identityUrl) {
-        const data = await this.getIdentityData(identityUrl);
-        const rawDescription = data?.sectionMain1Description || null;
-        const cleanedDescription = rawDescription ? this._cleanText(rawDescription) : null;
-        this._debug(`getSectionMain1Description for ${identityUrl}: ${cleanedDescription?.substring(0, 100)}...`);
-        return cleanedDescription;
+const identityValidator = new IdentityValidatorClass();
+
+// =============================================================================
+// IDENTITY FORMATTER
+// =============================================================================
+
+class IdentityFormatterClass {
+    formatIdentity(identityUrl) {
+        if (!identityUrl) return identityUrl;
+        const canonical = AccUrlParser.canonicalize(identityUrl);
+        if (canonical) return canonical;
+        // Not a valid URL - leave it recognisably invalid rather than guessing a ".acme"
+        identityUrl = identityUrl.trim().toLowerCase();
+        if (!identityUrl.startsWith("acc://")) identityUrl = "acc://" + identityUrl;
+        return identityUrl;
+    }
+}
+
+const identityFormatter = new IdentityFormatterClass();
+
+// =============================================================================
+// ADI STRING HELPER
+// =============================================================================
+
+class AdiStringHelper {
+    static parseAdi2(adiUrl) {
+        if (!adiUrl || adiUrl.trim() === "") return null;
+
+        const result = AccUrlParser.parse(adiUrl);
+        if (!result.valid) return null;
+
+        const accUrl = result.url;
+        var adi = {}
+        adi.url = accUrl.accountUrl;
+        adi.path = adi.url.substring(6);
+        adi.name = accUrl.identityName;
+        adi.rootUrl = accUrl.rootUrl;
+        adi.subPath = accUrl.path;
+        adi.pathSegments = accUrl.pathSegments;
+        adi.query = accUrl.query;
+        adi.fragment = accUrl.fragment;
+        return adi;
+    }
+
+    static fixAdiUrl(url) {
+        if (!url) return url;
+        url = url.toLowerCase();
+        // Remove any trailing slashes
+        url = url.replace(/\/+$/, '');
+        return url;
+    }
+
+    static getLastSegment(adiUrl) {
+        if (!adiUrl) return "";
+        const segments = adiUrl.split("/");
+        return segments[segments.length - 1];
+    }
+}
+
+// =============================================================================
+// DID APP REGISTRY
+// =============================================================================
+
+/**
+ * DidAppRegistryClass - The OperateID asset apps an identity can link to
+ *
+ * Each app is registered with a URL template instead of being hardcoded:
+ *
+ *   didAppRegistry.register({
+ *       id: "qoboto",
+ *       displayName: "Qoboto",
+ *       icon: "fas fa-globe",
+ *       host: "{name}.Qoboto.com",     // {name} = identity name, {network} = network name
+ *       path: "/{path}",               // {path} = sub-account path ("" for the root)
+ *       networkParameter: "current-network",
+ *       supportsLite: false
+ *   });
+ *
+ * Apps that need more than a template can pass buildUrl(context) instead,
+ * where context is { name, path, network, hostPattern }. Such apps are only
+ * recognised by parseUrl() if they also pass parseUrl(url), returning
+ * { name, path, network } or null.
+ *
+ * The resolved host is wrapped in the current network's appHostPattern, so
+ * networks with their own app deployments get their own hosts.
+ *
+ * parseUrl() goes the other way, from an app link back to the identity:
+ *
+ *   didAppRegistry.parseUrl("https://sunstream.Qoboto.com/shop?current-network=kermit")
+ *   // { app: "qoboto", identityUrl: "acc://sunstream.acme", accountUrl: "acc://sunstream.acme/shop",
+ *   //   path: "shop", network: "kermit", networkSource: "parameter", ... }
+ */
+class DidAppRegistryClass {
+    constructor() {
+        this._apps = new Map();
     }
 
     /**
-     * Get section main background image URL for an identity
-     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
-     * @returns {Promise<string|null>} The background image URL or null
+     * Register (or replace) an app
+     * @param {object} app - App definition (see class comment)
+     * @returns {object} The stored app definition
      */
-    async getSectionMain1Background2ImageUrl(identityUrl) {
-        const data = await this.getIdentityData(identityUrl);
-        return data?.sectionMain1Background2ImageUrl || null;
+    register(app) {
+        if (!app || !app.id) {
+            throw new Error("DID app must have an id");
+        }
+        if (!app.host && typeof app.buildUrl !== "function") {
+            throw new Error(`DID app "${app.id}" needs a host template or a buildUrl function`);
+        }
+        const definition = Object.assign({
+            displayName: app.id,
+            icon: "",
+            path: "/{path}",
+            networkParameter: "current-network",
+            supportsLite: false
+        }, app);
+        this._apps.set(app.id, definition);
+        return definition;
     }
 
     /**
-     * Get all main data for an identity
-     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
-     * @returns {Promise<object>} Object with logoUrl, description, and backgroundImageUrl
+     * Remove an app
+     * @param {string} appId - The app id
+     * @returns {boolean} True if the app was registered
      */
-    async getAllMainData(identityUrl) {
-        const data = await this.getIdentityData(identityUrl);
-        const rawDescription = data?.sectionMain1Description || null;
-        const cleanedDescription = rawDescription ? this._cleanText(rawDescription) : null;
+    unregister(appId) {
+        return this._apps.delete(appId);
+    }
 
-        return {
-            logoUrl: data?.logoUrl || null,
-            sectionMain1Description: cleanedDescription,
-            sectionMain1Background2ImageUrl: data?.sectionMain1Background2ImageUrl || null,
-            rawData: data // Include raw data for advanced usage
-        };
+    get(appId) {
+        return this._apps.get(appId) || null;
+    }
+
+    list() {
+        return Array.from(this._apps.values());
     }
 
     /**
-     * Clear cache for a specific identity or all cache
-     * @param {string} identityUrl - Optional identity URL to clear specific cache
+     * Build the URL of an app for an identity
+     * @param {string} appId - The app id (e.g., "qoboto")
+     * @param {object} context - { name, path, network }
+     * @returns {string|null} The app URL or null if the app is unknown
      */
-    clearCache(identityUrl = null) {
-        if (identityUrl) {
-            this.cache.delete(`qoboto_${identityUrl}`);
-        } else {
-            this.cache.clear();
+    buildUrl(appId, context) {
+        const app = this.get(appId);
+        if (!app) return null;
+        if (typeof app.buildUrl === "function") {
+            return app.buildUrl(context);
+        }
+
+        const fill = template => template
+            .replace(/\{name\}/g, context.name)
+            .replace(/\{path\}/g, context.path || "")
+            .replace(/\{network\}/g, context.network);
+        const host = (context.hostPattern || "{host}")
+            .replace(/\{host\}/g, fill(app.host))
+            .replace(/\{network\}/g, context.network);
+        let url = "https://" + host + fill(app.path);
+        if (app.networkParameter) {
+            url += (url.includes("?") ? "&" : "?") + app.networkParameter + "=" + encodeURIComponent(context.network);
         }
+        return url;
     }
 
     /**
-     * Enable/disable local development mode with mock data
-     * @param {boolean} enabled - Whether to use mock data
+     * Find the identity, app and network behind an app URL (the reverse of buildUrl)
+     *
+     * The host is matched against every app's host template on every network;
+     * when several match, the most specific template wins (a network's own
+     * "{network}-{host}" deployment beats the plain "{host}"). If the host
+     * doesn't tell the networks apart, the network comes from the app's network
+     * parameter, or is "mainnet" when the link has none. A network parameter
+     * that contradicts the host (kermit on a mainnet host) is reported as unknown.
+     *
+     * @param {string} url - The app URL (e.g., "https://sunstream.Qoboto.com/shop?current-network=kermit");
+     *   "https://" may be left out
+     * @param {NetworkRegistryClass} networks - The networks to match against (default: all registered)
+     * @returns {object|null} { app, appDisplayName, identityName, identityUrl, accountUrl, path, isLite,
+     *   network, networkSource, unknownNetwork } where networkSource is "host", "parameter" or "default".
+     *   When the link names a network that isn't registered (or isn't served from this host), network is
+     *   null and unknownNetwork holds the name from the link; otherwise unknownNetwork is null.
+     *   Null if the URL is not a registered app's link
      */
-    setDevelopmentMode(enabled = true) {
-        this.developmentMode = enabled;
-        if (enabled) {
-            console.log("QobotoApiService: Development mode enabled - using mock data");
+    parseUrl(url, networks = networkRegistry) {
+        if (typeof url !== "string" || url.trim() === "") return null;
+        let parsed;
+        try {
+            const text = url.trim();
+            parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : "https://" + text);
+        } catch (error) {
+            return null;
+        }
+        if (parsed.protocol !== "https:" && parsed.protocol !== "http:") return null;
+
+        for (const app of this.list()) {
+            if (typeof app.parseUrl !== "function") continue;
+            const match = app.parseUrl(parsed.href);
+            if (match) {
+                const known = networks.has(match.network);
+                const result = this._describeMatch(app, match.name, match.path || "",
+                    known ? match.network : null, "host", known ? null : String(match.network));
+                if (result) return result;
+            }
+        }
+
+        const candidates = [];
+        for (const app of this.list()) {
+            if (!app.host || typeof app.parseUrl === "function") continue;
+            for (const network of networks.list()) {
+                const hostTemplate = (network.appHostPattern || "{host}")
+                    .replace(/\{host\}/g, app.host)
+                    .replace(/\{network\}/g, network.id);
+                const hostMatch = parsed.hostname.match(DidAppRegistryClass._templateRegExp(hostTemplate, { name: "([a-z0-9_-]+)" }));
+                if (!hostMatch) continue;
+
+                const name = hostMatch[1].toLowerCase();
+                const pathTemplate = app.path.replace(/\{name\}/g, name).replace(/\{network\}/g, network.id);
+                const pathMatch = parsed.pathname.match(DidAppRegistryClass._templateRegExp(pathTemplate, { path: "(.*)" }));
+                if (!pathMatch) continue;
+
+                candidates.push({
+                    app: app,
+                    network: network.id,
+                    name: name,
+                    path: pathMatch[1] || "",
+                    specificity: hostTemplate.replace(/\{name\}/g, "").length
+                });
+            }
         }
+        if (candidates.length === 0) return null;
+
+        const specificity = Math.max(...candidates.map(candidate => candidate.specificity));
+        const best = candidates.filter(candidate => candidate.specificity === specificity);
+        const app = best[0].app;
+        const parameter = app.networkParameter ? parsed.searchParams.get(app.networkParameter) : null;
+
+        let network;
+        let networkSource;
+        let unknownNetwork = null;
+        if (best.length < networks.list().length && best.every(candidate => candidate.network === best[0].network)) {
+            network = best[0].network;
+            networkSource = "host";
+        } else if (parameter) {
+            const requested = parameter.toLowerCase();
+            network = best.some(candidate => candidate.network === requested) ? requested : null;
+            unknownNetwork = network ? null : requested;
+            networkSource = "parameter";
+        } else {
+            network = "mainnet";
+            networkSource = "default";
+        }
+        if (networkSource === "host" && parameter && parameter.toLowerCase() !== network) {
+            // The parameter names a network this host doesn't serve
+            unknownNetwork = parameter.toLowerCase();
+            network = null;
+        }
+
+        const match = best.find(candidate => candidate.network === network) || best[0];
+        return this._describeMatch(app, match.name, match.path, network, networkSource, unknownNetwork);
     }
 
-    /**
-     * Get mock data for development/testing
-     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
-     * @returns {object} Mock data object (simulates the "main" section)
-     */
-    getMockData(identityUrl) {
-        const identityName = identityUrl.split('.')[0].replace('acc://', '');
+    _describeMatch(app, name, path, network, networkSource, unknownNetwork = null) {
+        const segments = path.split("/").filter(Boolean);
+        try {
+            path = segments.map(segment => decodeURIComponent(segment)).join("/");
+        } catch (error) {
+            return null;
+        }
+
+        const result = AccUrlParser.parse("acc://" + name + (path ? "/" + path : ""));
+        if (!result.valid || (result.url.isLite && !app.supportsLite)) return null;
         return {
-            name: 'main', // Simulate the main section
-            logoUrl: `https://pub-1c0e543900fc40318aa4c4aec39fb352.r2.dev/logo-${identityName}.png`,
-            sectionMain1Description: `Welcome to ${identityName}'s digital identity space. This is a comprehensive platform for managing your digital presence and accessing various blockchain services.`,
-            sectionMain1Background2ImageUrl: `https://images.unsplash.com/photo-1557804506-669a67965ba0?ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D&auto=format&fit=crop&w=1074&q=80`,
-            lastUpdated: new Date().toISOString(),
-            identityUrl: identityUrl
+            app: app.id,
+            appDisplayName: app.displayName,
+            identityName: result.url.identityName,
+            identityUrl: result.url.rootUrl,
+            accountUrl: result.url.accountUrl,
+            path: result.url.path,
+            isLite: result.url.isLite,
+            network: network,
+            networkSource: networkSource,
+            unknownNetwork: unknownNetwork
         };
     }
 
     /**
-     * Override getIdentityData for development mode
+     * Anchored, case-insensitive RegExp for a URL template; placeholders named
+     * in groups become the given patterns, anything else is matched literally
      */
-    async getIdentityDataWithMock(identityUrl) {
-        if (this.developmentMode) {
-            // Simulate API delay
-            await new Promise(resolve => setTimeout(resolve, 200));
-            return this.getMockData(identityUrl);
-        }
-        return this.getIdentityData(identityUrl);
+    static _templateRegExp(template, groups) {
+        const source = template.split(/(\{[a-z]+\})/i).map(part => {
+            const placeholder = part.match(/^\{([a-z]+)\}$/i);
+            if (placeholder && groups[placeholder[1]]) return groups[placeholder[1]];
+            return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        }).join("");
+        return new RegExp("^" + source + "$", "i");
     }
 }
 
-// Create global instance
-const qobotoApiService = new QobotoApiService();
+const didAppRegistry = new DidAppRegistryClass();
 
-// Enable development mode by default for testing
-qobotoApiService.setDevelopmentMode(true);
+didAppRegistry.register({
+    id: "qoboto",
+    displayName: "Qoboto",
+    icon: "fas fa-globe",
+    host: "{name}.Qoboto.com",
+    supportsLite: false
+});
+
+didAppRegistry.register({
+    id: "bankOnLedger",
+    displayName: "Bank on Ledger",
+    icon: "fas fa-university",
+    host: "{name}.BankOnLedger.com",
+    supportsLite: true
+});
 
 // =============================================================================
-// OPID RESOURCE CLASS
+// ADI URL CLASS
 // =============================================================================
 
-class OpIdResourceClass {
-    constructor(opIdInfo) {
-        this.opIdInfo = opIdInfo;
-        this._dataCache = {}; // Cache for all data types
-        this._customOverrides = {}; // For manual overrides
+class AdiUrlClass {
+    static createByUrl(url, networkService = networkNameService) {
+        var adi = new AdiUrlClass(networkService)
+        adi.init_ByAdiUrl(url);
+        return adi;
     }
 
-    async logoUrl() {
-        // Check for manual override first
-        if (this._customOverrides.logoUrl) {
-            return this._customOverrides.logoUrl;
-        }
+    static createByIdentityName(name, networkService = networkNameService) {
+        var adi = new AdiUrlClass(networkService)
+        adi.init_ByAdiUrl("acc://" + name + ".acme");
+        return adi;
+    }
 
-        // Check cache
-        if (this._dataCache.logoUrl) {
-            return this._dataCache.logoUrl;
-        }
+    constructor(networkService = networkNameService) {
+        this.networkService = networkService;
+        this.pathEnd = "";
+        this._calc_Server();
+    }
 
-        try {
-            // Get identity URL from opIdInfo (using the simple form like "sunstream.acme")
-            const identityUrl = this._getSimpleIdentityUrl();
+    _calc_Server() {
+        this.networkName = this.networkService.currentNetworkName();
+        this.network = this.networkService.currentNetwork();
+    }
 
-            // Fetch from Qoboto API
-            const logoUrl = await qobotoApiService.getLogoUrl(identityUrl);
+    init_ByAdiUrl(url) {
+        this.url = url;
+        this.adiParsed = AdiStringHelper.parseAdi2(this.url);
+        this.lite = null;
+        if (this.adiParsed) {
+            this.name = this.adiParsed.name;
+            this.path = this.adiParsed.path;
+            this.pathEnd = this.adiParsed.subPath;
+            this.lite = LiteAccountHelper.parseAuthority(this.name);
+        }
+    }
 
-            if (logoUrl) {
-                this._dataCache.logoUrl = logoUrl;
-                return logoUrl;
-            }
-        } catch (error) {
-            console.error("Error fetching logo from API:", error);
+    /**
+     * True for lite identities (acc://<48 hex>) and lite token accounts (acc://<48 hex>/ACME)
+     */
+    isLite() {
+        return this.lite != null;
+    }
+
+    /**
+     * True for lite token accounts - a lite identity with a token path
+     */
+    isLiteTokenAccount() {
+        return this.isLite() && this.pathEnd !== "";
+    }
+
+    /**
+     * The 40 hex character key hash of a lite URL, or null
+     */
+    liteKeyHash() {
+        return this.lite ? this.lite.keyHash : null;
+    }
+
+    /**
+     * The 8 hex character checksum of a lite URL, or null
+     */
+    liteChecksum() {
+        return this.lite ? this.lite.checksum : null;
+    }
+
+    /**
+     * Whether the lite checksum matches the key hash (null for ADI URLs)
+     */
+    isLiteChecksumValid() {
+        return this.lite ? this.lite.checksumValid : null;
+    }
+
+    /**
+     * Which registered app links make sense for this URL. Qoboto pages need a
+     * named identity; BankOnLedger works for ADIs and lite accounts alike.
+     * @returns {object} Map of app id to boolean (e.g., { qoboto: false, bankOnLedger: true })
+     */
+    supportedApps() {
+        const supported = {};
+        didAppRegistry.list().forEach(app => {
+            supported[app.id] = !this.isLite() || app.supportsLite;
+        });
+        return supported;
+    }
+
+    /**
+     * URL of the registered app hosted on a domain
+     * @deprecated Use app_Url(appId); kept for callers that pass the app's domain
+     * @param {string} appSite - The app's domain (e.g., "Qoboto.com", "BankOnLedger.com")
+     * @returns {string|null} The app URL or null if no registered app uses that domain
+     */
+    calculate_app_Url(appSite) {
+        const host = ("{name}." + appSite).toLowerCase();
+        const app = didAppRegistry.list().find(candidate => (candidate.host || "").toLowerCase() === host);
+        return app ? this.app_Url(app.id) : null;
+    }
+
+    /**
+     * URL of a registered DID app for this identity
+     * @param {string} appId - The app id (e.g., "qoboto", "bankOnLedger")
+     * @returns {string|null} The app URL or null if the app is unknown
+     */
+    app_Url(appId) {
+        this._calc_Server();
+        return didAppRegistry.buildUrl(appId, {
+            name: this.name,
+            path: this.pathEnd,
+            network: this.networkName,
+            hostPattern: this.network ? this.network.appHostPattern : "{host}"
+        });
+    }
+
+    /**
+     * Block explorer URL for this account on the current network
+     * @returns {string|null} The explorer URL or null if the network has none
+     */
+    explorer_Url() {
+        this._calc_Server();
+        if (!this.network || !this.network.explorerUrl) return null;
+        return this.network.explorerUrl + "/acc/" + this.adiParsed.path;
+    }
+
+    qoboto_Url() {
+        return this.app_Url("qoboto");
+    }
+
+    bankOnLedger_Url() {
+        return this.app_Url("bankOnLedger");
+    }
+}
+
+// =============================================================================
+// OPID INFO CLASS
+// =============================================================================
+
+class OpIdInfoClass {
+    init(networkService = networkNameService) {
+        this.adiInfo = AdiUrlClass.createByUrl(this.identityUrl, networkService);
+    }
+
+    constructor() {
+        this.identityTrain = "";
+        this.identityName = "";
+        this.identityUrl = "";
+        this.isLite = false; // Lite identity or lite token account (no registered name)
+    }
+}
+
+// =============================================================================
+// OPID INFO FACTORY
+// =============================================================================
+
+class OpIdInfoFactoryClass {
+    constructor(networkService = networkNameService, logger = operateIdLogger) {
+        this.networkService = networkService;
+        this.log = logger.scope("OpIdInfoFactory");
+    }
+
+    createByIdentityUrl(identityUrl) {
+        const result = AccUrlParser.parse(identityUrl);
+
+        const info = new OpIdInfoClass();
+        const isLite = result.valid && result.url.isLite;
+        const nameCheck = result.valid && !isLite ? identityValidator.validate(result.url.rootUrl, { allowReserved: true }) : null;
+        if (nameCheck && !nameCheck.valid) {
+            this.log.warn("Invalid identity name : " + identityUrl + " (" + nameCheck.errors.map(e => e.message).join("; ") + ")");
+            return null;
         }
+        if (result.valid) {
+            const accUrl = result.url;
+            info.identityName = accUrl.identityName;
+            info.identityTrain = [accUrl.identityName, ...accUrl.pathSegments].join(".");
+            info.isLite = isLite;
+            identityUrl = accUrl.accountUrl;
+        } else {
+            this.log.warn("Invalid identity url format : " + identityUrl + " (" + result.errors.map(e => e.message).join("; ") + ")");
+            return null;
+        }
+        info.identityUrl = identityUrl;
+        info.init(this.networkService);
+        return info;
+    }
 
-        // Default logo fallback
-        const defaultLogoUrl = "https://pub-1c0e543900fc40318aa4c4aec39fb352.r2.dev/logo.png";
-        this._dataCache.logoUrl = defaultLogoUrl;
-        return defaultLogoUrl;
+    createByIdentityName(identityName) {
+        const nameCheck = identityValidator.validate(identityName, { allowReserved: true });
+        if (!nameCheck.valid) {
+            this.log.warn("Invalid identity name : " + identityName + " (" + nameCheck.errors.map(e => e.message).join("; ") + ")");
+            return null;
+        }
+
+        const info = new OpIdInfoClass();
+        info.identityName = nameCheck.identityName;
+        info.identityTrain = nameCheck.identityName;
+        info.identityUrl = nameCheck.identityUrl;
+        info.init(this.networkService);
+        return info;
     }
+}
 
-    _getSimpleIdentityUrl() {
-        // Get simple form like "sunstream.acme" for API calls
-        const identityUrl = this.opIdInfo.identityUrl;
-        // Remove acc:// prefix if present
-        return identityUrl.replace('acc://', '');
+const opIdInfoFactory = new OpIdInfoFactoryClass();
+
+// =============================================================================
+// REQUEST TIMEOUTS AND RETRIES
+// =============================================================================
+
+/**
+ * Helpers for HTTP requests to the Qoboto API: a timeout per attempt,
+ * exponential-backoff retries for transient failures (network errors, 5xx and
+ * 429, honouring Retry-After) and cancellation through an AbortSignal.
+ */
+class RequestRetryHelper {
+    /**
+     * Default request settings, see QobotoApiService.setRequestOptions()
+     */
+    static get DEFAULTS() {
+        return {
+            timeoutMs: 10000, // Per attempt, including reading the body
+            retries: 2, // Extra attempts after the first one
+            retryDelayMs: 500, // First backoff delay, doubled on every retry
+            maxRetryDelayMs: 10000 // Upper bound for backoff and Retry-After waits
+        };
     }
 
-    async sectionMain1Description() {
-        // Check for manual override first
-        if (this._customOverrides.sectionMain1Description) {
-            return this._customOverrides.sectionMain1Description;
+    /**
+     * The error an aborted call rejects with
+     * @param {AbortSignal} signal - The aborted signal
+     * @returns {*} The signal's reason, or an AbortError if it has none
+     */
+    static abortReason(signal) {
+        if (signal.reason !== undefined) {
+            return signal.reason;
         }
+        const error = new Error("The operation was aborted");
+        error.name = "AbortError";
+        return error;
+    }
 
-        // Check cache
-        if (this._dataCache.sectionMain1Description) {
-            return this._dataCache.sectionMain1Description;
+    /**
+     * Let cancellation through catch blocks that otherwise turn errors into fallbacks
+     * @param {*} error - The caught error
+     * @param {AbortSignal} signal - The caller's signal (optional)
+     */
+    static rethrowIfAborted(error, signal) {
+        if (signal && signal.aborted) {
+            throw error;
         }
+    }
 
-        try {
-            // Get identity URL from opIdInfo
-            const identityUrl = this._getSimpleIdentityUrl();
+    /**
+     * Wait, unless the signal is aborted first
+     * @param {number} ms - Milliseconds to wait
+     * @param {AbortSignal} signal - Optional signal
+     * @returns {Promise<void>} Rejects with the abort reason when aborted
+     */
+    static sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(RequestRetryHelper.abortReason(signal));
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(RequestRetryHelper.abortReason(signal));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
 
-            // Fetch from Qoboto API
-            const description = await qobotoApiService.getSectionMain1Description(identityUrl);
+    static isRetryableStatus(status) {
+        return status === 429 || status >= 500;
+    }
 
-            if (description) {
-                this._dataCache.sectionMain1Description = description;
-                return description;
+    /**
+     * Parse a Retry-After header (seconds or an HTTP date)
+     * @param {string|null} value - The header value
+     * @returns {number|null} Milliseconds to wait or null if absent/invalid
+     */
+    static parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+        if (/^\s*\d+\s*$/.test(value)) {
+            return Number(value) * 1000;
+        }
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * How long to wait before the next attempt
+     * @param {number} attempt - The attempt that just failed (0 for the first)
+     * @param {object} options - Request settings
+     * @param {object|null} response - The failed response, if there was one
+     * @returns {number} Milliseconds to wait
+     */
+    static retryDelay(attempt, options, response) {
+        const retryAfter = response ? RequestRetryHelper.parseRetryAfter(response.headers.get('Retry-After')) : null;
+        if (retryAfter !== null) {
+            return Math.min(retryAfter, options.maxRetryDelayMs);
+        }
+        const delay = Math.min(options.maxRetryDelayMs, options.retryDelayMs * 2 ** attempt);
+        // Jitter so many clients don't retry in lockstep
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    /**
+     * Fetch a URL and read its body as text, with timeout, retries and cancellation
+     * @param {string} url - The URL
+     * @param {object} init - fetch() options (method, headers, body)
+     * @param {object} options - Request settings ({ timeoutMs, retries, retryDelayMs, maxRetryDelayMs })
+     * @param {AbortSignal} signal - Optional signal to cancel all attempts
+     * @param {QobotoApiService} service - For logging
+     * @returns {Promise<{response: Response, text: string}>} The last response, which may still be
+     *   an error status once retries are used up. Rejects on network errors, timeouts and aborts
+     */
+    static async fetchText(url, init, options, signal, service) {
+        for (let attempt = 0; ; attempt++) {
+            let result = null;
+            let failure = null;
+            try {
+                result = await RequestRetryHelper._fetchTextOnce(url, init, options.timeoutMs, signal);
+            } catch (error) {
+                RequestRetryHelper.rethrowIfAborted(error, signal);
+                failure = error;
+            }
+
+            const retryable = failure !== null || RequestRetryHelper.isRetryableStatus(result.response.status);
+            if (!retryable || attempt >= options.retries) {
+                if (failure) throw failure;
+                return result;
             }
+
+            const delay = RequestRetryHelper.retryDelay(attempt, options, result && result.response);
+            const reason = failure ? failure.message : `HTTP ${result.response.status}`;
+            service._warn(`Request failed (${reason}), retry ${attempt + 1}/${options.retries} in ${Math.round(delay)} ms`);
+            await RequestRetryHelper.sleep(delay, signal);
+        }
+    }
+
+    static async _fetchTextOnce(url, init, timeoutMs, signal) {
+        if (signal && signal.aborted) {
+            throw RequestRetryHelper.abortReason(signal);
+        }
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(RequestRetryHelper.abortReason(signal));
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        let timedOut = false;
+        const timer = timeoutMs > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs) : null;
+
+        try {
+            const response = await fetch(url, { ...init, signal: controller.signal });
+            const text = await response.text();
+            return { response, text };
         } catch (error) {
-            console.error("Error fetching description from API:", error);
+            if (timedOut) {
+                const timeoutError = new Error(`Request timed out after ${timeoutMs} ms`);
+                timeoutError.name = "TimeoutError";
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
         }
+    }
+}
 
-        // Default description fallback
-        const defaultDescription = `Welcome to ${this.opIdInfo.identityName}'s digital identity dashboard.`;
-        this._dataCache.sectionMain1Description = defaultDescription;
-        return defaultDescription;
+// =============================================================================
+// QOBOTO DATA PROVIDERS
+// =============================================================================
+
+/**
+ * Data providers supply the raw section list for an identity to QobotoApiService.
+ *
+ * Every provider implements the same interface:
+ *   async fetchSections(identityUrl, service, { signal }) -> Array|Object|null
+ *
+ * The returned value is the API response as parsed JSON (normally the list of
+ * section objects). QobotoApiService validates it against QobotoResponseSchema,
+ * finds the "main" section and caches it, so providers only decide where the
+ * data comes from. Providers return null when the identity has no data and
+ * throw when the data could not be loaded; both outcomes are cached briefly.
+ *
+ * Providers that can load many identities in one call may also implement:
+ *   supportsBatch() -> boolean
+ *   async fetchSectionsBatch(identityUrls, service, { signal }) -> { [identityUrl]: response }
+ * The keys may use any form AccUrlParser accepts ("acc://sunstream.acme" answers "sunstream.acme").
+ *
+ * The signal is aborted when every caller waiting for the data has given up.
+ */
+class QobotoHttpDataProvider {
+    constructor() {
+        this.name = "http";
+        this.bulkPath = null; // e.g. "/api/v1/Qoboto/GetDataValue/AllBatch" when the backend has one
     }
 
-    async sectionMain1Background2ImageUrl() {
-        // Check for manual override first
-        if (this._customOverrides.sectionMain1Background2ImageUrl) {
-            return this._customOverrides.sectionMain1Background2ImageUrl;
+    supportsBatch() {
+        return !!this.bulkPath;
+    }
+
+    /**
+     * Fetch the section lists of several identities from the bulk endpoint
+     *
+     * Expects POST {baseUrl}{bulkPath} with body { "dataAccountUrls": [...] } to
+     * answer with an object keyed by data account URL, each value being what
+     * GetDataValue/All returns for that identity.
+     *
+     * @param {Array<string>} identityUrls - The identity URLs (e.g., ["sunstream.acme", "acme.acme"])
+     * @param {QobotoApiService} service - The calling service (base URL, request settings and logging)
+     * @param {object} options - { signal } to cancel the request
+     * @returns {Promise<object|null>} Responses by identity URL or null if failed
+     */
+    async fetchSectionsBatch(identityUrls, service, options = {}) {
+        const apiUrl = `${service.baseUrl}${this.bulkPath}`;
+        service._debug(`Fetching ${identityUrls.length} identities from bulk endpoint: ${apiUrl}`);
+
+        const { response, text } = await RequestRetryHelper.fetchText(apiUrl, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json; charset=utf-8',
+                'Content-Type': 'application/json; charset=utf-8'
+            },
+            body: JSON.stringify({ dataAccountUrls: identityUrls })
+        }, service.requestOptions, options.signal, service);
+
+        if (!response.ok) {
+            service._warn(`Bulk API request failed: ${response.status} ${response.statusText}`);
+            return null;
         }
 
-        // Check cache
-        if (this._dataCache.sectionMain1Background2ImageUrl) {
-            return this._dataCache.sectionMain1Background2ImageUrl;
+        let responseData;
+        try {
+            responseData = JSON.parse(text);
+        } catch (parseError) {
+            const error = new OperateIdError(OperateIdError.CODES.PARSE,
+                `Failed to parse bulk response as JSON: ${parseError.message}`, { identityUrls }, parseError);
+            service._warn(error.message);
+            return null;
+        }
+        if (!responseData || typeof responseData !== 'object' || Array.isArray(responseData)) {
+            service._warn(`Bulk API response is not an object keyed by identity`);
+            return null;
+        }
+        return responseData;
+    }
+
+    /**
+     * Fetch the section list from the Qoboto API
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {QobotoApiService} service - The calling service (base URL and logging)
+     * @returns {Promise<Array|Object|null>} The parsed response or null if failed
+     */
+    async fetchSections(identityUrl, service, options = {}) {
+        // Construct API URL with correct format
+        // /api/v1/Qoboto/GetDataValue/All?DataAccountUrl=sunstream.acme
+        const apiUrl = `${service.baseUrl}/api/v1/Qoboto/GetDataValue/All?DataAccountUrl=${encodeURIComponent(identityUrl)}`;
+
+        service._debug(`Fetching Qoboto data from: ${apiUrl}`);
+
+        const { response, text: responseText } = await RequestRetryHelper.fetchText(apiUrl, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json; charset=utf-8',
+                'Content-Type': 'application/json; charset=utf-8'
+            }
+        }, service.requestOptions, options.signal, service);
+
+        if (response.status === 404) {
+            service._warn(`No Qoboto data for ${identityUrl} (404)`);
+            return null;
+        }
+        if (!response.ok) {
+            throw new OperateIdError(OperateIdError.CODES.HTTP_STATUS,
+                `API request failed: ${response.status} ${response.statusText}`,
+                { identityUrl, status: response.status, statusText: response.statusText });
         }
 
+        service._trace(`Raw response text:`, OperateIdLogger.body(responseText));
+
+        let responseData;
         try {
-            // Get identity URL from opIdInfo
-            const identityUrl = this._getSimpleIdentityUrl();
+            responseData = JSON.parse(responseText);
+        } catch (parseError) {
+            throw new OperateIdError(OperateIdError.CODES.PARSE,
+                `Failed to parse response as JSON: ${parseError.message}`, { identityUrl }, parseError);
+        }
 
-            // Fetch from Qoboto API
-            const backgroundImageUrl = await qobotoApiService.getSectionMain1Background2ImageUrl(identityUrl);
+        // Debug: Log the response type and content
+        service._trace(`Response type: ${typeof responseData}, is array: ${Array.isArray(responseData)}`);
 
-            if (backgroundImageUrl) {
-                this._dataCache.sectionMain1Background2ImageUrl = backgroundImageUrl;
-                return backgroundImageUrl;
-            }
-        } catch (error) {
-            console.error("Error fetching background image from API:", error);
+        // Double-encoded JSON strings and other legacy shapes are upgraded by QobotoResponseSchema
+        return responseData;
+    }
+}
+
+class QobotoMockDataProvider {
+    /**
+     * @param {object} options - Optional settings
+     * @param {number} options.delayMs - Simulated API delay in milliseconds (default 200)
+     */
+    constructor(options = {}) {
+        this.name = "mock";
+        this.delayMs = options.delayMs ?? 200;
+    }
+
+    /**
+     * Build a mock "main" section for an identity
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @returns {object} Mock data object (simulates the "main" section)
+     */
+    createMainSection(identityUrl) {
+        const identityName = identityUrl.split('.')[0].replace('acc://', '');
+        return {
+            name: 'main', // Simulate the main section
+            logoUrl: `https://pub-1c0e543900fc40318aa4c4aec39fb352.r2.dev/logo-${identityName}.png`,
+            sectionMain1Description: `Welcome to ${identityName}'s digital identity space. This is a comprehensive platform for managing your digital presence and accessing various blockchain services.`,
+            sectionMain1Background2ImageUrl: `https://images.unsplash.com/photo-1557804506-669a67965ba0?ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D&auto=format&fit=crop&w=1074&q=80`,
+            lastUpdated: new Date().toISOString(),
+            identityUrl: identityUrl
+        };
+    }
+
+    async fetchSections(identityUrl, service, options = {}) {
+        service._debug(`Serving mock data for ${identityUrl}`);
+        if (this.delayMs > 0) {
+            // Simulate API delay
+            await RequestRetryHelper.sleep(this.delayMs, options.signal);
         }
+        const identityName = identityUrl.split('.')[0].replace('acc://', '');
+        return [
+            { name: 'header', headerTitle: identityName },
+            this.createMainSection(identityUrl),
+            { name: 'footer', footerText: `${identityName} - powered by OperateID` }
+        ];
+    }
+}
+
+class QobotoStaticDataProvider {
+    /**
+     * @param {object} fixtures - Map of identity URL to API response
+     *   (a section list, or a single "main" section object), e.g.
+     *   { "sunstream.acme": [{ name: "main", logoUrl: "..." }] }
+     */
+    constructor(fixtures = {}) {
+        this.name = "static";
+        this.fixtures = {};
+        Object.keys(fixtures).forEach(identityUrl => this.setFixture(identityUrl, fixtures[identityUrl]));
+    }
+
+    _key(identityUrl) {
+        return (identityUrl || "").toLowerCase().replace('acc://', '');
+    }
+
+    /**
+     * Add or replace the response for one identity
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {Array|Object} responseData - The response to serve
+     */
+    setFixture(identityUrl, responseData) {
+        this.fixtures[this._key(identityUrl)] = responseData;
+    }
+
+    async fetchSections(identityUrl, service) {
+        const responseData = this.fixtures[this._key(identityUrl)];
+        if (responseData === undefined) {
+            service._warn(`No static fixture for ${identityUrl}`);
+            return null;
+        }
+        // Hand out a copy so callers can't mutate the fixture
+        return JSON.parse(JSON.stringify(responseData));
+    }
+}
+
+// =============================================================================
+// QOBOTO RESPONSE SCHEMA
+// =============================================================================
+
+/**
+ * QobotoResponseSchema - Declared shape of GetDataValue/All responses
+ *
+ * Versions:
+ * - 1 (legacy): a single object holding the "main" fields, with or without name
+ * - 2 (current): a list of section objects, each with a string "name"
+ *
+ * validate() first runs adapters that upgrade legacy shapes to the current
+ * version (decoding double-encoded JSON strings, wrapping a single object in a
+ * list), then checks every section against the field rules below. Anything
+ * that breaks a rule is reported with its path and dropped, so the returned
+ * data only contains fields of the declared types:
+ *
+ *   {
+ *     valid: false,
+ *     version: 2,                 // version of the returned data
+ *     sourceVersion: 1,           // version the response arrived in
+ *     adaptersApplied: ["wrapSingleObject"],
+ *     data: [ ...sanitised sections ],
+ *     errors: [{ path: "[1].logoUrl", code: "WRONG_TYPE", message: "...", expected: "string", actual: "number" }]
+ *   }
+ */
+class QobotoResponseSchema {
+    static get CURRENT_VERSION() {
+        return 2;
+    }
+
+    static get ERROR_CODES() {
+        return {
+            INVALID_ROOT: "INVALID_ROOT",
+            UNDECODABLE_STRING: "UNDECODABLE_STRING",
+            ITEM_NOT_OBJECT: "ITEM_NOT_OBJECT",
+            MISSING_FIELD: "MISSING_FIELD",
+            WRONG_TYPE: "WRONG_TYPE",
+            DUPLICATE_SECTION: "DUPLICATE_SECTION",
+            MISSING_SECTION: "MISSING_SECTION"
+        };
+    }
+
+    /**
+     * Field rules of the current version. A field matches the first rule whose
+     * pattern fits; fields without a rule are accepted as they are. null is
+     * accepted everywhere and means "not set".
+     */
+    static get SECTION_RULES() {
+        return {
+            "*": [
+                { pattern: /^name$/, type: "string", required: true }
+            ],
+            main: [
+                { pattern: /^logoUrl$/, type: "string" },
+                { pattern: /^lastUpdated$/, type: "string" },
+                { pattern: /^identityUrl$/, type: "string" },
+                { pattern: /^sectionMain\d+/, type: "string" }
+            ],
+            header: [
+                { pattern: /^header/, type: "string" }
+            ],
+            footer: [
+                { pattern: /^footer/, type: "string" }
+            ]
+        };
+    }
+
+    static get REQUIRED_SECTIONS() {
+        return ["main"];
+    }
+
+    /**
+     * Adapters that upgrade legacy shapes, tried in order until none applies
+     */
+    static get ADAPTERS() {
+        return [
+            {
+                name: "decodeJsonString",
+                applies: data => typeof data === "string",
+                upgrade: data => JSON.parse(data)
+            },
+            {
+                name: "unwrapSectionsEnvelope",
+                applies: data => data && typeof data === "object" && !Array.isArray(data) && Array.isArray(data.sections),
+                upgrade: data => data.sections
+            },
+            {
+                name: "wrapSingleObject",
+                applies: data => data && typeof data === "object" && !Array.isArray(data),
+                upgrade: data => [Object.assign({ name: "main" }, data)]
+            }
+        ];
+    }
+
+    /**
+     * Upgrade and validate an API response
+     * @param {*} responseData - The parsed response
+     * @returns {object} Validation report (see class comment)
+     */
+    static validate(responseData) {
+        const codes = QobotoResponseSchema.ERROR_CODES;
+        const errors = [];
+        const adaptersApplied = [];
+        const report = (data, sourceVersion) => ({
+            valid: errors.length === 0,
+            version: data ? QobotoResponseSchema.CURRENT_VERSION : null,
+            sourceVersion: sourceVersion,
+            adaptersApplied: adaptersApplied,
+            data: data,
+            errors: errors
+        });
+
+        let data = responseData;
+        let sourceVersion = Array.isArray(data) ? 2 : null;
+
+        // Run adapters until the data is a list (guard against adapter loops)
+        for (let round = 0; round < 5 && !Array.isArray(data); round++) {
+            const adapter = QobotoResponseSchema.ADAPTERS.find(candidate => candidate.applies(data));
+            if (!adapter) break;
+            if (adapter.name === "wrapSingleObject") sourceVersion = 1;
+            try {
+                data = adapter.upgrade(data);
+                adaptersApplied.push(adapter.name);
+            } catch (error) {
+                errors.push({ path: "", code: codes.UNDECODABLE_STRING, message: `Response string is not valid JSON: ${error.message}` });
+                return report(null, sourceVersion);
+            }
+        }
+
+        if (!Array.isArray(data)) {
+            errors.push({
+                path: "",
+                code: codes.INVALID_ROOT,
+                message: "Response must be a list of sections",
+                expected: "array",
+                actual: QobotoResponseSchema._typeOf(data)
+            });
+            return report(null, sourceVersion);
+        }
+        if (sourceVersion === null) sourceVersion = 2;
+
+        const rules = QobotoResponseSchema.SECTION_RULES;
+        const seen = new Set();
+        const sections = [];
+
+        data.forEach((item, index) => {
+            const path = `[${index}]`;
+            if (!item || typeof item !== "object" || Array.isArray(item)) {
+                errors.push({ path, code: codes.ITEM_NOT_OBJECT, message: `Section ${path} must be an object`, expected: "object", actual: QobotoResponseSchema._typeOf(item) });
+                return;
+            }
+
+            if (typeof item.name !== "string" || item.name === "") {
+                const missing = item.name === undefined || item.name === null || item.name === "";
+                errors.push(missing
+                    ? { path: `${path}.name`, code: codes.MISSING_FIELD, message: `Section ${path} has no name` }
+                    : { path: `${path}.name`, code: codes.WRONG_TYPE, message: `Section ${path} name must be a string`, expected: "string", actual: QobotoResponseSchema._typeOf(item.name) });
+                return;
+            }
+
+            if (seen.has(item.name)) {
+                errors.push({ path: `${path}.name`, code: codes.DUPLICATE_SECTION, message: `Section "${item.name}" appears more than once - the first one is used` });
+                return;
+            }
+            seen.add(item.name);
+
+            const sectionRules = (rules[item.name] || []).concat(rules["*"]);
+            const section = {};
+            Object.keys(item).forEach(field => {
+                const value = item[field];
+                const rule = sectionRules.find(candidate => candidate.pattern.test(field));
+                if (rule && value !== null && QobotoResponseSchema._typeOf(value) !== rule.type) {
+                    errors.push({
+                        path: `${path}.${field}`,
+                        code: codes.WRONG_TYPE,
+                        message: `"${item.name}" field ${field} must be a ${rule.type}`,
+                        expected: rule.type,
+                        actual: QobotoResponseSchema._typeOf(value)
+                    });
+                    return;
+                }
+                section[field] = value;
+            });
+            sections.push(section);
+        });
+
+        QobotoResponseSchema.REQUIRED_SECTIONS.forEach(name => {
+            if (!seen.has(name)) {
+                const available = sections.map(section => section.name).join(", ") || "none";
+                errors.push({ path: "", code: codes.MISSING_SECTION, message: `Required section "${name}" is missing (available: ${available})` });
+            }
+        });
+
+        return report(sections, sourceVersion);
+    }
+
+    static _typeOf(value) {
+        if (value === null) return "null";
+        if (Array.isArray(value)) return "array";
+        return typeof value;
+    }
+}
+
+// =============================================================================
+// QOBOTO PAGE MODEL
+// =============================================================================
+
+/**
+ * QobotoPageModel - Typed view of all sections of a Qoboto page
+ *
+ * Section fields are prefixed with the section name in the API
+ * ("headerTitle", "footerText", "sectionMain2Description"); the model strips
+ * the prefixes:
+ *
+ *   page.header.title                      <- header.headerTitle
+ *   page.footer.text                       <- footer.footerText
+ *   page.main.logoUrl                      <- main.logoUrl
+ *   page.main.sections[0].description      <- main.sectionMain1Description
+ *   page.main.sections[0].background2ImageUrl <- main.sectionMain1Background2ImageUrl
+ *
+ * Text fields (anything not ending in "Url") are cleaned the same way as
+ * getSectionMain1Description, and image URLs (fields ending in "LogoUrl" or
+ * "ImageUrl", and logoUrl) go through the asset URL policy. The raw sections
+ * stay available in page.sections.
+ */
+class QobotoPageModel {
+    /**
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {Array<object>} sections - The raw section list
+     * @param {function} cleanText - Text cleaner for text fields
+     * @param {function} checkAssetUrl - Called with (field, url) for image URLs, returns the URL to use
+     */
+    constructor(identityUrl, sections, cleanText = text => text, checkAssetUrl = (field, url) => url) {
+        this.identityUrl = identityUrl;
+        this.sections = sections;
+        this._cleanText = cleanText;
+        this._checkAssetUrl = checkAssetUrl;
+
+        const header = this.getSection("header") || {};
+        const footer = this.getSection("footer") || {};
+        const main = this.getSection("main") || {};
+
+        this.header = this._stripPrefix(header, "header");
+        this.footer = this._stripPrefix(footer, "footer");
+        this.main = this._buildMain(main);
+    }
+
+    /**
+     * Get a raw section by name
+     * @param {string} sectionName - The section name (e.g., "header")
+     * @returns {object|null} The section or null if missing
+     */
+    getSection(sectionName) {
+        return this.sections.find(section => section.name === sectionName) || null;
+    }
+
+    /**
+     * Names of all sections on the page
+     * @returns {Array<string>} The section names
+     */
+    sectionNames() {
+        return this.sections.map(section => section.name || "unnamed");
+    }
+
+    _buildMain(main) {
+        const model = { sections: [] };
+        const numbered = {};
+
+        Object.keys(main).forEach(key => {
+            if (key === "name") return;
+            const match = key.match(/^sectionMain(\d+)(.+)$/);
+            if (match) {
+                const index = parseInt(match[1], 10);
+                numbered[index] = numbered[index] || { index: index };
+                numbered[index][this._lowerFirst(match[2])] = this._value(match[2], main[key], key);
+            } else {
+                model[key] = this._value(key, main[key], key);
+            }
+        });
+
+        model.sections = Object.keys(numbered)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(index => numbered[index]);
+        return model;
+    }
+
+    _stripPrefix(section, prefix) {
+        const model = {};
+        Object.keys(section).forEach(key => {
+            if (key === "name") return;
+            const field = key.startsWith(prefix) && key.length > prefix.length
+                ? this._lowerFirst(key.substring(prefix.length))
+                : key;
+            model[field] = this._value(field, section[key], key);
+        });
+        return model;
+    }
+
+    _value(field, value, key = field) {
+        if (typeof value !== "string") {
+            return value;
+        }
+        if (/(logo|image)Url$/i.test(key)) {
+            return this._checkAssetUrl(key, value);
+        }
+        return /Url$/i.test(field) ? value : this._cleanText(value);
+    }
+
+    _lowerFirst(text) {
+        return text.charAt(0).toLowerCase() + text.slice(1);
+    }
+}
+
+// =============================================================================
+// SAFE HTML RENDERING
+// =============================================================================
+
+/**
+ * SafeHtml - Turns untrusted description text into something safe to show
+ *
+ * Anyone who controls a Qoboto data account controls its descriptions, so they
+ * must never reach innerHTML as-is. Formats:
+ * - "raw":     the text as stored (only for textContent or further processing)
+ * - "plain":   tags and Markdown removed, entities decoded - for textContent
+ * - "escaped": the text with <, >, &, " and ' escaped - safe in innerHTML, shows tags literally
+ * - "rich":    an allow-listed subset of HTML and Markdown, everything else escaped
+ *
+ * The rich subset is strong/b, em/i, u, code, br, p, ul/ol/li, blockquote and
+ * links (http, https and mailto only), plus Markdown **bold**, *italic*,
+ * `code`, [label](url) and line breaks. Attributes other than a link's href
+ * are dropped, and script/style/iframe-like elements are removed with their content.
+ *
+ * SafeHtml.render() fills an element with DOM nodes (createElement and text
+ * nodes), so no markup is ever built from the text.
+ */
+class SafeHtml {
+    static get FORMATS() {
+        return ["raw", "plain", "escaped", "rich"];
+    }
+
+    // Allowed tag -> tag written out (b and i are normalised)
+    static get ALLOWED_TAGS() {
+        return {
+            strong: "strong", b: "strong", em: "em", i: "em", u: "u", code: "code",
+            br: "br", p: "p", ul: "ul", ol: "ol", li: "li", blockquote: "blockquote", a: "a"
+        };
+    }
+
+    static get LINK_PROTOCOLS() {
+        return ["http:", "https:", "mailto:"];
+    }
+
+    /**
+     * Convert text to one of the output formats
+     * @param {string|null} text - The untrusted text
+     * @param {string} format - "raw" (default), "plain", "escaped" or "rich"
+     * @returns {string|null} The converted text (null and non-strings are returned unchanged)
+     * @throws {Error} If the format is unknown
+     */
+    static format(text, format = "raw") {
+        SafeHtml.assertFormat(format);
+        if (typeof text !== "string") {
+            return text;
+        }
+        switch (format) {
+            case "plain":
+                return SafeHtml.toPlainText(text);
+            case "escaped":
+                return SafeHtml.escape(text);
+            case "rich":
+                return SafeHtml.toRichHtml(text);
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Escape text for use in HTML content or a quoted attribute
+     * @param {string} text - The text
+     * @returns {string} The escaped text
+     */
+    static escape(text) {
+        return String(text ?? "")
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+    }
+
+    /**
+     * Remove tags and Markdown, keeping the words and line breaks
+     * @param {string} text - The untrusted text
+     * @returns {string} Plain text
+     */
+    static toPlainText(text) {
+        const parts = [];
+        const walk = nodes => nodes.forEach(node => {
+            if (typeof node === "string") {
+                parts.push(node);
+                return;
+            }
+            if (node.tag === "br") {
+                parts.push("\n");
+                return;
+            }
+            walk(node.children);
+            if (["p", "li", "blockquote", "ul", "ol"].includes(node.tag)) {
+                parts.push("\n");
+            }
+        });
+        walk(SafeHtml.parse(text));
+        return parts.join("")
+            .replace(/[ \t]+/g, " ")
+            .replace(/ *\n */g, "\n")
+            .replace(/\n{3,}/g, "\n\n")
+            .trim();
+    }
+
+    /**
+     * Keep the allow-listed HTML and Markdown subset and escape everything else
+     * @param {string} text - The untrusted text
+     * @returns {string} Sanitised HTML
+     */
+    static toRichHtml(text) {
+        const serialize = nodes => nodes.map(node => {
+            if (typeof node === "string") {
+                return SafeHtml.escape(node);
+            }
+            if (node.tag === "br") {
+                return "<br>";
+            }
+            const attributes = node.tag === "a"
+                ? ` href="${SafeHtml.escape(node.href)}" rel="noopener noreferrer nofollow" target="_blank"`
+                : "";
+            return `<${node.tag}${attributes}>${serialize(node.children)}</${node.tag}>`;
+        }).join("");
+        return serialize(SafeHtml.parse(text));
+    }
+
+    /**
+     * Replace an element's content with the text in the given format, using DOM nodes only
+     * @param {Element} element - The element to fill
+     * @param {string|null} text - The untrusted text
+     * @param {string} format - "plain" (default), "raw", "escaped" or "rich"; all but "rich"
+     *   end up as a single text node
+     * @returns {Element} The element
+     */
+    static render(element, text, format = "plain") {
+        SafeHtml.assertFormat(format);
+        const doc = element.ownerDocument;
+        if (typeof text !== "string") {
+            element.replaceChildren();
+            return element;
+        }
+        if (format !== "rich") {
+            element.textContent = format === "plain" ? SafeHtml.toPlainText(text) : text;
+            return element;
+        }
+        const build = nodes => nodes.map(node => {
+            if (typeof node === "string") {
+                return doc.createTextNode(node);
+            }
+            const child = doc.createElement(node.tag);
+            if (node.tag === "a") {
+                child.setAttribute("href", node.href);
+                child.setAttribute("rel", "noopener noreferrer nofollow");
+                child.setAttribute("target", "_blank");
+            }
+            child.append(...build(node.children || []));
+            return child;
+        });
+        element.replaceChildren(...build(SafeHtml.parse(text)));
+        return element;
+    }
+
+    /**
+     * Check whether a link target is allowed in rich text
+     * @param {string} url - The URL
+     * @returns {boolean} True for absolute http, https and mailto URLs
+     */
+    static isSafeLink(url) {
+        if (typeof url !== "string") {
+            return false;
+        }
+        // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+        const cleaned = url.replace(/[\u0000- \u007F]/g, "");
+        const match = cleaned.match(/^([a-z][a-z0-9+.-]*:)/i);
+        return !!match && SafeHtml.LINK_PROTOCOLS.includes(match[1].toLowerCase());
+    }
+
+    /**
+     * Parse text into a tree of strings and { tag, href, children } nodes from the allow-list
+     * @param {string} text - The untrusted text
+     * @returns {Array<string|object>} The nodes
+     */
+    static parse(text) {
+        const source = String(text ?? "")
+            .replace(/\r\n?/g, "\n")
+            .replace(/<!--[\s\S]*?(?:-->|$)/g, "")
+            .replace(/<(script|style|iframe|object|embed|template|noscript|svg|math|textarea|title|head)\b[\s\S]*?(?:<\/\1\s*>|$)/gi, "");
+        const root = { tag: null, children: [] };
+        const stack = [root];
+        const current = () => stack[stack.length - 1];
+        const insideCode = () => stack.some(node => node.tag === "code");
+        const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+        let lastIndex = 0;
+        let match;
+
+        const addText = chunk => {
+            if (!chunk || (/^\s*$/.test(chunk) && ["ul", "ol"].includes(current().tag))) return;
+            const decoded = SafeHtml._decodeEntities(chunk);
+            current().children.push(...(insideCode() ? [decoded] : SafeHtml._parseMarkdown(decoded)));
+        };
+
+        while ((match = tagPattern.exec(source)) !== null) {
+            addText(source.slice(lastIndex, match.index));
+            lastIndex = tagPattern.lastIndex;
+
+            const closing = match[1] === "/";
+            const tag = SafeHtml.ALLOWED_TAGS[match[2].toLowerCase()];
+            if (!tag) {
+                continue; // Unknown tags are dropped, their content stays
+            }
+            if (closing) {
+                const openIndex = stack.map(node => node.tag).lastIndexOf(tag);
+                if (openIndex > 0) {
+                    stack.length = openIndex;
+                }
+                continue;
+            }
+            if (tag === "br") {
+                current().children.push({ tag: "br", children: [] });
+                continue;
+            }
+            const node = { tag, children: [] };
+            if (tag === "a") {
+                const href = SafeHtml._attribute(match[3], "href");
+                if (!SafeHtml.isSafeLink(href)) {
+                    node.unsafe = true; // Keep the label, lose the link
+                } else {
+                    node.href = href.trim();
+                }
+            }
+            current().children.push(node);
+            stack.push(node);
+        }
+        addText(source.slice(lastIndex));
+        return SafeHtml._unwrapUnsafeLinks(root.children);
+    }
+
+    /**
+     * @param {string} format - A format name
+     * @throws {Error} If it is not one of SafeHtml.FORMATS
+     */
+    static assertFormat(format) {
+        if (!SafeHtml.FORMATS.includes(format)) {
+            throw new Error(`Unknown text format: ${format} (expected ${SafeHtml.FORMATS.join(", ")})`);
+        }
+    }
+
+    // Inline Markdown: `code`, **bold**, *italic*, [label](url) and line breaks
+    static _parseMarkdown(text) {
+        const nodes = [];
+        const pattern = /`([^`\n]+)`|\*\*([^*\n]+?)\*\*|\*([^*\s][^*\n]*?)\*|\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)|\n/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match.index > lastIndex) {
+                nodes.push(text.slice(lastIndex, match.index));
+            }
+            lastIndex = pattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                nodes.push({ tag: "code", children: [match[1]] });
+            } else if (match[2] !== undefined) {
+                nodes.push({ tag: "strong", children: SafeHtml._parseMarkdown(match[2]) });
+            } else if (match[3] !== undefined) {
+                nodes.push({ tag: "em", children: SafeHtml._parseMarkdown(match[3]) });
+            } else if (match[4] !== undefined) {
+                const label = SafeHtml._parseMarkdown(match[4]);
+                if (SafeHtml.isSafeLink(match[5])) {
+                    nodes.push({ tag: "a", href: match[5], children: label });
+                } else {
+                    nodes.push(...label);
+                }
+            } else {
+                nodes.push({ tag: "br", children: [] });
+            }
+        }
+        if (lastIndex < text.length) {
+            nodes.push(text.slice(lastIndex));
+        }
+        return nodes;
+    }
+
+    static _attribute(attributes, name) {
+        const pattern = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, "i");
+        const match = (attributes || "").match(pattern);
+        return match ? SafeHtml._decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+    }
+
+    static _decodeEntities(text) {
+        const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === "#") {
+                const value = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return value > 0 && value <= 0x10FFFF ? String.fromCodePoint(value) : "";
+            }
+            return named[code.toLowerCase()] ?? entity;
+        });
+    }
+
+    // Replace links with unsafe targets by their content
+    static _unwrapUnsafeLinks(nodes) {
+        return nodes.flatMap(node => {
+            if (typeof node === "string") return [node];
+            const children = SafeHtml._unwrapUnsafeLinks(node.children);
+            if (node.unsafe) return children;
+            return [node.href ? { tag: node.tag, href: node.href, children } : { tag: node.tag, children }];
+        });
+    }
+}
+
+// =============================================================================
+// AVATAR GENERATOR
+// =============================================================================
+
+/**
+ * AvatarGeneratorClass - Deterministic SVG avatars for identities without a logo
+ *
+ * Works offline: the avatar is an SVG built from the identity name and returned
+ * as a data URI, so the same name always gets the same picture. Styles:
+ * - "initials":  one or two letters on a colored background ("acme-corp" -> "AC")
+ * - "identicon": a mirrored 5x5 pattern on a light background
+ *
+ *   avatarGenerator.configure({ style: "identicon", shape: "circle" });
+ *   img.src = avatarGenerator.dataUri("sunstream");
+ *
+ * The color comes from the palette unless background/foreground are set.
+ */
+class AvatarGeneratorClass {
+    /**
+     * @param {object} options - Avatar settings (see AvatarGeneratorClass.DEFAULTS)
+     */
+    constructor(options = {}) {
+        this.options = AvatarGeneratorClass.DEFAULTS;
+        this.configure(options);
+    }
+
+    static get DEFAULTS() {
+        return {
+            style: "initials", // "initials" or "identicon"
+            size: 120,
+            shape: "rounded", // "square", "rounded" or "circle"
+            palette: ["#4F46E5", "#7C3AED", "#DB2777", "#DC2626", "#EA580C", "#059669", "#0891B2", "#2563EB"],
+            background: null, // null: palette color for initials, "#F3F4F6" for identicons
+            foreground: null, // null: white for initials, palette color for identicons
+            fontFamily: "Segoe UI, Helvetica, Arial, sans-serif"
+        };
+    }
+
+    /**
+     * Change some of the avatar settings
+     * @param {object} options - Avatar settings (all optional)
+     * @param {string} options.style - "initials" (default) or "identicon"
+     * @param {number} options.size - Width and height in px (default 120)
+     * @param {string} options.shape - "square", "rounded" (default) or "circle"
+     * @param {Array<string>} options.palette - Colors picked from by the name's hash
+     * @param {string|null} options.background - Fixed background color
+     * @param {string|null} options.foreground - Fixed letter/pattern color
+     * @param {string} options.fontFamily - Font for initials
+     */
+    configure(options = {}) {
+        this.options = this._merge(this.options, options);
+    }
+
+    /**
+     * Get a copy of the current settings
+     * @returns {object} The settings
+     */
+    getOptions() {
+        return { ...this.options, palette: [...this.options.palette] };
+    }
+
+    /**
+     * Build the avatar for a name as a data URI, usable in <img src> and CSS url()
+     * @param {string} name - The identity name (e.g., "sunstream")
+     * @param {object} options - Settings for this avatar only (same as configure())
+     * @returns {string} A data:image/svg+xml URI
+     */
+    dataUri(name, options = {}) {
+        return "data:image/svg+xml;charset=utf-8," + encodeURIComponent(this.svg(name, options));
+    }
+
+    /**
+     * Build the avatar for a name as SVG markup
+     * @param {string} name - The identity name (e.g., "sunstream")
+     * @param {object} options - Settings for this avatar only (same as configure())
+     * @returns {string} The SVG document
+     */
+    svg(name, options = {}) {
+        const settings = this._merge(this.options, options);
+        const seed = String(name ?? "").trim().toLowerCase();
+        const hash = AvatarGeneratorClass.hash(seed);
+        const color = settings.palette[hash % settings.palette.length];
+        const size = settings.size;
+        const radius = { square: 0, rounded: size * 0.15, circle: size / 2 }[settings.shape];
+        const attr = SafeHtml.escape;
+
+        const parts = [];
+        if (settings.style === "identicon") {
+            const background = settings.background || "#F3F4F6";
+            const foreground = settings.foreground || color;
+            const cell = size / 6; // 5 cells plus half a cell of padding on each side
+            parts.push(`<rect width="${size}" height="${size}" rx="${radius}" fill="${attr(background)}"/>`);
+            // 15 bits pick the cells of the left three columns, mirrored to the right
+            const bits = AvatarGeneratorClass.hash(seed + "#identicon");
+            for (let column = 0; column < 3; column++) {
+                for (let row = 0; row < 5; row++) {
+                    if ((bits >>> (column * 5 + row)) & 1) {
+                        (column === 2 ? [2] : [column, 4 - column]).forEach(x => {
+                            parts.push(`<rect x="${(x + 0.5) * cell}" y="${(row + 0.5) * cell}" width="${cell}" height="${cell}" fill="${attr(foreground)}"/>`);
+                        });
+                    }
+                }
+            }
+        } else {
+            const background = settings.background || color;
+            const foreground = settings.foreground || "#FFFFFF";
+            const initials = AvatarGeneratorClass.initials(seed);
+            const fontSize = Math.round(size * (initials.length > 1 ? 0.4 : 0.5));
+            parts.push(`<rect width="${size}" height="${size}" rx="${radius}" fill="${attr(background)}"/>`);
+            parts.push(`<text x="50%" y="50%" dy=".35em" text-anchor="middle" fill="${attr(foreground)}" `
+                + `font-family="${attr(settings.fontFamily)}" font-size="${fontSize}" font-weight="600">${attr(initials)}</text>`);
+        }
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`
+            + parts.join("") + "</svg>";
+    }
+
+    /**
+     * One or two letters for a name: the first letters of its first two words
+     * ("acme-corp" -> "AC"), or its first letter ("sunstream" -> "S")
+     * @param {string} name - The identity name
+     * @returns {string} The initials ("?" for an empty name)
+     */
+    static initials(name) {
+        const words = String(name ?? "").split(/[^a-zA-Z0-9]+/).filter(Boolean);
+        if (words.length === 0) return "?";
+        return words.slice(0, 2).map(word => word[0]).join("").toUpperCase();
+    }
+
+    /**
+     * 32-bit FNV-1a hash of a string
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    _merge(current, options) {
+        Object.keys(options).forEach(key => {
+            if (!(key in AvatarGeneratorClass.DEFAULTS)) {
+                throw new Error(`Unknown avatar option: ${key}`);
+            }
+        });
+        const next = { ...current, ...options };
+        if (!["initials", "identicon"].includes(next.style)) {
+            throw new Error(`Unknown avatar style: ${next.style} (expected "initials" or "identicon")`);
+        }
+        if (!["square", "rounded", "circle"].includes(next.shape)) {
+            throw new Error(`Unknown avatar shape: ${next.shape} (expected "square", "rounded" or "circle")`);
+        }
+        if (typeof next.size !== 'number' || next.size <= 0) {
+            throw new Error("Avatar size must be a positive number");
+        }
+        if (!Array.isArray(next.palette) || next.palette.length === 0) {
+            throw new Error("Avatar palette must be a non-empty array of colors");
+        }
+        [...next.palette, next.background, next.foreground].filter(color => color !== null).forEach(color => {
+            if (!AvatarGeneratorClass._isColor(color)) {
+                throw new Error(`Invalid avatar color: ${color}`);
+            }
+        });
+        return next;
+    }
+
+    // Hex, named, rgb()/rgba() and hsl()/hsla() colors only, so nothing else ends up in the SVG
+    static _isColor(color) {
+        return typeof color === 'string'
+            && /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%deg/]+\))$/i.test(color.trim());
+    }
+}
+
+// Shared by every OpIdResourceClass for default logos
+const avatarGenerator = new AvatarGeneratorClass();
+
+// =============================================================================
+// QR CODE GENERATOR
+// =============================================================================
+
+/**
+ * QrCodeGeneratorClass - QR codes for identity links, generated offline
+ *
+ * A plain JavaScript QR Code (Model 2) encoder, so no link is ever sent to a
+ * QR service. The text is UTF-8 encoded in byte mode, the smallest version
+ * (1-40) that fits is picked and the mask with the lowest penalty is applied.
+ *
+ *   qrCodeGenerator.configure({ errorCorrection: "Q", moduleSize: 6 });
+ *   img.src = qrCodeGenerator.dataUri("https://sunstream.Qoboto.com/?current-network=mainnet");
+ *
+ * encode() returns the bare module matrix for callers that draw it themselves.
+ */
+class QrCodeGeneratorClass {
+    /**
+     * @param {object} options - QR code settings (see QrCodeGeneratorClass.DEFAULTS)
+     */
+    constructor(options = {}) {
+        this.options = QrCodeGeneratorClass.DEFAULTS;
+        this.configure(options);
+    }
+
+    static get DEFAULTS() {
+        return {
+            errorCorrection: "M", // "L", "M", "Q" or "H": about 7, 15, 25 or 30% of the code may be damaged
+            moduleSize: 4, // px per module
+            margin: 4, // Quiet zone around the code, in modules (scanners expect 4)
+            foreground: "#000000",
+            background: "#FFFFFF"
+        };
+    }
+
+    /**
+     * Change some of the QR code settings
+     * @param {object} options - QR code settings (all optional)
+     * @param {string} options.errorCorrection - "L", "M" (default), "Q" or "H"
+     * @param {number} options.moduleSize - Size of one module in px (default 4)
+     * @param {number} options.margin - Quiet zone in modules (default 4)
+     * @param {string} options.foreground - Color of the dark modules
+     * @param {string} options.background - Color of the light modules and the quiet zone
+     */
+    configure(options = {}) {
+        this.options = this._merge(this.options, options);
+    }
+
+    /**
+     * Get a copy of the current settings
+     * @returns {object} The settings
+     */
+    getOptions() {
+        return { ...this.options };
+    }
+
+    /**
+     * Build the QR code for a text as a data URI, usable in <img src> and CSS url()
+     * @param {string} text - The text to encode (e.g., an app URL)
+     * @param {object} options - Settings for this code only (same as configure())
+     * @returns {string} A data:image/svg+xml URI
+     */
+    dataUri(text, options = {}) {
+        return "data:image/svg+xml;charset=utf-8," + encodeURIComponent(this.svg(text, options));
+    }
+
+    /**
+     * Build the QR code for a text as SVG markup
+     * @param {string} text - The text to encode (e.g., an app URL)
+     * @param {object} options - Settings for this code only (same as configure())
+     * @returns {string} The SVG document
+     * @throws {Error} If the text doesn't fit in a QR code
+     */
+    svg(text, options = {}) {
+        const settings = this._merge(this.options, options);
+        const code = QrCodeGeneratorClass.encode(text, settings.errorCorrection);
+        const margin = settings.margin;
+        const total = code.size + margin * 2;
+        const pixels = total * settings.moduleSize;
+        const attr = SafeHtml.escape;
+
+        // One path with a 1x1 square per dark module, in module coordinates
+        let path = "";
+        code.modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+        }));
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${pixels}" height="${pixels}" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">`
+            + `<rect width="${total}" height="${total}" fill="${attr(settings.background)}"/>`
+            + `<path d="${path}" fill="${attr(settings.foreground)}"/></svg>`;
+    }
+
+    /**
+     * Encode a text as a QR code
+     * @param {string} text - The text to encode
+     * @param {string} errorCorrection - "L", "M" (default), "Q" or "H"
+     * @returns {{version: number, size: number, errorCorrection: string, mask: number, modules: Array<Array<boolean>>}}
+     *   modules[y][x] is true for dark modules
+     * @throws {Error} If the text doesn't fit in a version 40 QR code
+     */
+    static encode(text, errorCorrection = "M") {
+        const level = QrCodeGeneratorClass.ERROR_CORRECTION_LEVELS[errorCorrection];
+        if (!level) {
+            throw new Error(`Unknown QR error correction level: ${errorCorrection} (expected "L", "M", "Q" or "H")`);
+        }
+        const bytes = new TextEncoder().encode(String(text ?? ""));
+
+        let version = 1;
+        for (; version <= 40; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= QrCodeGeneratorClass._dataCodewords(version, level) * 8) break;
+        }
+        if (version > 40) {
+            throw new Error(`Text is too long for a QR code (${bytes.length} bytes, at most `
+                + `${QrCodeGeneratorClass._dataCodewords(40, level) - 3} with error correction "${errorCorrection}")`);
+        }
+
+        // Byte mode segment, terminator and padding
+        const capacity = QrCodeGeneratorClass._dataCodewords(version, level) * 8;
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        append(0b0100, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        const matrix = new QrMatrix(version);
+        matrix.drawFunctionPatterns();
+        matrix.drawCodewords(QrCodeGeneratorClass._addErrorCorrection(data, version, level));
+
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            matrix.applyMask(mask);
+            matrix.drawFormatBits(level.formatBits, mask);
+            const penalty = matrix.penalty();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            matrix.applyMask(mask); // XOR again to undo
+        }
+        matrix.applyMask(bestMask);
+        matrix.drawFormatBits(level.formatBits, bestMask);
+
+        return { version, size: matrix.size, errorCorrection, mask: bestMask, modules: matrix.modules };
+    }
+
+    static get ERROR_CORRECTION_LEVELS() {
+        return {
+            L: { index: 0, formatBits: 1 },
+            M: { index: 1, formatBits: 0 },
+            Q: { index: 2, formatBits: 3 },
+            H: { index: 3, formatBits: 2 }
+        };
+    }
+
+    // Error correction codewords per block, by level (L, M, Q, H) and version (index 0 unused)
+    static get _ECC_CODEWORDS_PER_BLOCK() {
+        return [
+            [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+            [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+        ];
+    }
+
+    // Error correction blocks, by level (L, M, Q, H) and version (index 0 unused)
+    static get _ECC_BLOCKS() {
+        return [
+            [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+            [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+            [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+            [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+        ];
+    }
+
+    // Modules left for codewords once finder, timing, alignment, format and version patterns are placed
+    static _rawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            result -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    static _dataCodewords(version, level) {
+        return Math.floor(QrCodeGeneratorClass._rawDataModules(version) / 8)
+            - QrCodeGeneratorClass._ECC_CODEWORDS_PER_BLOCK[level.index][version]
+            * QrCodeGeneratorClass._ECC_BLOCKS[level.index][version];
+    }
+
+    // Split the data into blocks, append each block's Reed-Solomon codewords and interleave
+    static _addErrorCorrection(data, version, level) {
+        const blockCount = QrCodeGeneratorClass._ECC_BLOCKS[level.index][version];
+        const eccLength = QrCodeGeneratorClass._ECC_CODEWORDS_PER_BLOCK[level.index][version];
+        const rawCodewords = Math.floor(QrCodeGeneratorClass._rawDataModules(version) / 8);
+        const shortBlocks = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = QrCodeGeneratorClass._reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = QrCodeGeneratorClass._reedSolomonRemainder(block, divisor);
+            if (i < shortBlocks) block.push(0); // Placeholder so all blocks have the same length
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    static _reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = QrCodeGeneratorClass._gfMultiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = QrCodeGeneratorClass._gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static _reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QrCodeGeneratorClass._gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    static _gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    _merge(current, options) {
+        Object.keys(options).forEach(key => {
+            if (!(key in QrCodeGeneratorClass.DEFAULTS)) {
+                throw new Error(`Unknown QR code option: ${key}`);
+            }
+        });
+        const next = { ...current, ...options };
+        if (!QrCodeGeneratorClass.ERROR_CORRECTION_LEVELS[next.errorCorrection]) {
+            throw new Error(`Unknown QR error correction level: ${next.errorCorrection} (expected "L", "M", "Q" or "H")`);
+        }
+        if (typeof next.moduleSize !== 'number' || next.moduleSize <= 0) {
+            throw new Error("QR module size must be a positive number");
+        }
+        if (!Number.isInteger(next.margin) || next.margin < 0) {
+            throw new Error("QR margin must be a whole number of modules");
+        }
+        [next.foreground, next.background].forEach(color => {
+            if (!AvatarGeneratorClass._isColor(color)) {
+                throw new Error(`Invalid QR code color: ${color}`);
+            }
+        });
+        return next;
+    }
+}
+
+/**
+ * QrMatrix - The module grid of one QR code while it is being built
+ *
+ * Coordinates are (x, y) = (column, row) from the top left; modules[y][x] is
+ * true for dark. Function patterns are remembered so codewords and masks skip them.
+ */
+class QrMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    drawFunctionPatterns() {
+        const size = this.size;
+        for (let i = 0; i < size; i++) {
+            this._setFunction(6, i, i % 2 === 0);
+            this._setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+                        this._setFunction(x + dx, y + dy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap the finders
+        const positions = this._alignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((x, i) => positions.forEach((y, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this._setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        this.drawFormatBits(0, 0); // Reserve the area; drawn for real once the mask is chosen
+
+        if (this.version >= 7) {
+            let remainder = this.version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (this.version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this._setFunction(a, b, dark);
+                this._setFunction(b, a, dark);
+            }
+        }
+    }
+
+    /**
+     * Write the two copies of the format information (error correction level and mask)
+     */
+    drawFormatBits(levelBits, mask) {
+        const size = this.size;
+        const data = (levelBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this._setFunction(8, i, bit(i));
+        this._setFunction(8, 7, bit(6));
+        this._setFunction(8, 8, bit(7));
+        this._setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this._setFunction(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this._setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this._setFunction(8, size - 15 + i, bit(i));
+        this._setFunction(8, size - 8, true); // Always dark
+    }
+
+    /**
+     * Place the codewords in the zigzag order, two columns at a time from the bottom right
+     */
+    drawCodewords(codewords) {
+        const size = this.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Flip the data modules selected by a mask pattern (applying it twice undoes it)
+     */
+    applyMask(mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        const invert = patterns[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && invert(x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    /**
+     * Penalty score of the current modules; the mask with the lowest one is used
+     */
+    penalty() {
+        const size = this.size;
+        const modules = this.modules;
+        const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+        let penalty = 0;
+
+        const lines = modules.concat(modules[0].map((_, x) => modules.map(row => row[x])));
+        lines.forEach(line => {
+            // Runs of five or more modules of one color
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += 3 + run - 5;
+                    run = 1;
+                }
+            }
+            // Patterns that look like a finder
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === (dark === 1)))) {
+                    penalty += 40;
+                }
+            }
+        });
+
+        // 2x2 blocks of one color
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = modules[y][x];
+                if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const total = size * size;
+        const darkCount = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+        penalty += Math.max(0, Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+
+    // Centers of the alignment patterns along each axis
+    _alignmentPositions() {
+        if (this.version === 1) return [];
+        const count = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        for (let position = this.size - 7; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    _setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+}
+
+// Shared by every OperateIdClient for identity QR codes
+const qrCodeGenerator = new QrCodeGeneratorClass();
+
+// =============================================================================
+// LRU CACHE
+// =============================================================================
+
+/**
+ * Map with a size limit - reading an entry marks it as recently used and
+ * adding one beyond maxEntries evicts the least recently used entry
+ */
+class LruCache {
+    /**
+     * @param {number} maxEntries - Maximum number of entries (default 500)
+     */
+    constructor(maxEntries = 500) {
+        this.maxEntries = maxEntries;
+        this._map = new Map(); // Insertion order is usage order, oldest first
+    }
+
+    get size() {
+        return this._map.size;
+    }
+
+    has(key) {
+        return this._map.has(key);
+    }
+
+    get(key) {
+        if (!this._map.has(key)) {
+            return undefined;
+        }
+        const value = this._map.get(key);
+        this._map.delete(key);
+        this._map.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        this._map.delete(key);
+        this._map.set(key, value);
+        this._evict();
+        return this;
+    }
+
+    delete(key) {
+        return this._map.delete(key);
+    }
+
+    clear() {
+        this._map.clear();
+    }
+
+    keys() {
+        return this._map.keys();
+    }
+
+    /**
+     * Change the size limit, evicting entries if needed
+     * @param {number} maxEntries - Maximum number of entries
+     */
+    resize(maxEntries) {
+        this.maxEntries = maxEntries;
+        this._evict();
+    }
+
+    _evict() {
+        while (this._map.size > this.maxEntries) {
+            this._map.delete(this._map.keys().next().value);
+        }
+    }
+
+    [Symbol.iterator]() {
+        return this._map.entries();
+    }
+}
+
+// =============================================================================
+// PERSISTENT CACHE STORES
+// =============================================================================
+
+/**
+ * Persistent cache stores keep Qoboto API responses across page loads and
+ * process restarts. QobotoApiService keeps its in-memory cache in front of the
+ * store and writes every accepted response through to it.
+ *
+ * Every store implements the same async interface:
+ *   get(key) -> entry|null, set(key, entry), delete(key), clear(), keys() -> Array<string>
+ * where entry is { data, identityUrl, timestamp }.
+ */
+class LocalStorageCacheStore {
+    /**
+     * @param {object} options - Store settings
+     * @param {object} options.storage - Storage object (default window.localStorage)
+     * @param {string} options.prefix - Prefix of the storage keys (default "operateid:")
+     */
+    constructor(options = {}) {
+        this.name = "localStorage";
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.prefix = options.prefix || "operateid:";
+        if (!this.storage) {
+            throw new Error("localStorage is not available");
+        }
+    }
+
+    async get(key) {
+        const text = this.storage.getItem(this.prefix + key);
+        return text ? JSON.parse(text) : null;
+    }
+
+    async set(key, entry) {
+        this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    }
+
+    async delete(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+
+    async keys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const storageKey = this.storage.key(i);
+            if (storageKey && storageKey.startsWith(this.prefix)) {
+                keys.push(storageKey.slice(this.prefix.length));
+            }
+        }
+        return keys;
+    }
+
+    async clear() {
+        // Only our own keys - the page may keep other things in localStorage
+        (await this.keys()).forEach(key => this.storage.removeItem(this.prefix + key));
+    }
+}
+
+class IndexedDbCacheStore {
+    /**
+     * @param {object} options - Store settings
+     * @param {string} options.dbName - Database name (default "operateid")
+     * @param {string} options.storeName - Object store name (default "qobotoCache")
+     * @param {object} options.indexedDB - IDBFactory (default window.indexedDB)
+     */
+    constructor(options = {}) {
+        this.name = "indexedDB";
+        this.dbName = options.dbName || "operateid";
+        this.storeName = options.storeName || "qobotoCache";
+        this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        if (!this.factory) {
+            throw new Error("IndexedDB is not available");
+        }
+        this._db = null;
+    }
+
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = this.factory.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this._db;
+    }
+
+    async _run(mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(key) {
+        const entry = await this._run("readonly", store => store.get(key));
+        return entry || null;
+    }
+
+    async set(key, entry) {
+        await this._run("readwrite", store => store.put(entry, key));
+    }
+
+    async delete(key) {
+        await this._run("readwrite", store => store.delete(key));
+    }
+
+    async keys() {
+        return (await this._run("readonly", store => store.getAllKeys())).map(String);
+    }
+
+    async clear() {
+        await this._run("readwrite", store => store.clear());
+    }
+}
+
+class FileCacheStore {
+    /**
+     * Node.js store that keeps all entries in one JSON file
+     * @param {object} options - Store settings
+     * @param {string} options.filePath - JSON file path (default ".operateid-cache.json" in the working directory)
+     */
+    constructor(options = {}) {
+        if (typeof require !== 'function') {
+            throw new Error("The file cache store is only available in Node.js");
+        }
+        this.name = "file";
+        this.fs = require('fs');
+        this.filePath = options.filePath || require('path').join(process.cwd(), '.operateid-cache.json');
+        this._entries = null;
+        this._writing = Promise.resolve();
+    }
+
+    async _load() {
+        if (!this._entries) {
+            try {
+                this._entries = JSON.parse(await this.fs.promises.readFile(this.filePath, 'utf8')) || {};
+            } catch (error) {
+                // Missing or unreadable file - start empty, it is rewritten on the next change
+                this._entries = {};
+            }
+        }
+        return this._entries;
+    }
+
+    _save() {
+        // Writes are queued so they land in order
+        const text = JSON.stringify(this._entries);
+        this._writing = this._writing.then(() => this.fs.promises.writeFile(this.filePath, text, 'utf8'));
+        return this._writing;
+    }
+
+    async get(key) {
+        return (await this._load())[key] || null;
+    }
+
+    async set(key, entry) {
+        (await this._load())[key] = entry;
+        await this._save();
+    }
+
+    async delete(key) {
+        delete (await this._load())[key];
+        await this._save();
+    }
+
+    async keys() {
+        return Object.keys(await this._load());
+    }
+
+    async clear() {
+        this._entries = {};
+        await this._save();
+    }
+}
+
+class CacheStoreFactory {
+    /**
+     * Create a persistent cache store
+     * @param {string} type - "auto", "indexedDB", "localStorage" or "file"
+     * @param {object} options - Passed to the store constructor
+     * @returns {object} The store
+     */
+    static create(type = "auto", options = {}) {
+        switch (type) {
+            case "indexedDB":
+                return new IndexedDbCacheStore(options);
+            case "localStorage":
+                return new LocalStorageCacheStore(options);
+            case "file":
+                return new FileCacheStore(options);
+            case "auto":
+                // Browsers get IndexedDB, falling back to localStorage; Node gets a file
+                if (typeof indexedDB !== 'undefined') return new IndexedDbCacheStore(options);
+                if (typeof localStorage !== 'undefined') return new LocalStorageCacheStore(options);
+                return new FileCacheStore(options);
+            default:
+                throw new Error(`Unknown cache store type: ${type}`);
+        }
+    }
+}
+
+// =============================================================================
+// ASSET URL POLICY
+// =============================================================================
+
+/**
+ * AssetUrlPolicy - Decides which logo and background image URLs may be shown
+ *
+ * Image URLs come from the identity's data account and end up in <img src> and
+ * CSS url(), so javascript:, relative, oversized or tracking URLs are rejected.
+ * check() returns { ok: true, url } with the normalised (and maybe upgraded)
+ * URL, or { ok: false, reason, message } where reason is one of EMPTY,
+ * TOO_LONG, INVALID_URL, UNSAFE_CHARACTER, SCHEME, DATA_TYPE, CREDENTIALS,
+ * HOST_DENIED or HOST_NOT_ALLOWED.
+ *
+ * Host lists take exact names ("cdn.example.com") or wildcards for subdomains
+ * ("*.example.com"). Allowing the "data" scheme only lets through base64
+ * raster images (png, gif, jpeg, webp, avif).
+ */
+class AssetUrlPolicy {
+    /**
+     * @param {object} options - Policy settings (see AssetUrlPolicy.DEFAULTS and configure())
+     */
+    constructor(options = {}) {
+        this.options = AssetUrlPolicy.DEFAULTS;
+        this.configure(options);
+    }
+
+    static get DEFAULTS() {
+        return {
+            allowedSchemes: ["https", "http"],
+            allowedHosts: null, // null allows every host that isn't denied
+            deniedHosts: [],
+            maxLength: 2048,
+            upgradeToHttps: false,
+            fallbacks: {} // Replacement per field (e.g. { logoUrl: "/img/logo.png" }), null by default
+        };
+    }
+
+    /**
+     * Change some of the policy settings
+     * @param {object} options - Policy settings (all optional)
+     * @param {Array<string>} options.allowedSchemes - Allowed URL schemes (default ["https", "http"])
+     * @param {Array<string>|null} options.allowedHosts - Only these hosts, or null for any (default null)
+     * @param {Array<string>} options.deniedHosts - Hosts that are never allowed (default [])
+     * @param {number} options.maxLength - Longest URL accepted (default 2048)
+     * @param {boolean} options.upgradeToHttps - Rewrite http:// URLs to https:// (default false)
+     * @param {object} options.fallbacks - URL used instead of a rejected one, per field (default none)
+     */
+    configure(options = {}) {
+        Object.keys(options).forEach(key => {
+            if (!(key in AssetUrlPolicy.DEFAULTS)) {
+                throw new Error(`Unknown asset URL policy option: ${key}`);
+            }
+        });
+        const next = { ...this.options, ...options };
+        if (!Array.isArray(next.allowedSchemes) || !Array.isArray(next.deniedHosts)
+            || (next.allowedHosts !== null && !Array.isArray(next.allowedHosts))) {
+            throw new Error("allowedSchemes and deniedHosts must be arrays, allowedHosts an array or null");
+        }
+        if (typeof next.maxLength !== 'number' || next.maxLength <= 0) {
+            throw new Error("maxLength must be a positive number");
+        }
+        next.allowedSchemes = next.allowedSchemes.map(scheme => scheme.toLowerCase().replace(/:$/, ""));
+        next.allowedHosts = next.allowedHosts && next.allowedHosts.map(host => host.toLowerCase());
+        next.deniedHosts = next.deniedHosts.map(host => host.toLowerCase());
+        next.fallbacks = { ...(next.fallbacks || {}) };
+        this.options = next;
+    }
+
+    /**
+     * Get a copy of the current settings
+     * @returns {object} The settings
+     */
+    getOptions() {
+        const options = this.options;
+        return {
+            ...options,
+            allowedSchemes: [...options.allowedSchemes],
+            allowedHosts: options.allowedHosts && [...options.allowedHosts],
+            deniedHosts: [...options.deniedHosts],
+            fallbacks: { ...options.fallbacks }
+        };
+    }
+
+    /**
+     * Check a URL against the policy
+     * @param {string} url - The URL from the API
+     * @returns {object} { ok: true, url } or { ok: false, reason, message }
+     */
+    check(url) {
+        const reject = (reason, message) => ({ ok: false, reason, message });
+        const { allowedSchemes, allowedHosts, deniedHosts, maxLength, upgradeToHttps } = this.options;
+
+        if (typeof url !== 'string' || url.trim() === "") {
+            return reject("EMPTY", "URL is empty");
+        }
+        const trimmed = url.trim();
+        if (trimmed.length > maxLength) {
+            return reject("TOO_LONG", `URL is ${trimmed.length} characters, the limit is ${maxLength}`);
+        }
+        // Browsers skip control characters and whitespace, which hides schemes like "java\tscript:"
+        if (/[\u0000- \u007F]/.test(trimmed)) {
+            return reject("INVALID_URL", "URL contains whitespace or control characters");
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(trimmed);
+        } catch (error) {
+            return reject("INVALID_URL", "URL is not absolute or can't be parsed");
+        }
+
+        const scheme = parsed.protocol.replace(/:$/, "");
+        if (!allowedSchemes.includes(scheme)) {
+            return reject("SCHEME", `Scheme "${scheme}" is not allowed`);
+        }
+        // Quotes, parentheses and backslashes can end a CSS url('...') and start another declaration
+        const unsafe = trimmed.match(/['"()\\]/);
+        if (unsafe) {
+            return reject("UNSAFE_CHARACTER", `URL contains the character ${unsafe[0]}`);
+        }
+        if (scheme === "data") {
+            return /^data:image\/(png|gif|jpeg|webp|avif);base64,[A-Za-z0-9+/]+=*$/i.test(trimmed)
+                ? { ok: true, url: trimmed }
+                : reject("DATA_TYPE", "Only base64 png, gif, jpeg, webp and avif data URLs are allowed");
+        }
+        if (parsed.username || parsed.password) {
+            return reject("CREDENTIALS", "URL must not contain credentials");
+        }
+
+        const host = parsed.hostname.toLowerCase();
+        if (deniedHosts.some(pattern => AssetUrlPolicy.hostMatches(host, pattern))) {
+            return reject("HOST_DENIED", `Host "${host}" is denied`);
+        }
+        if (allowedHosts && !allowedHosts.some(pattern => AssetUrlPolicy.hostMatches(host, pattern))) {
+            return reject("HOST_NOT_ALLOWED", `Host "${host}" is not in the allow list`);
+        }
+
+        if (upgradeToHttps && scheme === "http") {
+            parsed.protocol = "https:";
+        }
+        return { ok: true, url: parsed.href };
+    }
+
+    /**
+     * The URL to use when a field's value was rejected
+     * @param {string} field - The field name (e.g., "logoUrl")
+     * @returns {string|null} The configured fallback or null
+     */
+    fallbackFor(field) {
+        return this.options.fallbacks[field] ?? null;
+    }
+
+    /**
+     * Match a host name against "example.com" (exact) or "*.example.com" (any subdomain)
+     */
+    static hostMatches(host, pattern) {
+        if (pattern.startsWith("*.")) {
+            return host.endsWith(pattern.substring(1));
+        }
+        return host === pattern;
+    }
+}
+
+// =============================================================================
+// QOBOTO API SERVICE
+// =============================================================================
+
+/**
+ * QobotoApiService - Fetches data from Qoboto API
+ *
+ * The API returns a list of section objects. This service automatically:
+ * 1. Calls the API: GET /api/v1/Qoboto/GetDataValue/All?DataAccountUrl={identityUrl}
+ * 2. Parses the response list
+ * 3. Finds the object where name="main"
+ * 4. Extracts logoUrl, sectionMain1Description, sectionMain1Background2ImageUrl
+ * 5. Caches the result for 5 minutes, separately per network and API base URL
+ *
+ * The memory cache holds at most 500 entries (least recently used go first).
+ * Identities without data are remembered for a minute and failed requests for
+ * 10 seconds, so a missing identity isn't re-requested on every render.
+ *
+ * With a persistent store configured (see setCacheOptions) API responses also
+ * survive page loads, and with staleWhileRevalidate expired data is served
+ * instantly while a fresh copy is fetched in the background.
+ *
+ * Concurrent calls for the same identity and network share one request, so a
+ * card asking for logo, description and background at once fetches only once.
+ *
+ * Where the section list comes from is decided by the active data provider:
+ * an explicitly set provider wins, otherwise development mode selects the mock
+ * provider and production mode the HTTP provider.
+ */
+class QobotoApiService {
+    /**
+     * @param {NetworkNameServiceClass} networkService - Supplies the current network
+     * @param {OperateIdLogger} logger - Logger shared with the client (default: a new quiet logger)
+     */
+    constructor(networkService = networkNameService, logger = new OperateIdLogger()) {
+        this.networkService = networkService; // Cache entries are partitioned by network
+        this.baseUrl = networkService.currentNetwork().qobotoApiBaseUrl; // The network's API until setBaseUrl()
+        this.cache = new LruCache(500); // API responses and recent failures
+        this.cacheTtls = {
+            response: 5 * 60 * 1000, // 5 minutes cache
+            notFound: 60 * 1000, // Identity has no data (e.g. 404)
+            error: 10 * 1000 // Request failed or the response was rejected
+        };
+        this.logger = logger; // Scoped per class, see OperateIdLogger
+        this.developmentMode = false;
+        this.httpProvider = new QobotoHttpDataProvider();
+        this.mockProvider = new QobotoMockDataProvider();
+        this.customProvider = null; // Set through setDataProvider()
+        this.schemaMode = "lenient"; // "lenient" drops invalid parts, "strict" rejects the response
+        this.pendingRequests = new Map(); // In-flight requests by cache key, shared by concurrent callers
+        this._cacheGeneration = 0; // Bumped by clearCache() so late responses aren't cached
+        this.staleWhileRevalidate = 0; // How long (ms) past the response TTL data is still served while it is refreshed
+        this.persistentStore = null; // Optional store behind the memory cache (API responses only)
+        this._storeQueue = Promise.resolve(); // Store writes and deletes, in order
+        this.onRevalidated = null; // Called with the identity URL when a background refresh brought new data
+        this.requestOptions = RequestRetryHelper.DEFAULTS; // Timeout and retry settings for API calls
+        this.assetUrlPolicy = new AssetUrlPolicy(); // Applied to logo and background image URLs
+        this.onAssetRejected = null; // Called with { identityUrl, field, url, reason, message } for rejected URLs
+        this._reportedErrors = new WeakSet(); // Failures already logged by _getResponseData()
+    }
+
+    /**
+     * Configure which logo and background image URLs are passed on (see AssetUrlPolicy)
+     * @param {object} options - Policy settings (all optional)
+     * @param {Array<string>} options.allowedSchemes - Allowed URL schemes (default ["https", "http"])
+     * @param {Array<string>|null} options.allowedHosts - Only these hosts, or null for any (default null)
+     * @param {Array<string>} options.deniedHosts - Hosts that are never allowed (default [])
+     * @param {number} options.maxLength - Longest URL accepted (default 2048)
+     * @param {boolean} options.upgradeToHttps - Rewrite http:// URLs to https:// (default false)
+     * @param {object} options.fallbacks - URL used instead of a rejected one, per field
+     *   (e.g. { logoUrl, sectionMain1Background2ImageUrl }); null by default, so the usual defaults apply
+     */
+    setAssetUrlPolicy(options = {}) {
+        this.assetUrlPolicy.configure(options);
+    }
+
+    _checkAssetUrl(identityUrl, field, url) {
+        if (!url) {
+            return null;
+        }
+        const result = this.assetUrlPolicy.check(url);
+        if (result.ok) {
+            return result.url;
+        }
+        this._warn(`Rejected ${field} for ${identityUrl} (${result.reason}): ${result.message}`);
+        if (typeof this.onAssetRejected === 'function') {
+            this.onAssetRejected({ identityUrl, field, url, reason: result.reason, message: result.message });
+        }
+        return this.assetUrlPolicy.fallbackFor(field);
+    }
+
+    /**
+     * Configure timeouts and retries of API requests
+     * @param {object} options - Request settings (all optional)
+     * @param {number} options.timeoutMs - Timeout per attempt in ms, 0 for none (default 10000)
+     * @param {number} options.retries - Retries after network errors, timeouts, 5xx and 429 (default 2)
+     * @param {number} options.retryDelayMs - First backoff delay in ms, doubled on every retry (default 500)
+     * @param {number} options.maxRetryDelayMs - Longest wait between attempts in ms, also caps Retry-After (default 10000)
+     */
+    setRequestOptions(options = {}) {
+        Object.keys(options).forEach(key => {
+            if (!(key in this.requestOptions)) {
+                throw new Error(`Unknown request option: ${key}`);
+            }
+            if (typeof options[key] !== 'number' || options[key] < 0) {
+                throw new Error(`Request option ${key} must be a non-negative number`);
+            }
+        });
+        this.requestOptions = { ...this.requestOptions, ...options };
+    }
+
+    /**
+     * How long (ms) API responses stay fresh - kept for code that set it directly
+     */
+    get cacheTimeout() {
+        return this.cacheTtls.response;
+    }
+
+    set cacheTimeout(ttl) {
+        this.cacheTtls.response = ttl;
+    }
+
+    /**
+     * Whether debug output is on
+     */
+    get debugMode() {
+        return this.logger.isEnabled("debug");
+    }
+
+    /**
+     * Enable or disable debug logging
+     * @param {boolean} enabled - true for log level "debug", false for the default "error"
+     */
+    setDebugMode(enabled) {
+        this.logger.setLevel(enabled ? "debug" : "error");
+        this._debug("Debug mode enabled");
+    }
+
+    /**
+     * Send log output somewhere other than the console
+     * @param {object} logger - Object with log, warn and error methods (null for console)
+     */
+    setLogger(logger) {
+        this.logger.setSink(logger);
+    }
+
+    get _log() {
+        return this.logger.scope("QobotoApiService");
+    }
+
+    // Log helpers, also used by the data providers
+    _trace(...args) {
+        this._log.trace(...args);
+    }
+
+    _debug(...args) {
+        this._log.debug(...args);
+    }
+
+    _info(...args) {
+        this._log.info(...args);
+    }
+
+    _warn(...args) {
+        this._log.warn(...args);
+    }
+
+    _error(...args) {
+        this._log.error(...args);
+    }
+
+    /**
+     * Clean text by replacing problematic characters
+     * @param {string} text - The text to clean
+     * @returns {string} Cleaned text
+     */
+    _cleanText(text) {
+        if (!text || typeof text !== 'string') {
+            return text;
+        }
+
+        // Replace common problematic characters
+        return text
+            .replace(/�/g, '') // Remove replacement character
+            .replace(/\u00A0/g, ' ') // Replace non-breaking space with regular space
+            .replace(/\u2019/g, "'") // Replace right single quotation mark
+            .replace(/\u201C/g, '"') // Replace left double quotation mark
+            .replace(/\u201D/g, '"') // Replace right double quotation mark
+            .replace(/\u2013/g, '-') // Replace en dash
+            .replace(/\u2014/g, '--') // Replace em dash
+            .replace(/\u2026/g, '...') // Replace horizontal ellipsis
+            .trim(); // Remove leading/trailing whitespace
+    }
+
+    /**
+     * Set custom API base URL
+     * @param {string} baseUrl - The base URL for the API
+     */
+    setBaseUrl(baseUrl) {
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Get data for an identity from Qoboto API
+     * @param {string} identityUrl - The full identity URL (e.g., "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal }; aborting rejects with the signal's reason
+     * @returns {Promise<object|null>} The data object or null if failed
+     */
+    async getIdentityData(identityUrl, options = {}) {
+        const responseData = await this._getResponseData(identityUrl, options);
+        if (responseData == null) {
+            return null;
+        }
+
+        // The API returns a list - find the object with name="main"
+        const mainData = this._findMainSection(responseData);
+
+        if (!mainData) {
+            this._error(`No "main" section found in Qoboto API response for ${identityUrl}`);
+            this._debug(`Response data structure:`, OperateIdLogger.body(responseData));
+            return null;
+        }
+
+        this._trace(`Found main section:`, OperateIdLogger.body(mainData));
+        return mainData;
+    }
+
+    /**
+     * Get the whole API response for an identity, from cache when possible
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal }
+     * @returns {Promise<Array|Object|null>} The parsed response or null if failed
+     */
+    async _getResponseData(identityUrl, options = {}) {
+        const { data, error } = await this._loadResponse(identityUrl, options);
+        // These callers only get null, so report the failure here (once, not on every cache hit)
+        if (error && error.code !== OperateIdError.CODES.NOT_FOUND && !this._reportedErrors.has(error)) {
+            this._reportedErrors.add(error);
+            this._error(`Could not load Qoboto data for ${identityUrl}: ${error.code} - ${error.message}`);
+        }
+        return data;
+    }
+
+    /**
+     * Like _getResponseData, but says why there is no data
+     * @returns {Promise<{data: Array|null, error: OperateIdError|null}>}
+     */
+    async _loadResponse(identityUrl, options = {}) {
+        const signal = options.signal;
+        if (signal && signal.aborted) {
+            throw RequestRetryHelper.abortReason(signal);
+        }
+        const cacheKey = this._cacheKey(identityUrl);
+
+        // Check the memory cache first, then the persistent store
+        let cached = this.cache.get(cacheKey);
+        if (!cached && this._usesStore()) {
+            cached = await this._readStore(cacheKey);
+            if (cached) this.cache.set(cacheKey, cached);
+        }
+        if (cached) {
+            const age = Date.now() - cached.timestamp;
+            if (age < this._entryTtl(cached)) {
+                if (cached.type !== "response") {
+                    this._debug(`Using cached ${cached.type} result for ${identityUrl}`);
+                }
+                return { data: cached.data, error: cached.error || null };
+            }
+            if (cached.type === "response" && age < this.cacheTtls.response + this.staleWhileRevalidate) {
+                // Serve the stale copy now and refresh it in the background
+                if (!this.pendingRequests.has(cacheKey)) {
+                    this._debug(`Serving stale data for ${identityUrl} while refreshing`);
+                    this._startRequest(identityUrl, cacheKey, true).promise.then(result => {
+                        if (result.data && typeof this.onRevalidated === 'function') this.onRevalidated(identityUrl);
+                    }, () => {});
+                }
+                return { data: cached.data, error: null };
+            }
+            this.cache.delete(cacheKey);
+        }
+
+        // Share a request that is already on its way for the same identity and network
+        if (this.pendingRequests.has(cacheKey)) {
+            this._debug(`Joining in-flight request for ${identityUrl}`);
+            return this._awaitRequest(this.pendingRequests.get(cacheKey), signal);
+        }
+
+        return this._awaitRequest(this._startRequest(identityUrl, cacheKey), signal);
+    }
+
+    /**
+     * Start fetching an identity and register the request so concurrent callers can join it
+     * @param {boolean} background - Stale-while-revalidate refresh, never cancelled by callers
+     * @returns {object} The pending request { promise, controller, waiters, background }
+     */
+    _startRequest(identityUrl, cacheKey, background = false) {
+        const controller = new AbortController();
+        const pending = { promise: null, controller, waiters: 0, background };
+        pending.promise = this._fetchResponseData(identityUrl, cacheKey, this._cacheGeneration, controller.signal)
+            .finally(() => {
+                // Only remove our own entry - clearCache() may have dropped it already
+                if (this.pendingRequests.get(cacheKey) === pending) {
+                    this.pendingRequests.delete(cacheKey);
+                }
+            });
+        this.pendingRequests.set(cacheKey, pending);
+        return pending;
+    }
+
+    /**
+     * Wait for a pending request on behalf of one caller
+     *
+     * Aborting stops this caller waiting; the request itself is only cancelled
+     * once every caller that joined it has aborted.
+     */
+    _awaitRequest(pending, signal) {
+        pending.waiters++;
+        if (!signal) {
+            return pending.promise;
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                pending.waiters--;
+                if (pending.waiters === 0 && !pending.background) {
+                    pending.controller.abort(RequestRetryHelper.abortReason(signal));
+                }
+                reject(RequestRetryHelper.abortReason(signal));
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            pending.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * Fetch, validate and cache the API response for an identity
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {string} cacheKey - The cache key for the identity on the current network
+     * @param {number} generation - Cache generation when the request started
+     * @param {AbortSignal} signal - Aborted when every waiting caller has given up
+     * @returns {Promise<{data: Array|null, error: OperateIdError|null}>} The validated sections or why not
+     */
+    async _fetchResponseData(identityUrl, cacheKey, generation, signal) {
+        try {
+            const provider = this.getDataProvider();
+            const rawData = await provider.fetchSections(identityUrl, this, { signal });
+
+            if (rawData == null) {
+                const error = new OperateIdError(OperateIdError.CODES.NOT_FOUND,
+                    `No Qoboto data for ${identityUrl}`, { identityUrl });
+                return this._cacheFailure(identityUrl, cacheKey, generation, "notFound", error);
+            }
+
+            return this._acceptResponse(identityUrl, cacheKey, generation, rawData);
+        } catch (error) {
+            // Cancelled, not failed - nothing to cache
+            RequestRetryHelper.rethrowIfAborted(error, signal);
+            // The error goes back to the caller; the stack is only useful when debugging
+            this._warn(`Error fetching Qoboto data for ${identityUrl}: ${error && error.message}`);
+            this._debug(`Fetch error for ${identityUrl}:`, error);
+            return this._cacheFailure(identityUrl, cacheKey, generation, "error",
+                OperateIdError.from(error, { identityUrl }));
+        }
+    }
+
+    /**
+     * Remember briefly that an identity has no data or couldn't be loaded
+     * @param {string} type - "notFound" or "error"
+     * @param {OperateIdError} error - Why
+     * @param {object|null} validation - Schema report of a rejected response
+     * @returns {{data: null, error: OperateIdError}} The failed result
+     */
+    _cacheFailure(identityUrl, cacheKey, generation, type, error, validation = null) {
+        const current = this.cache.get(cacheKey);
+        // A failed background refresh keeps the stale copy being served
+        if (generation === this._cacheGeneration && !(current && current.type === "response")) {
+            this.cache.set(cacheKey, {
+                type: type,
+                data: null,
+                error: error,
+                identityUrl: identityUrl,
+                validation: validation,
+                timestamp: Date.now()
+            });
+        }
+        return { data: null, error: error };
+    }
+
+    /**
+     * How long a cache entry stays fresh, by entry type
+     */
+    _entryTtl(entry) {
+        return this.cacheTtls[entry.type] ?? this.cacheTtls.response;
+    }
+
+    /**
+     * Validate a raw response and cache it if usable
+     * @returns {{data: Array|null, error: OperateIdError|null}} The validated sections or why they were rejected
+     */
+    _acceptResponse(identityUrl, cacheKey, generation, rawData) {
+        // Check the response at the boundary so malformed data never reaches callers
+        const validation = QobotoResponseSchema.validate(rawData);
+        if (validation.adaptersApplied.length > 0) {
+            this._debug(`Upgraded response for ${identityUrl} from version ${validation.sourceVersion}: ${validation.adaptersApplied.join(", ")}`);
+        }
+        if (!validation.valid) {
+            validation.errors.forEach(error => this._warn(`Schema: ${error.path || "(root)"} ${error.code} - ${error.message}`));
+        }
+        const usable = validation.data && validation.data.length > 0
+            && (validation.valid || this.schemaMode !== "strict");
+        if (!usable) {
+            this._warn(`Rejected Qoboto response for ${identityUrl} (${validation.errors.length} schema error(s))`);
+            const error = new OperateIdError(OperateIdError.CODES.SCHEMA,
+                `Rejected Qoboto response for ${identityUrl}`, { identityUrl, errors: validation.errors });
+            return this._cacheFailure(identityUrl, cacheKey, generation, "error", error, validation);
+        }
+        const responseData = validation.data;
+
+        // Cache the whole response so every section is available,
+        // unless the cache was cleared while the request was running
+        if (generation === this._cacheGeneration) {
+            const entry = {
+                type: "response",
+                data: responseData,
+                identityUrl: identityUrl,
+                timestamp: Date.now()
+            };
+            // The schema report lives and expires with the entry, but isn't persisted
+            this.cache.set(cacheKey, { ...entry, validation: validation });
+            if (this._usesStore()) {
+                this._queueStore(() => this.persistentStore.set(cacheKey, entry));
+            }
+        }
+
+        return { data: responseData, error: null };
+    }
+
+    /**
+     * Only API responses are persisted - mock and static data are cheap to rebuild
+     */
+    _usesStore() {
+        return !!this.persistentStore && this.getDataProvider() === this.httpProvider;
+    }
+
+    /**
+     * Run a persistent store operation after the ones already queued
+     */
+    _queueStore(operation) {
+        this._storeQueue = this._storeQueue
+            .then(operation)
+            .catch(error => this._warn(`Persistent cache update failed:`, error));
+        return this._storeQueue;
+    }
+
+    /**
+     * Read an entry from the persistent store, checking it like a fresh response
+     * @returns {Promise<object|null>} The cache entry or null if missing or unusable
+     */
+    async _readStore(cacheKey) {
+        try {
+            await this._storeQueue;
+            const entry = await this.persistentStore.get(cacheKey);
+            if (!entry || typeof entry.timestamp !== 'number') {
+                return null;
+            }
+            // Entries may have been written by an older version of this library
+            const validation = QobotoResponseSchema.validate(entry.data);
+            if (!validation.valid) {
+                return null;
+            }
+            return { type: "response", data: validation.data, identityUrl: entry.identityUrl, timestamp: entry.timestamp };
+        } catch (error) {
+            this._warn(`Could not read persistent cache:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Configure caching
+     * @param {object} options - Cache settings (all optional)
+     * @param {number|object} options.ttl - How long (ms) API responses are fresh (default 5 minutes),
+     *   or TTLs per entry type: { response, notFound (default 1 minute), error (default 10 seconds) }
+     * @param {number} options.maxEntries - Size of the memory cache (default 500)
+     * @param {number} options.staleWhileRevalidate - How long (ms) after that cached data is still
+     *   served while it is refreshed in the background (default 0 = never)
+     * @param {boolean|string|object|null} options.persistent - true or "auto" for the platform default
+     *   store, "indexedDB", "localStorage", "file", a store object, or false/null for memory only
+     * @param {object} options.storeOptions - Passed to the store created from a type name
+     */
+    setCacheOptions(options = {}) {
+        if (typeof options.ttl === 'number') {
+            this.cacheTtls.response = options.ttl;
+        } else if (options.ttl) {
+            Object.keys(options.ttl).forEach(type => {
+                if (!(type in this.cacheTtls)) {
+                    throw new Error(`Unknown cache entry type: ${type}`);
+                }
+                this.cacheTtls[type] = options.ttl[type];
+            });
+        }
+        if (options.maxEntries !== undefined) {
+            this.cache.resize(options.maxEntries);
+        }
+        if (options.staleWhileRevalidate !== undefined) {
+            this.staleWhileRevalidate = options.staleWhileRevalidate;
+        }
+        if (options.persistent !== undefined) {
+            let store = options.persistent || null;
+            if (store === true || typeof store === 'string') {
+                store = CacheStoreFactory.create(store === true ? "auto" : store, options.storeOptions);
+            } else if (store && ['get', 'set', 'delete', 'clear', 'keys'].some(method => typeof store[method] !== 'function')) {
+                throw new Error("Cache store must implement get, set, delete, clear and keys");
+            }
+            this.persistentStore = store;
+        }
+    }
+
+    /**
+     * Get the current cache settings
+     * @returns {object} { ttl, maxEntries, staleWhileRevalidate, persistent } where ttl holds the TTL
+     *   per entry type and persistent is the store name or null
+     */
+    getCacheOptions() {
+        return {
+            ttl: { ...this.cacheTtls },
+            maxEntries: this.cache.maxEntries,
+            staleWhileRevalidate: this.staleWhileRevalidate,
+            persistent: this.persistentStore ? (this.persistentStore.name || "custom") : null
+        };
+    }
+
+    /**
+     * Load many identities into the cache through the provider's bulk call, if it has one
+     * @param {Array<string>} identityUrls - The identity URLs (e.g., ["sunstream.acme", "acme.acme"])
+     * @param {object} options - Optional { chunkSize: identities per bulk call (default 50), signal }
+     * @returns {Promise<number>} How many identities were loaded (0 when the provider can't batch)
+     */
+    async prefetchSections(identityUrls, options = {}) {
+        const chunkSize = options.chunkSize || 50;
+        const provider = this.getDataProvider();
+        if (typeof provider.supportsBatch !== 'function' || !provider.supportsBatch()) {
+            return 0;
+        }
+
+        // Skip what is cached or already being fetched
+        const missing = [...new Set(identityUrls)].filter(identityUrl => {
+            const cacheKey = this._cacheKey(identityUrl);
+            const cached = this.cache.get(cacheKey);
+            const fresh = cached && Date.now() - cached.timestamp < this._entryTtl(cached);
+            return !fresh && !this.pendingRequests.has(cacheKey);
+        });
+
+        let loaded = 0;
+        for (let start = 0; start < missing.length; start += chunkSize) {
+            const chunk = missing.slice(start, start + chunkSize);
+            const generation = this._cacheGeneration;
+            try {
+                const responses = await provider.fetchSectionsBatch(chunk, this, { signal: options.signal });
+                if (!responses) continue;
+                // Match keys by canonical URL, so "acc://Sunstream.acme" answers "sunstream.acme"
+                const byUrl = new Map();
+                Object.keys(responses).forEach(key => {
+                    const canonical = AccUrlParser.canonicalize(key);
+                    if (canonical && responses[key] != null) byUrl.set(canonical, responses[key]);
+                });
+                chunk.forEach(identityUrl => {
+                    const response = byUrl.get(AccUrlParser.canonicalize(identityUrl));
+                    if (response === undefined) return;
+                    if (this._acceptResponse(identityUrl, this._cacheKey(identityUrl), generation, response).data) {
+                        loaded++;
+                    }
+                });
+            } catch (error) {
+                RequestRetryHelper.rethrowIfAborted(error, options.signal);
+                this._error(`Error fetching Qoboto data in bulk:`, error);
+            }
+        }
+        return loaded;
+    }
+
+    /**
+     * Get every section of an identity's Qoboto page
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal }; aborting rejects with the signal's reason
+     * @returns {Promise<Array<object>|null>} The sections (e.g., header, main, footer) or null if failed
+     */
+    async getSections(identityUrl, options = {}) {
+        // Already upgraded to the current list-of-sections schema
+        return this._getResponseData(identityUrl, options);
+    }
+
+    /**
+     * Get every section of an identity's Qoboto page, throwing if there are none
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal }
+     * @returns {Promise<Array<object>>} The sections
+     * @throws {OperateIdError} NOT_FOUND, NETWORK, HTTP_STATUS, PARSE or SCHEMA
+     */
+    async loadSections(identityUrl, options = {}) {
+        const result = await this._loadResponse(identityUrl, options);
+        if (result.error) {
+            throw result.error;
+        }
+        return result.data;
+    }
+
+    /**
+     * Get one section of an identity's Qoboto page, throwing if the page can't be loaded
+     * @returns {Promise<object|null>} The section or null if the page has no such section
+     * @throws {OperateIdError} Like loadSections()
+     */
+    async loadSection(identityUrl, sectionName, options = {}) {
+        const sections = await this.loadSections(identityUrl, options);
+        return sections.find(section => section.name === sectionName) || null;
+    }
+
+    /**
+     * Get a typed model of an identity's whole Qoboto page, throwing if it can't be loaded
+     * @returns {Promise<QobotoPageModel>} The page model
+     * @throws {OperateIdError} Like loadSections()
+     */
+    async loadPageModel(identityUrl, options = {}) {
+        const sections = await this.loadSections(identityUrl, options);
+        return this._pageModel(identityUrl, sections);
+    }
+
+    /**
+     * Get the main data of an identity, throwing if it can't be loaded
+     * @returns {Promise<object>} Like getAllMainData() - fields missing from the API are null
+     * @throws {OperateIdError} Like loadSections(), and SCHEMA when there is no "main" section
+     */
+    async loadMainData(identityUrl, options = {}) {
+        const sections = await this.loadSections(identityUrl, options);
+        const mainData = this._findMainSection(sections);
+        if (!mainData) {
+            throw new OperateIdError(OperateIdError.CODES.SCHEMA, `No "main" section in the Qoboto response for ${identityUrl}`,
+                { identityUrl, availableSections: sections.map(section => section.name || null) });
+        }
+        return this._mainData(mainData, identityUrl);
+    }
+
+    /**
+     * Choose how schema violations are handled
+     * @param {string} mode - "lenient" (default): drop invalid sections and fields and use the rest;
+     *   "strict": reject any response that doesn't fully match the schema
+     */
+    setSchemaMode(mode) {
+        if (mode !== "lenient" && mode !== "strict") {
+            throw new Error(`Unknown schema mode: ${mode}`);
+        }
+        this.schemaMode = mode;
+        this.clearCache();
+    }
+
+    /**
+     * Get the schema report of the cached response for an identity on the current network and source
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @returns {object|null} The validation report, or null if nothing is cached (never fetched,
+     *   expired, evicted, cleared or read from the persistent store)
+     */
+    getValidationReport(identityUrl) {
+        const entry = this.cache.get(this._cacheKey(identityUrl));
+        if (!entry || !entry.validation) {
+            return null;
+        }
+        const maxAge = this._entryTtl(entry) + (entry.type === "response" ? this.staleWhileRevalidate : 0);
+        return Date.now() - entry.timestamp < maxAge ? entry.validation : null;
+    }
+
+    /**
+     * Get one section of an identity's Qoboto page
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {string} sectionName - The section name (e.g., "header", "main", "footer")
+     * @param {object} options - Optional { signal: AbortSignal }; aborting rejects with the signal's reason
+     * @returns {Promise<object|null>} The section or null if missing
+     */
+    async getSection(identityUrl, sectionName, options = {}) {
+        const sections = await this.getSections(identityUrl, options);
+        return sections ? (sections.find(section => section.name === sectionName) || null) : null;
+    }
+
+    /**
+     * Get a typed model of an identity's whole Qoboto page
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal }; aborting rejects with the signal's reason
+     * @returns {Promise<QobotoPageModel|null>} The page model or null if failed
+     */
+    async getPageModel(identityUrl, options = {}) {
+        const sections = await this.getSections(identityUrl, options);
+        return sections ? this._pageModel(identityUrl, sections) : null;
+    }
+
+    _pageModel(identityUrl, sections) {
+        return new QobotoPageModel(identityUrl, sections, text => this._cleanText(text),
+            (field, url) => this._checkAssetUrl(identityUrl, field, url));
+    }
+
+    /**
+     * Find the "main" section from the API response list
+     * @param {Array} responseData - The validated API response (single objects are already
+     *   wrapped into a list by QobotoResponseSchema)
+     * @returns {object|null} The main section object or null if not found
+     */
+    _findMainSection(responseData) {
+        this._trace(`_findMainSection called with data type: ${typeof responseData}, isArray: ${Array.isArray(responseData)}`);
+
+        // Handle array response - find object with name="main"
+        if (Array.isArray(responseData)) {
+            this._trace(`Response is an array with ${responseData.length} items`);
+
+            // Log all items in the array for debugging
+            responseData.forEach((item, index) => {
+                this._trace(`Array item ${index}:`, {
+                    name: item?.name,
+                    type: typeof item,
+                    keys: Object.keys(item || {})
+                });
+            });
+
+            const mainSection = responseData.find(item => {
+                const isMain = item && item.name === 'main';
+                this._trace(`Checking item with name="${item?.name}": isMain=${isMain}`);
+                return isMain;
+            });
+
+            if (mainSection) {
+                this._trace(`Found main section:`, OperateIdLogger.body(mainSection));
+                return mainSection;
+            }
+
+            // If no "main" found but there's at least one item, log available sections
+            if (responseData.length > 0) {
+                const availableSections = responseData.map(item => item?.name || 'unnamed').join(', ');
+                this._debug(`Could not find "main" section. Available sections: ${availableSections}`);
+            } else {
+                this._debug(`Response array is empty`);
+            }
+        }
+
+        this._debug(`Could not find main section. Response data:`, OperateIdLogger.body(responseData));
+        return null;
+    }
+
+    /**
+     * Get logo URL for an identity
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal }; aborting rejects with the signal's reason
+     * @returns {Promise<string|null>} The logo URL or null
+     */
+    async getLogoUrl(identityUrl, options = {}) {
+        const data = await this.getIdentityData(identityUrl, options);
+        const logoUrl = this._checkAssetUrl(identityUrl, "logoUrl", data?.logoUrl);
+        this._debug(`getLogoUrl for ${identityUrl}: ${logoUrl}`);
+        return logoUrl;
+    }
+
+    /**
+     * Get section main description for an identity
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal }; aborting rejects with the signal's reason
+     * @returns {Promise<string|null>} The description or null
+     */
+    async getSectionMain1Description(identityUrl, options = {}) {
+        const data = await this.getIdentityData(identityUrl, options);
+        const rawDescription = data?.sectionMain1Description || null;
+        const cleanedDescription = rawDescription ? this._cleanText(rawDescription) : null;
+        this._trace(`getSectionMain1Description for ${identityUrl}:`, OperateIdLogger.body(cleanedDescription));
+        return cleanedDescription;
+    }
+
+    /**
+     * Get section main background image URL for an identity
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal }; aborting rejects with the signal's reason
+     * @returns {Promise<string|null>} The background image URL or null
+     */
+    async getSectionMain1Background2ImageUrl(identityUrl, options = {}) {
+        const data = await this.getIdentityData(identityUrl, options);
+        return this._checkAssetUrl(identityUrl, "sectionMain1Background2ImageUrl", data?.sectionMain1Background2ImageUrl);
+    }
+
+    /**
+     * Get all main data for an identity
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal }; aborting rejects with the signal's reason
+     * @returns {Promise<object>} Object with logoUrl, description, and backgroundImageUrl
+     */
+    async getAllMainData(identityUrl, options = {}) {
+        return this._mainData(await this.getIdentityData(identityUrl, options), identityUrl);
+    }
+
+    _mainData(data, identityUrl) {
+        const rawDescription = data?.sectionMain1Description || null;
+        const cleanedDescription = rawDescription ? this._cleanText(rawDescription) : null;
+
+        return {
+            logoUrl: this._checkAssetUrl(identityUrl, "logoUrl", data?.logoUrl),
+            sectionMain1Description: cleanedDescription,
+            sectionMain1Background2ImageUrl: this._checkAssetUrl(identityUrl, "sectionMain1Background2ImageUrl",
+                data?.sectionMain1Background2ImageUrl),
+            rawData: data // Include raw data for advanced usage (not checked by the asset URL policy)
+        };
+    }
+
+    /**
+     * Clear cache for a specific identity or all cache
+     * @param {string} identityUrl - Optional identity URL to clear specific cache
+     */
+    clearCache(identityUrl = null) {
+        this._clearMemoryCache(identityUrl);
+        const store = this.persistentStore;
+        if (!store) {
+            return;
+        }
+        if (identityUrl) {
+            this._queueStore(async () => {
+                for (const key of await store.keys()) {
+                    if (key.endsWith(`|${identityUrl}`)) await store.delete(key);
+                }
+            });
+        } else {
+            this._queueStore(() => store.clear());
+        }
+    }
+
+    _clearMemoryCache(identityUrl = null) {
+        this._cacheGeneration++;
+        if (identityUrl) {
+            // Drop the identity on every network
+            for (const [key, entry] of this.cache) {
+                if (entry.identityUrl === identityUrl) this.cache.delete(key);
+            }
+            for (const key of this.pendingRequests.keys()) {
+                if (key.endsWith(`|${identityUrl}`)) this.pendingRequests.delete(key);
+            }
+        } else {
+            this.cache.clear();
+            this.pendingRequests.clear();
+        }
+    }
+
+    /**
+     * Cache key for an identity on the current network and data source
+     * (the API base URL, or the provider name for mock and custom data)
+     */
+    _cacheKey(identityUrl) {
+        const provider = this.getDataProvider();
+        const source = provider === this.httpProvider ? this.baseUrl : (provider.name || 'custom');
+        return `qoboto|${this.networkService.currentNetworkName()}|${source}|${identityUrl}`;
+    }
+
+    /**
+     * Enable/disable local development mode with mock data
+     * @param {boolean} enabled - Whether to use mock data
+     */
+    setDevelopmentMode(enabled = true) {
+        if (this.developmentMode !== enabled) {
+            // Don't serve data cached from the other source
+            this._clearMemoryCache();
+        }
+        this.developmentMode = enabled;
+        if (enabled) {
+            this._info("Development mode enabled - using mock data");
+        }
+    }
+
+    /**
+     * Use a specific data provider instead of the mode-selected one
+     * @param {object|null} provider - Object implementing fetchSections(identityUrl, service),
+     *   or null to go back to the development/production mode default
+     */
+    setDataProvider(provider) {
+        if (provider && typeof provider.fetchSections !== 'function') {
+            throw new Error("Data provider must implement fetchSections(identityUrl, service)");
+        }
+        this.customProvider = provider || null;
+        this._clearMemoryCache();
+        this._debug(`Data provider set to: ${this.getDataProvider().name || 'custom'}`);
+    }
+
+    /**
+     * Get the data provider currently serving requests
+     * @returns {object} The active data provider
+     */
+    getDataProvider() {
+        if (this.customProvider) {
+            return this.customProvider;
+        }
+        return this.developmentMode ? this.mockProvider : this.httpProvider;
+    }
+
+    /**
+     * Get mock data for development/testing
+     * @param {string} identityUrl - The identity URL (e.g., "sunstream.acme")
+     * @returns {object} Mock data object (simulates the "main" section)
+     */
+    getMockData(identityUrl) {
+        return this.mockProvider.createMainSection(identityUrl);
+    }
+
+    /**
+     * Kept for backward compatibility - getIdentityData now honours development mode itself
+     */
+    async getIdentityDataWithMock(identityUrl) {
+        return this.getIdentityData(identityUrl);
+    }
+}
+
+// Create global instance
+const qobotoApiService = new QobotoApiService(networkNameService, operateIdLogger);
+
+// Enable development mode by default for testing
+qobotoApiService.setDevelopmentMode(true);
+
+// =============================================================================
+// OPID RESOURCE CLASS
+// =============================================================================
+
+class OpIdResourceClass {
+    constructor(opIdInfo, apiService = qobotoApiService, avatars = avatarGenerator) {
+        this.opIdInfo = opIdInfo;
+        this.apiService = apiService;
+        this.avatars = avatars; // Draws the default logo
+        this._dataCache = {}; // Cache for all data types
+        this._customOverrides = {}; // For manual overrides
+    }
+
+    get _log() {
+        return this.apiService.logger.scope("OpIdResource");
+    }
+
+    /**
+     * The values shown when the API has none
+     */
+    _defaults() {
+        return {
+            logoUrl: this.avatars.dataUri(this.opIdInfo.identityName),
+            sectionMain1Description: `Welcome to ${this.opIdInfo.identityName}'s digital identity dashboard.`,
+            sectionMain1Background2ImageUrl: "https://images.unsplash.com/photo-1557804506-669a67965ba0?ixlib=rb-4.0.3&auto=format&fit=crop&w=1074&q=80"
+        };
+    }
+
+    async logoUrl(options = {}) {
+        // Check for manual override first
+        if (this._customOverrides.logoUrl) {
+            return this._customOverrides.logoUrl;
+        }
+
+        // Check cache
+        if (this._dataCache.logoUrl) {
+            return this._dataCache.logoUrl;
+        }
+
+        try {
+            // Get identity URL from opIdInfo (using the simple form like "sunstream.acme")
+            const identityUrl = this._getSimpleIdentityUrl();
+
+            // Fetch from Qoboto API
+            const logoUrl = await this.apiService.getLogoUrl(identityUrl, options);
+
+            if (logoUrl) {
+                this._dataCache.logoUrl = logoUrl;
+                return logoUrl;
+            }
+        } catch (error) {
+            RequestRetryHelper.rethrowIfAborted(error, options.signal);
+            this._log.error("Error fetching logo from API:", error);
+        }
+
+        // Default logo fallback
+        const defaultLogoUrl = this._defaults().logoUrl;
+        // Not cached, so the real value is picked up once the API has it
+        return defaultLogoUrl;
+    }
+
+    _getSimpleIdentityUrl() {
+        // Get simple form like "sunstream.acme" for API calls
+        const identityUrl = this.opIdInfo.identityUrl;
+        // Remove acc:// prefix if present
+        return identityUrl.replace('acc://', '');
+    }
+
+    async sectionMain1Description(options = {}) {
+        // Check for manual override first
+        if (this._customOverrides.sectionMain1Description) {
+            return this._customOverrides.sectionMain1Description;
+        }
+
+        // Check cache
+        if (this._dataCache.sectionMain1Description) {
+            return this._dataCache.sectionMain1Description;
+        }
+
+        try {
+            // Get identity URL from opIdInfo
+            const identityUrl = this._getSimpleIdentityUrl();
+
+            // Fetch from Qoboto API
+            const description = await this.apiService.getSectionMain1Description(identityUrl, options);
+
+            if (description) {
+                this._dataCache.sectionMain1Description = description;
+                return description;
+            }
+        } catch (error) {
+            RequestRetryHelper.rethrowIfAborted(error, options.signal);
+            this._log.error("Error fetching description from API:", error);
+        }
+
+        // Default description fallback
+        const defaultDescription = this._defaults().sectionMain1Description;
+        return defaultDescription;
+    }
+
+    async sectionMain1Background2ImageUrl(options = {}) {
+        // Check for manual override first
+        if (this._customOverrides.sectionMain1Background2ImageUrl) {
+            return this._customOverrides.sectionMain1Background2ImageUrl;
+        }
+
+        // Check cache
+        if (this._dataCache.sectionMain1Background2ImageUrl) {
+            return this._dataCache.sectionMain1Background2ImageUrl;
+        }
+
+        try {
+            // Get identity URL from opIdInfo
+            const identityUrl = this._getSimpleIdentityUrl();
+
+            // Fetch from Qoboto API
+            const backgroundImageUrl = await this.apiService.getSectionMain1Background2ImageUrl(identityUrl, options);
+
+            if (backgroundImageUrl) {
+                this._dataCache.sectionMain1Background2ImageUrl = backgroundImageUrl;
+                return backgroundImageUrl;
+            }
+        } catch (error) {
+            RequestRetryHelper.rethrowIfAborted(error, options.signal);
+            this._log.error("Error fetching background image from API:", error);
+        }
+
+        // Default background image fallback
+        const defaultBackgroundUrl = this._defaults().sectionMain1Background2ImageUrl;
+        return defaultBackgroundUrl;
+    }
+
+    async getAllMainData(options = {}) {
+        const identityUrl = this._getSimpleIdentityUrl();
+
+        try {
+            // Get all data in one API call for efficiency
+            return this._resolveMainData(await this.apiService.getAllMainData(identityUrl, options));
+        } catch (error) {
+            RequestRetryHelper.rethrowIfAborted(error, options.signal);
+            this._log.error("Error fetching all main data:", error);
+            // Return individual cached/default values
+            return this._resolveMainData(null);
+        }
+    }
+
+    /**
+     * Like getAllMainData(), but throws instead of falling back when the API data can't be loaded
+     * @throws {OperateIdError}
+     */
+    async loadMainData(options = {}) {
+        return this._resolveMainData(await this.apiService.loadMainData(this._getSimpleIdentityUrl(), options));
+    }
+
+    /**
+     * Pick each field from the overrides, the API data or the defaults, and say which
+     * @param {object|null} allData - Main data from the API service
+     * @returns {object} { logoUrl, sectionMain1Description, sectionMain1Background2ImageUrl, rawData,
+     *   sources } where sources maps each field to "override", "api" or "default"
+     */
+    _resolveMainData(allData) {
+        const defaults = this._defaults();
+        const result = {};
+        const sources = {};
+        Object.keys(defaults).forEach(field => {
+            if (allData && allData[field]) {
+                this._dataCache[field] = allData[field];
+            }
+            if (this._customOverrides[field]) {
+                result[field] = this._customOverrides[field];
+                sources[field] = "override";
+            } else if (this._dataCache[field]) {
+                result[field] = this._dataCache[field];
+                sources[field] = "api";
+            } else {
+                result[field] = defaults[field];
+                sources[field] = "default";
+            }
+        });
+        result.rawData = allData ? allData.rawData : null;
+        result.sources = sources;
+        return result;
+    }
+
+    async sections(options = {}) {
+        return this.apiService.getSections(this._getSimpleIdentityUrl(), options);
+    }
+
+    async section(sectionName, options = {}) {
+        return this.apiService.getSection(this._getSimpleIdentityUrl(), sectionName, options);
+    }
+
+    async pageModel(options = {}) {
+        return this.apiService.getPageModel(this._getSimpleIdentityUrl(), options);
+    }
+
+    // Same as above, but throwing an OperateIdError when the page can't be loaded
+    async loadSections(options = {}) {
+        return this.apiService.loadSections(this._getSimpleIdentityUrl(), options);
+    }
+
+    async loadSection(sectionName, options = {}) {
+        return this.apiService.loadSection(this._getSimpleIdentityUrl(), sectionName, options);
+    }
+
+    async loadPageModel(options = {}) {
+        return this.apiService.loadPageModel(this._getSimpleIdentityUrl(), options);
+    }
+
+    // Method to manually set custom values for testing/development
+    setCustomLogoUrl(logoUrl) {
+        this._customOverrides.logoUrl = logoUrl;
+    }
+
+    setCustomDescription(description) {
+        this._customOverrides.sectionMain1Description = description;
+    }
+
+    setCustomBackgroundImageUrl(backgroundImageUrl) {
+        this._customOverrides.sectionMain1Background2ImageUrl = backgroundImageUrl;
+    }
+
+    // Clear cache to force refresh from API
+    clearCache(dataType = null) {
+        if (dataType) {
+            delete this._dataCache[dataType];
+        } else {
+            this._dataCache = {};
+        }
+
+        // Also clear API cache for this identity
+        this.apiService.clearCache(this._getSimpleIdentityUrl());
+    }
+
+    // Clear all overrides
+    clearOverrides() {
+        this._customOverrides = {};
+    }
+}
+
+// =============================================================================
+// OPID RESOURCE FACTORY
+// =============================================================================
+
+class OpIdResourceFactoryClass {
+    constructor(infoFactory = opIdInfoFactory, apiService = qobotoApiService) {
+        this.infoFactory = infoFactory;
+        this.apiService = apiService;
+    }
+
+    createByIdentityUrl(identityUrl) {
+        const info = this.infoFactory.createByIdentityUrl(identityUrl);
+        if (info == null) return null;
+        var result = new OpIdResourceClass(info, this.apiService);
+        return result;
+    }
+
+    createByIdentityName(identityName) {
+        const info = this.infoFactory.createByIdentityName(identityName);
+        if (info == null) return null;
+        var result = new OpIdResourceClass(info, this.apiService);
+        return result;
+    }
+}
+
+const opIdResourceFactory = new OpIdResourceFactoryClass();
+
+// =============================================================================
+// OPID RESOURCE REPOSITORY
+// =============================================================================
+
+class OpIdResourceRepositoryClass {
+    constructor(resourceFactory = opIdResourceFactory) {
+        this.resourceFactory = resourceFactory;
+    }
+
+    getOpIdResource_createByIdentityUrl(identityUrl) {
+        return this.resourceFactory.createByIdentityUrl(identityUrl);
+    }
+
+    getOpIdResource_createByIdentityName(identityName) {
+        return this.resourceFactory.createByIdentityName(identityName);
+    }
+}
+
+// =============================================================================
+// OPID SERVICE
+// =============================================================================
+
+class OpIdServiceClass {
+    constructor(opIdResourceRepository = new OpIdResourceRepositoryClass()) {
+        this.opIdResourceRepository = opIdResourceRepository;
+    }
+}
+
+// Create a global service object similar to the original structure
+const opId$ = {
+    service: new OpIdServiceClass()
+};
+
+// =============================================================================
+// EVENT EMITTER
+// =============================================================================
+
+/**
+ * OperateIdEventEmitter - Minimal publish/subscribe used by OperateIdClient
+ *
+ * A handler that throws is logged and does not stop the other handlers.
+ */
+class OperateIdEventEmitter {
+    /**
+     * @param {function} getLogger - Returns the logger used to report handler errors
+     */
+    constructor(getLogger = () => console) {
+        this._handlers = new Map();
+        this._getLogger = getLogger;
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} eventName - The event name
+     * @param {function} handler - Called with the event payload
+     * @returns {function} Call to unsubscribe
+     */
+    on(eventName, handler) {
+        if (typeof handler !== "function") {
+            throw new Error(`Handler for "${eventName}" must be a function`);
+        }
+        if (!this._handlers.has(eventName)) {
+            this._handlers.set(eventName, new Set());
+        }
+        this._handlers.get(eventName).add(handler);
+        return () => this.off(eventName, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @returns {function} Call to unsubscribe
+     */
+    once(eventName, handler) {
+        const unsubscribe = this.on(eventName, payload => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    off(eventName, handler) {
+        const handlers = this._handlers.get(eventName);
+        if (handlers) handlers.delete(handler);
+    }
+
+    emit(eventName, payload) {
+        const handlers = this._handlers.get(eventName);
+        if (!handlers) return;
+        // Copy so handlers can unsubscribe while we iterate
+        Array.from(handlers).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                this._getLogger().error(`Error in "${eventName}" handler:`, error);
+            }
+        });
+    }
+}
+
+// =============================================================================
+// OPERATEID CLIENT
+// =============================================================================
+
+/**
+ * OperateIdClient - One independent OperateID configuration
+ *
+ * Each client owns its network, Qoboto API service (base URL, cache, data
+ * provider) and logger, so a page can show a mainnet card next to a kermit
+ * card, or talk to two API hosts at once:
+ *
+ *   const kermit = new OperateIdClient({ network: "kermit", apiBaseUrl: "https://kermit-api.example.com" });
+ *   const url = kermit.getQobotoUrl("sunstream.acme");
+ *
+ * AdiParse forwards to a default client built on the module-level services.
+ *
+ * Clients emit events so components can re-render when settings change:
+ * - "networkChanged": { network, previousNetwork, networkInfo, apiBaseUrl } (the only event
+ *                     for a network switch, even when the API base URL follows it)
+ * - "configChanged":  { key, value, previousValue } for apiBaseUrl, developmentMode,
+ *                     debugMode, dataProvider, logger, schemaMode, bulkEndpoint, cache, request,
+ *                     errorMode, logLevel and assetUrlPolicy
+ * - "cacheCleared":   { identityUrl } (null when everything was cleared)
+ * - "assetRejected":  { identityUrl, field, url, reason, message } when the asset URL
+ *                     policy replaced a logo or image URL
+ *
+ * Cached API data is kept per network, so switching back and forth never
+ * shows data from the wrong network.
+ */
+class OperateIdClient {
+    /**
+     * @param {object} options - Client settings (all optional)
+     * @param {string} options.network - Network name (default "mainnet")
+     * @param {string} options.apiBaseUrl - Qoboto API base URL (default: the network's qobotoApiBaseUrl)
+     * @param {boolean} options.developmentMode - Serve mock data (default false)
+     * @param {boolean} options.debugMode - Verbose API logging (default false)
+     * @param {string} options.logLevel - "silent", "error" (default), "warn", "info", "debug" or "trace"
+     * @param {object} options.dataProvider - Data provider to use instead of the mode default
+     * @param {object} options.logger - Object with log, warn and error methods (default console)
+     * @param {object} options.cache - Cache settings, see setCacheOptions()
+     * @param {object} options.request - Timeout and retry settings, see setRequestOptions()
+     * @param {object} options.assetUrlPolicy - Logo and background image URL policy, see setAssetUrlPolicy()
+     * @param {string} options.errorMode - "fallback", "throw" or "result", see setErrorMode()
+     * @param {string} options.schemaMode - "lenient" (default) or "strict", see setSchemaMode()
+     * @param {string} options.bulkEndpoint - Bulk endpoint path, see setBulkEndpoint()
+     */
+    constructor(options = {}) {
+        this.networkNameService = options.networkNameService || new NetworkNameServiceClass();
+        this.qobotoApiService = options.qobotoApiService || new QobotoApiService(this.networkNameService);
+        this.events = new OperateIdEventEmitter(() => this.logger.scope("OperateIdEventEmitter"));
+
+        if (options.logger) this.qobotoApiService.setLogger(options.logger);
+        if (options.logLevel) this.logger.setLevel(options.logLevel);
+        this._apiBaseUrlOverride = options.apiBaseUrl || null; // Wins over the network's qobotoApiBaseUrl
+        if (options.network) this.setNetwork(options.network);
+        if (options.apiBaseUrl) this.qobotoApiService.setBaseUrl(options.apiBaseUrl);
+        if (options.developmentMode !== undefined) this.qobotoApiService.setDevelopmentMode(options.developmentMode);
+        if (options.debugMode !== undefined) this.qobotoApiService.setDebugMode(options.debugMode);
+        if (options.dataProvider) this.qobotoApiService.setDataProvider(options.dataProvider);
+        if (options.cache) this.qobotoApiService.setCacheOptions(options.cache);
+        if (options.request) this.qobotoApiService.setRequestOptions(options.request);
+        if (options.assetUrlPolicy) this.qobotoApiService.setAssetUrlPolicy(options.assetUrlPolicy);
+        if (options.schemaMode) this.qobotoApiService.setSchemaMode(options.schemaMode);
+        if (options.bulkEndpoint) this.qobotoApiService.httpProvider.bulkPath = options.bulkEndpoint;
+        this.errorMode = "fallback";
+        if (options.errorMode) this.setErrorMode(options.errorMode);
+        this.qobotoApiService.onRevalidated = identityUrl => {
+            this.events.emit("dataRevalidated", { identityUrl: identityUrl });
+        };
+        this.qobotoApiService.onAssetRejected = rejection => {
+            this.events.emit("assetRejected", rejection);
+        };
+
+        this.opId$ = options.opId$ || {
+            service: new OpIdServiceClass(
+                new OpIdResourceRepositoryClass(
+                    new OpIdResourceFactoryClass(
+                        new OpIdInfoFactoryClass(this.networkNameService, this.logger),
+                        this.qobotoApiService)))
+        };
+    }
+
+    /**
+     * The client's OperateIdLogger (shared with its API service)
+     */
+    get logger() {
+        return this.qobotoApiService.logger;
+    }
+
+    get _log() {
+        return this.logger.scope("OperateIdClient");
+    }
+
+    _createResource(identityUrl) {
+        return this.opId$.service.opIdResourceRepository.getOpIdResource_createByIdentityUrl(identityUrl);
+    }
+
+    /**
+     * Create the resource for an identity, or throw INVALID_IDENTITY saying why it can't be used
+     */
+    _requireResource(identityUrl) {
+        const opIdResource = this._createResource(identityUrl);
+        if (opIdResource && opIdResource.opIdInfo && opIdResource.opIdInfo.adiInfo) {
+            return opIdResource;
+        }
+        const parsed = AccUrlParser.parse(identityUrl);
+        const errors = !parsed.valid ? parsed.errors
+            : identityValidator.validate(parsed.url.rootUrl, { allowReserved: true }).errors;
+        throw new OperateIdError(OperateIdError.CODES.INVALID_IDENTITY, `Invalid identity: ${identityUrl}`,
+            { identityUrl, errors });
+    }
+
+    /**
+     * Throw unless a registered app has a page for a valid identity
+     * @param {string} identityUrl - The identity URL
+     * @param {string} appId - The app id (e.g., "qoboto")
+     */
+    _requireApp(identityUrl, appId) {
+        const adiInfo = this._requireResource(identityUrl).opIdInfo.adiInfo;
+        const app = didAppRegistry.get(appId);
+        if (!app) {
+            throw new OperateIdError(OperateIdError.CODES.NOT_FOUND, `Unknown app: ${appId}`,
+                { identityUrl, app: appId });
+        }
+        if (!adiInfo.supportedApps()[appId]) {
+            throw new OperateIdError(OperateIdError.CODES.INVALID_IDENTITY, `${app.displayName} has no page for ${identityUrl}`, {
+                identityUrl,
+                app: appId,
+                errors: [{ code: "APP_NOT_SUPPORTED", message: `${app.displayName} doesn't support lite accounts` }]
+            });
+        }
+    }
+
+    /**
+     * Run a method in the error mode asked for by the call or the client
+     * @param {object} options - The call's options (errorMode, signal)
+     * @param {function} fallback - "fallback" mode: logs problems and returns null or defaults
+     * @param {function} strict - Returns the data or throws
+     */
+    async _withErrorMode(options, fallback, strict) {
+        const mode = options.errorMode || this.errorMode;
+        if (mode === "fallback") {
+            return fallback();
+        }
+        try {
+            const data = await strict();
+            return mode === "result" ? { ok: true, data, error: null } : data;
+        } catch (error) {
+            RequestRetryHelper.rethrowIfAborted(error, options.signal);
+            return this._failInErrorMode(mode, error);
+        }
+    }
+
+    /**
+     * Synchronous version of _withErrorMode() for the URL methods
+     */
+    _withErrorModeSync(options, fallback, strict) {
+        const mode = options.errorMode || this.errorMode;
+        if (mode === "fallback") {
+            return fallback();
+        }
+        try {
+            const data = strict();
+            return mode === "result" ? { ok: true, data, error: null } : data;
+        } catch (error) {
+            return this._failInErrorMode(mode, error);
+        }
+    }
+
+    _failInErrorMode(mode, error) {
+        const operateIdError = OperateIdError.from(error);
+        if (mode === "throw") {
+            throw operateIdError;
+        }
+        return { ok: false, data: null, error: operateIdError };
+    }
+
+    /**
+     * Choose how failures are reported
+     * @param {string} mode - "fallback" (default): log and return null, or the default values for
+     *   data that couldn't be loaded; "throw": throw an OperateIdError; "result": return
+     *   { ok, data, error } with error an OperateIdError
+     */
+    setErrorMode(mode) {
+        if (!["fallback", "throw", "result"].includes(mode)) {
+            throw new Error(`Unknown error mode: ${mode}`);
+        }
+        this._setConfig("errorMode", mode, this.errorMode, () => { this.errorMode = mode; });
+    }
+
+    /**
+     * Get how failures are reported
+     * @returns {string} "fallback", "throw" or "result"
+     */
+    getErrorMode() {
+        return this.errorMode;
+    }
+
+    /**
+     * Get the BankOnLedger URL for a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { errorMode } for this call
+     * @returns {string|null} The BankOnLedger URL or null if invalid
+     */
+    getBankOnLedgerUrl(identityUrl, options = {}) {
+        return this._withErrorModeSync(options, () => {
+            try {
+                const opIdResource = this._createResource(identityUrl);
+                if (opIdResource && opIdResource.opIdInfo && opIdResource.opIdInfo.adiInfo) {
+                    return opIdResource.opIdInfo.adiInfo.bankOnLedger_Url();
+                }
+                return null;
+            } catch (error) {
+                this._log.error("Error generating BankOnLedger URL:", error);
+                return null;
+            }
+        }, () => {
+            this._requireApp(identityUrl, "bankOnLedger");
+            return this.getBankOnLedgerUrl(identityUrl, { errorMode: "fallback" });
+        });
+    }
+
+    /**
+     * Get the Qoboto URL for a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { errorMode } for this call
+     * @returns {string|null} The Qoboto URL, or null if invalid or a lite account
+     *   (in "throw" and "result" mode lite accounts are INVALID_IDENTITY with details.app)
+     */
+    getQobotoUrl(identityUrl, options = {}) {
+        return this._withErrorModeSync(options, () => {
+            try {
+                const opIdResource = this._createResource(identityUrl);
+                if (opIdResource && opIdResource.opIdInfo && opIdResource.opIdInfo.adiInfo) {
+                    const adiInfo = opIdResource.opIdInfo.adiInfo;
+                    // Lite accounts have no Qoboto page
+                    return adiInfo.supportedApps().qoboto ? adiInfo.qoboto_Url() : null;
+                }
+                return null;
+            } catch (error) {
+                this._log.error("Error generating Qoboto URL:", error);
+                return null;
+            }
+        }, () => {
+            this._requireApp(identityUrl, "qoboto");
+            return this.getQobotoUrl(identityUrl, { errorMode: "fallback" });
+        });
+    }
+
+    /**
+     * Get the URL of a registered DID app for a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {string} appId - The app id (e.g., "qoboto", "bankOnLedger")
+     * @param {object} options - Optional { errorMode } for this call
+     * @returns {string|null} The app URL, or null if the identity is invalid, the app is unknown
+     *   or the app doesn't support this kind of account (in "throw" and "result" mode that's
+     *   NOT_FOUND or INVALID_IDENTITY with details.app)
+     */
+    getAppUrl(identityUrl, appId, options = {}) {
+        return this._withErrorModeSync(options, () => {
+            try {
+                const opIdResource = this._createResource(identityUrl);
+                if (opIdResource && opIdResource.opIdInfo && opIdResource.opIdInfo.adiInfo) {
+                    const adiInfo = opIdResource.opIdInfo.adiInfo;
+                    return adiInfo.supportedApps()[appId] ? adiInfo.app_Url(appId) : null;
+                }
+                return null;
+            } catch (error) {
+                this._log.error(`Error generating ${appId} URL:`, error);
+                return null;
+            }
+        }, () => {
+            this._requireApp(identityUrl, appId);
+            return this.getAppUrl(identityUrl, appId, { errorMode: "fallback" });
+        });
+    }
+
+    /**
+     * Get the URLs of all registered DID apps that support a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { errorMode } for this call
+     * @returns {Array<{id: string, displayName: string, icon: string, url: string}>} Empty if invalid
+     */
+    getAppUrls(identityUrl, options = {}) {
+        return this._withErrorModeSync(options, () => {
+            try {
+                const opIdResource = this._createResource(identityUrl);
+                if (!opIdResource || !opIdResource.opIdInfo || !opIdResource.opIdInfo.adiInfo) {
+                    return [];
+                }
+                const adiInfo = opIdResource.opIdInfo.adiInfo;
+                const supported = adiInfo.supportedApps();
+                return didAppRegistry.list()
+                    .filter(app => supported[app.id])
+                    .map(app => ({
+                        id: app.id,
+                        displayName: app.displayName,
+                        icon: app.icon,
+                        url: adiInfo.app_Url(app.id)
+                    }));
+            } catch (error) {
+                this._log.error("Error generating app URLs:", error);
+                return [];
+            }
+        }, () => {
+            this._requireResource(identityUrl);
+            return this.getAppUrls(identityUrl, { errorMode: "fallback" });
+        });
+    }
+
+    /**
+     * Get a QR code for an identity link, generated offline (see QrCodeGeneratorClass)
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - QR code options
+     * @param {string} options.target - "qoboto" (default), "bankOnLedger" or another registered app id,
+     *   or "acc" for the Accumulate URL itself
+     * @param {string} options.format - "svg" (default, SVG markup) or "dataUri" (for <img src>)
+     * @param {string} options.errorCorrection - "L", "M", "Q" or "H" (default: the generator's setting)
+     * @param {number} options.moduleSize - Size of one module in px
+     * @param {number} options.margin - Quiet zone in modules
+     * @param {string} options.foreground - Color of the dark modules
+     * @param {string} options.background - Color of the light modules
+     * @param {string} options.errorMode - Error mode for this call
+     * @returns {string|null} The QR code, or null if the identity is invalid or the target app
+     *   doesn't support this kind of account (INVALID_IDENTITY in "throw" and "result" mode)
+     * @throws {Error} For an unknown target, format or QR code option
+     */
+    getQrCode(identityUrl, options = {}) {
+        const { target = "qoboto", format = "svg", errorMode, ...qrOptions } = options;
+        if (target !== "acc" && !didAppRegistry.get(target)) {
+            const known = ["acc", ...didAppRegistry.list().map(app => app.id)].join(", ");
+            throw new Error(`Unknown QR code target "${target}". Known targets: ${known}`);
+        }
+        if (!["svg", "dataUri"].includes(format)) {
+            throw new Error(`Unknown QR code format "${format}" (expected "svg" or "dataUri")`);
+        }
+
+        const linkFor = () => {
+            if (target !== "acc") {
+                return this.getAppUrl(identityUrl, target, { errorMode: "fallback" });
+            }
+            return this._createResource(identityUrl) ? AccUrlParser.parse(identityUrl).url.accountUrl : null;
+        };
+        const qrCodeFor = link => {
+            if (link === null) return null;
+            return format === "dataUri" ? qrCodeGenerator.dataUri(link, qrOptions) : qrCodeGenerator.svg(link, qrOptions);
+        };
+        return this._withErrorModeSync({ errorMode }, () => qrCodeFor(linkFor()), () => {
+            if (target === "acc") {
+                this._requireResource(identityUrl);
+            } else {
+                this._requireApp(identityUrl, target);
+            }
+            return qrCodeFor(linkFor());
+        });
+    }
+
+    /**
+     * Get the logo URL for a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode }; aborting rejects with the signal's reason
+     * @returns {Promise<string|null>} The logo URL or null if invalid
+     */
+    async getLogoUrl(identityUrl, options = {}) {
+        return this._withErrorMode(options, async () => {
+            try {
+                const opIdResource = this._createResource(identityUrl);
+                if (opIdResource) {
+                    return await opIdResource.logoUrl(options);
+                }
+                return null;
+            } catch (error) {
+                RequestRetryHelper.rethrowIfAborted(error, options.signal);
+                this._log.error("Error generating logo URL:", error);
+                return null;
+            }
+        }, async () => (await this._requireResource(identityUrl).loadMainData(options)).logoUrl);
+    }
+
+    /**
+     * Get the main section description for a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode, format }; aborting rejects with
+     *   the signal's reason. format is "raw" (default), "plain", "escaped" or "rich" (see SafeHtml)
+     * @returns {Promise<string|null>} The section description or null if invalid
+     */
+    async getSectionMain1Description(identityUrl, options = {}) {
+        const format = options.format || "raw";
+        SafeHtml.assertFormat(format);
+        return this._withErrorMode(options, async () => {
+            try {
+                const opIdResource = this._createResource(identityUrl);
+                if (opIdResource) {
+                    return SafeHtml.format(await opIdResource.sectionMain1Description(options), format);
+                }
+                return null;
+            } catch (error) {
+                RequestRetryHelper.rethrowIfAborted(error, options.signal);
+                this._log.error("Error getting section description:", error);
+                return null;
+            }
+        }, async () => SafeHtml.format(
+            (await this._requireResource(identityUrl).loadMainData(options)).sectionMain1Description, format));
+    }
+
+    /**
+     * Get the main section background image URL for a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode }; aborting rejects with the signal's reason
+     * @returns {Promise<string|null>} The background image URL or null if invalid
+     */
+    async getSectionMain1Background2ImageUrl(identityUrl, options = {}) {
+        return this._withErrorMode(options, async () => {
+            try {
+                const opIdResource = this._createResource(identityUrl);
+                if (opIdResource) {
+                    return await opIdResource.sectionMain1Background2ImageUrl(options);
+                }
+                return null;
+            } catch (error) {
+                RequestRetryHelper.rethrowIfAborted(error, options.signal);
+                this._log.error("Error getting background image URL:", error);
+                return null;
+            }
+        }, async () => (await this._requireResource(identityUrl).loadMainData(options)).sectionMain1Background2ImageUrl);
+    }
+
+    /**
+     * Get all main data for a given identity in one call
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode, format }; aborting rejects with
+     *   the signal's reason. format applies to the description (see getSectionMain1Description)
+     * @returns {Promise<object|null>} Object with logoUrl, description, backgroundImageUrl, rawData and
+     *   sources (for each field "api", "override" or "default")
+     */
+    async getAllMainData(identityUrl, options = {}) {
+        const format = options.format || "raw";
+        SafeHtml.assertFormat(format);
+        return this._withErrorMode(options, async () => {
+            try {
+                const opIdResource = this._createResource(identityUrl);
+                if (opIdResource) {
+                    return this._formatMainData(await opIdResource.getAllMainData(options), format);
+                }
+                return null;
+            } catch (error) {
+                RequestRetryHelper.rethrowIfAborted(error, options.signal);
+                this._log.error("Error getting all main data:", error);
+                return null;
+            }
+        }, async () => this._formatMainData(await this._requireResource(identityUrl).loadMainData(options), format));
+    }
+
+    _formatMainData(data, format) {
+        if (!data || format === "raw") {
+            return data;
+        }
+        return Object.assign({}, data, {
+            sectionMain1Description: SafeHtml.format(data.sectionMain1Description, format)
+        });
+    }
+
+    /**
+     * Get all main data for many identities, a few at a time
+     * @param {Array<string>} identityUrls - The identity URLs (e.g., ["sunstream.acme", "acme"])
+     * @param {object} options - Batch options
+     * @param {number} options.concurrency - Maximum identities resolved at once (default 4)
+     * @param {function} options.onProgress - Called after each identity with
+     *   { completed, total, identityUrl, result }
+     * @param {boolean} options.bulk - Use the provider's bulk call first when it has one (default true)
+     * @param {string} options.format - Description format (see getSectionMain1Description)
+     * @param {AbortSignal} options.signal - Cancels the whole batch (rejects with the signal's reason)
+     * @returns {Promise<Array<{identityUrl: string, ok: boolean, data: object|null, error: OperateIdError|null}>>}
+     *   One result per input, in input order. ok is false when the identity is invalid or no API
+     *   data could be loaded
+     */
+    async getAllMainDataBatch(identityUrls, options = {}) {
+        const concurrency = Math.max(1, options.concurrency || 4);
+        const total = identityUrls.length;
+        const results = new Array(total);
+        let completed = 0;
+        let nextIndex = 0;
+
+        if (options.bulk !== false) {
+            const simpleUrls = identityUrls
+                .map(identityUrl => this._createResource(identityUrl))
+                .filter(Boolean)
+                .map(opIdResource => opIdResource._getSimpleIdentityUrl());
+            await this.qobotoApiService.prefetchSections(simpleUrls, { signal: options.signal });
+        }
+
+        const resolveOne = async identityUrl => {
+            const result = await this.getAllMainData(identityUrl,
+                { signal: options.signal, errorMode: "result", format: options.format });
+            return { identityUrl, ...result };
+        };
+
+        const worker = async () => {
+            while (nextIndex < total) {
+                const index = nextIndex++;
+                const identityUrl = identityUrls[index];
+                let result;
+                try {
+                    result = await resolveOne(identityUrl);
+                } catch (error) {
+                    RequestRetryHelper.rethrowIfAborted(error, options.signal);
+                    result = { identityUrl, ok: false, data: null, error: OperateIdError.from(error, { identityUrl }) };
+                }
+                results[index] = result;
+                completed++;
+                if (typeof options.onProgress === "function") {
+                    try {
+                        options.onProgress({ completed, total, identityUrl, result });
+                    } catch (error) {
+                        this._log.error("Error in batch progress handler:", error);
+                    }
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, total) }, worker));
+        return results;
+    }
+
+    /**
+     * Use a bulk endpoint of the Qoboto API for batch requests
+     * @param {string|null} path - Path below the API base URL (e.g., "/api/v1/Qoboto/GetDataValue/AllBatch"),
+     *   or null to resolve batches one identity at a time
+     */
+    setBulkEndpoint(path) {
+        this._setConfig("bulkEndpoint", path || null, this.qobotoApiService.httpProvider.bulkPath,
+            () => { this.qobotoApiService.httpProvider.bulkPath = path || null; });
+    }
+
+    /**
+     * Get every section (header, main, footer, ...) of an identity's Qoboto page
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode }; aborting rejects with the signal's reason
+     * @returns {Promise<Array<object>|null>} The raw sections or null if invalid or unavailable
+     */
+    async getSections(identityUrl, options = {}) {
+        return this._withErrorMode(options, async () => {
+            try {
+                const opIdResource = this._createResource(identityUrl);
+                if (opIdResource) {
+                    return await opIdResource.sections(options);
+                }
+                return null;
+            } catch (error) {
+                RequestRetryHelper.rethrowIfAborted(error, options.signal);
+                this._log.error("Error getting sections:", error);
+                return null;
+            }
+        }, async () => this._requireResource(identityUrl).loadSections(options));
+    }
+
+    /**
+     * Get one section of an identity's Qoboto page
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {string} sectionName - The section name (e.g., "header", "main", "footer")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode }; aborting rejects with the signal's reason
+     * @returns {Promise<object|null>} The raw section or null if invalid or missing
+     */
+    async getSection(identityUrl, sectionName, options = {}) {
+        return this._withErrorMode(options, async () => {
+            try {
+                const opIdResource = this._createResource(identityUrl);
+                if (opIdResource) {
+                    return await opIdResource.section(sectionName, options);
+                }
+                return null;
+            } catch (error) {
+                RequestRetryHelper.rethrowIfAborted(error, options.signal);
+                this._log.error(`Error getting section "${sectionName}":`, error);
+                return null;
+            }
+        }, async () => this._requireResource(identityUrl).loadSection(sectionName, options));
+    }
+
+    /**
+     * Get a typed model of an identity's whole Qoboto page
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode }; aborting rejects with the signal's reason
+     * @returns {Promise<QobotoPageModel|null>} header, footer and main (with numbered sections) or null
+     */
+    async getPageModel(identityUrl, options = {}) {
+        return this._withErrorMode(options, async () => {
+            try {
+                const opIdResource = this._createResource(identityUrl);
+                if (opIdResource) {
+                    return await opIdResource.pageModel(options);
+                }
+                return null;
+            } catch (error) {
+                RequestRetryHelper.rethrowIfAborted(error, options.signal);
+                this._log.error("Error getting page model:", error);
+                return null;
+            }
+        }, async () => this._requireResource(identityUrl).loadPageModel(options));
+    }
+
+    /**
+     * Get the schema validation report of the cached API response for an identity on this
+     * client's network; it expires and is evicted or cleared along with the cached response
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @returns {object|null} { valid, version, sourceVersion, adaptersApplied, data, errors } or null
+     */
+    getValidationReport(identityUrl) {
+        const opIdResource = this._createResource(identityUrl);
+        return opIdResource ? this.qobotoApiService.getValidationReport(opIdResource._getSimpleIdentityUrl()) : null;
+    }
+
+    /**
+     * Choose how schema violations in API responses are handled
+     * @param {string} mode - "lenient" (drop invalid parts) or "strict" (reject the response)
+     */
+    setSchemaMode(mode) {
+        this._setConfig("schemaMode", mode, this.qobotoApiService.schemaMode,
+            () => this.qobotoApiService.setSchemaMode(mode));
+    }
+
+    /**
+     * Get the full opIdResource object for advanced usage
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @returns {object|null} The opIdResource object or null if invalid
+     */
+    getOpIdResource(identityUrl) {
+        try {
+            return this._createResource(identityUrl);
+        } catch (error) {
+            this._log.error("Error creating OpIdResource:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Switch network (default is "mainnet"). Also switches the app hosts and
+     * explorer URL to the ones the network declares, and the Qoboto API base URL
+     * unless one was set with setApiBaseUrl() or the apiBaseUrl option.
+     * Emits a single "networkChanged" event.
+     * @param {string} networkName - A registered network ("mainnet", "kermit", "fozzie", etc.)
+     * @throws {Error} If the network is not registered
+     */
+    setNetwork(networkName) {
+        const previousNetwork = this.networkNameService.currentNetworkName();
+        this.networkNameService.switchNetworkName(networkName);
+        this.qobotoApiService.setBaseUrl(this._apiBaseUrlOverride || this.networkNameService.currentNetwork().qobotoApiBaseUrl);
+        if (previousNetwork !== networkName) {
+            this.events.emit("networkChanged", {
+                network: networkName,
+                previousNetwork: previousNetwork,
+                networkInfo: this.networkNameService.currentNetwork(),
+                apiBaseUrl: this.qobotoApiService.baseUrl
+            });
+        }
+    }
+
+    /**
+     * Subscribe to client events ("networkChanged", "configChanged", "cacheCleared")
+     * @param {string} eventName - The event name
+     * @param {function} handler - Called with the event payload
+     * @returns {function} Call to unsubscribe
+     */
+    on(eventName, handler) {
+        return this.events.on(eventName, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} eventName - The event name
+     * @param {function} handler - Called with the event payload
+     * @returns {function} Call to unsubscribe
+     */
+    once(eventName, handler) {
+        return this.events.once(eventName, handler);
+    }
+
+    /**
+     * Unsubscribe a handler
+     * @param {string} eventName - The event name
+     * @param {function} handler - The handler passed to on()
+     */
+    off(eventName, handler) {
+        this.events.off(eventName, handler);
+    }
+
+    _setConfig(key, value, previousValue, apply) {
+        apply();
+        if (value !== previousValue) {
+            this.events.emit("configChanged", { key, value, previousValue });
+        }
+    }
+
+    /**
+     * Get the definition of the current network
+     * @returns {object} { id, displayName, qobotoApiBaseUrl, appHostPattern, explorerUrl }
+     */
+    getNetworkInfo() {
+        return this.networkNameService.currentNetwork();
+    }
+
+    /**
+     * Get the block explorer URL for a given identity on the current network
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { errorMode } for this call
+     * @returns {string|null} The explorer URL or null if invalid
+     */
+    getExplorerUrl(identityUrl, options = {}) {
+        return this._withErrorModeSync(options, () => {
+            try {
+                const opIdResource = this._createResource(identityUrl);
+                if (opIdResource && opIdResource.opIdInfo && opIdResource.opIdInfo.adiInfo) {
+                    return opIdResource.opIdInfo.adiInfo.explorer_Url();
+                }
+                return null;
+            } catch (error) {
+                this._log.error("Error generating explorer URL:", error);
+                return null;
+            }
+        }, () => {
+            this._requireResource(identityUrl);
+            return this.getExplorerUrl(identityUrl, { errorMode: "fallback" });
+        });
+    }
+
+    /**
+     * Get the current network name
+     * @returns {string} The current network name
+     */
+    getNetwork() {
+        return this.networkNameService.currentNetworkName();
+    }
+
+    /**
+     * Configure the Qoboto API base URL. It is kept when the network changes;
+     * pass null to go back to the current network's qobotoApiBaseUrl.
+     * @param {string|null} baseUrl - The API base URL (e.g., "https://api.qoboto.com")
+     */
+    setApiBaseUrl(baseUrl) {
+        this._apiBaseUrlOverride = baseUrl || null;
+        const effective = baseUrl || this.networkNameService.currentNetwork().qobotoApiBaseUrl;
+        this._setConfig("apiBaseUrl", effective, this.qobotoApiService.baseUrl,
+            () => this.qobotoApiService.setBaseUrl(effective));
+    }
+
+    /**
+     * Get the Qoboto API base URL
+     * @returns {string} The API base URL
+     */
+    getApiBaseUrl() {
+        return this.qobotoApiService.baseUrl;
+    }
+
+    /**
+     * Enable or disable development mode (uses mock data when enabled)
+     * @param {boolean} enabled - Whether to use development mode with mock data
+     */
+    setDevelopmentMode(enabled = true) {
+        this._setConfig("developmentMode", enabled, this.qobotoApiService.developmentMode,
+            () => this.qobotoApiService.setDevelopmentMode(enabled));
+    }
+
+    /**
+     * Choose where identity data comes from
+     * @param {string|object|null} provider - "http", "mock", a provider object
+     *   (e.g. new QobotoStaticDataProvider(fixtures)), or null to follow development mode
+     */
+    setDataProvider(provider) {
+        if (provider === "http") {
+            provider = this.qobotoApiService.httpProvider;
+        } else if (provider === "mock") {
+            provider = this.qobotoApiService.mockProvider;
+        } else if (typeof provider === "string") {
+            throw new Error(`Unknown data provider: ${provider}`);
+        }
+        this._setConfig("dataProvider", provider || null, this.qobotoApiService.customProvider,
+            () => this.qobotoApiService.setDataProvider(provider));
+    }
+
+    /**
+     * Serve identity data from fixtures instead of the API (handy for tests)
+     * @param {object} fixtures - Map of identity URL to section list, e.g.
+     *   { "sunstream.acme": [{ name: "main", logoUrl: "..." }] }
+     * @returns {QobotoStaticDataProvider} The provider now in use
+     */
+    useStaticData(fixtures) {
+        const provider = new QobotoStaticDataProvider(fixtures);
+        this.setDataProvider(provider);
+        return provider;
+    }
+
+    /**
+     * Get the name of the data provider currently in use
+     * @returns {string} "http", "mock", "static" or the custom provider's name
+     */
+    getDataProviderName() {
+        return this.qobotoApiService.getDataProvider().name || "custom";
+    }
+
+    /**
+     * Enable or disable debug logging for API calls
+     * @param {boolean} enabled - true for log level "debug", false for the default "error"
+     */
+    setDebugMode(enabled = true) {
+        this._setConfig("debugMode", enabled, this.qobotoApiService.debugMode,
+            () => this.qobotoApiService.setDebugMode(enabled));
+    }
+
+    /**
+     * Send this client's log output somewhere other than the console
+     * @param {object} logger - Object with log, warn and error methods (null for console)
+     */
+    setLogger(logger) {
+        this._setConfig("logger", logger || console, this.logger.getSink(),
+            () => this.qobotoApiService.setLogger(logger));
+    }
+
+    /**
+     * Set how much is logged, for everything or for one scope
+     * @param {string} level - "silent", "error" (default), "warn", "info", "debug" or "trace"
+     * @param {string} scopeName - Optional scope, e.g. "QobotoApiService", "OperateIdClient",
+     *   "OpIdResource", "OpIdInfoFactory" or "OperateIdEventEmitter"
+     */
+    setLogLevel(level, scopeName = null) {
+        const previousValue = this.logger.getLevel(scopeName);
+        this.logger.setLevel(level, scopeName);
+        if (level !== previousValue) {
+            this.events.emit("configChanged", { key: "logLevel", value: level, previousValue, scope: scopeName });
+        }
+    }
+
+    /**
+     * Get how much is logged
+     * @param {string} scopeName - Optional scope
+     * @returns {string} The level name
+     */
+    getLogLevel(scopeName = null) {
+        return this.logger.getLevel(scopeName);
+    }
+
+    /**
+     * Configure caching
+     * @param {object} options - Cache settings (all optional)
+     * @param {number|object} options.ttl - How long (ms) API responses are fresh (default 5 minutes),
+     *   or TTLs per entry type: { response, notFound (default 1 minute), error (default 10 seconds) }
+     * @param {number} options.maxEntries - Size of the memory cache (default 500)
+     * @param {number} options.staleWhileRevalidate - How long (ms) after that cached data is still
+     *   served while it is refreshed in the background (default 0 = never)
+     * @param {boolean|string|object|null} options.persistent - true or "auto" for the platform default
+     *   store, "indexedDB", "localStorage", "file", a store object, or false/null for memory only
+     * @param {object} options.storeOptions - Passed to the store created from a type name
+     */
+    setCacheOptions(options = {}) {
+        const previousValue = this.getCacheOptions();
+        this.qobotoApiService.setCacheOptions(options);
+        this.events.emit("configChanged", { key: "cache", value: this.getCacheOptions(), previousValue });
+    }
+
+    /**
+     * Get the current cache settings
+     * @returns {object} { ttl, maxEntries, staleWhileRevalidate, persistent } where ttl holds the TTL
+     *   per entry type and persistent is the store name or null
+     */
+    getCacheOptions() {
+        return this.qobotoApiService.getCacheOptions();
+    }
+
+    /**
+     * Configure timeouts and retries of API requests
+     * @param {object} options - Request settings (all optional)
+     * @param {number} options.timeoutMs - Timeout per attempt in ms, 0 for none (default 10000)
+     * @param {number} options.retries - Retries after network errors, timeouts, 5xx and 429 (default 2)
+     * @param {number} options.retryDelayMs - First backoff delay in ms, doubled on every retry (default 500)
+     * @param {number} options.maxRetryDelayMs - Longest wait between attempts in ms, also caps Retry-After (default 10000)
+     */
+    setRequestOptions(options = {}) {
+        const previousValue = this.getRequestOptions();
+        this.qobotoApiService.setRequestOptions(options);
+        this.events.emit("configChanged", { key: "request", value: this.getRequestOptions(), previousValue });
+    }
+
+    /**
+     * Get the current timeout and retry settings
+     * @returns {object} { timeoutMs, retries, retryDelayMs, maxRetryDelayMs }
+     */
+    getRequestOptions() {
+        return { ...this.qobotoApiService.requestOptions };
+    }
+
+    /**
+     * Configure which logo and background image URLs are passed on; rejected ones are
+     * replaced by the fallback and announced with an "assetRejected" event
+     * @param {object} options - Policy settings (all optional)
+     * @param {Array<string>} options.allowedSchemes - Allowed URL schemes (default ["https", "http"])
+     * @param {Array<string>|null} options.allowedHosts - Only these hosts, or null for any (default null)
+     * @param {Array<string>} options.deniedHosts - Hosts that are never allowed (default [])
+     * @param {number} options.maxLength - Longest URL accepted (default 2048)
+     * @param {boolean} options.upgradeToHttps - Rewrite http:// URLs to https:// (default false)
+     * @param {object} options.fallbacks - URL used instead of a rejected one, per field
+     *   (e.g. { logoUrl, sectionMain1Background2ImageUrl }); by default the usual defaults apply
+     */
+    setAssetUrlPolicy(options = {}) {
+        const previousValue = this.getAssetUrlPolicy();
+        this.qobotoApiService.setAssetUrlPolicy(options);
+        this.events.emit("configChanged", { key: "assetUrlPolicy", value: this.getAssetUrlPolicy(), previousValue });
+    }
+
+    /**
+     * Get the current asset URL policy
+     * @returns {object} { allowedSchemes, allowedHosts, deniedHosts, maxLength, upgradeToHttps, fallbacks }
+     */
+    getAssetUrlPolicy() {
+        return this.qobotoApiService.assetUrlPolicy.getOptions();
+    }
+
+    /**
+     * Get this client's settings in the form the constructor takes, e.g. to create a
+     * client for another network that otherwise behaves the same:
+     *
+     *   const kermit = new OperateIdClient({ ...client.getOptions(), network: "kermit" });
+     *
+     * apiBaseUrl is only set when it was chosen explicitly (see setApiBaseUrl()), so the
+     * new client uses its own network's API otherwise. The cache store and data provider
+     * are shared, not copied.
+     * @returns {object} { network, apiBaseUrl, developmentMode, logLevel, logger, dataProvider, cache,
+     *   request, assetUrlPolicy, errorMode, schemaMode, bulkEndpoint }
+     */
+    getOptions() {
+        const apiService = this.qobotoApiService;
+        return {
+            network: this.getNetwork(),
+            apiBaseUrl: this._apiBaseUrlOverride || undefined,
+            developmentMode: apiService.developmentMode,
+            logLevel: this.getLogLevel(),
+            logger: this.logger.getSink(),
+            dataProvider: apiService.customProvider || undefined,
+            cache: { ...this.getCacheOptions(), persistent: apiService.persistentStore },
+            request: this.getRequestOptions(),
+            assetUrlPolicy: this.getAssetUrlPolicy(),
+            errorMode: this.getErrorMode(),
+            schemaMode: apiService.schemaMode,
+            bulkEndpoint: apiService.httpProvider.bulkPath || undefined
+        };
+    }
+
+    /**
+     * Clear all cached data for a specific identity or all identities
+     * @param {string} identityUrl - Optional identity URL to clear specific cache
+     */
+    clearCache(identityUrl = null) {
+        if (identityUrl) {
+            const opIdResource = this._createResource(identityUrl);
+            if (opIdResource) {
+                opIdResource.clearCache();
+            }
+        } else {
+            this.qobotoApiService.clearCache();
+        }
+        this.events.emit("cacheCleared", { identityUrl: identityUrl });
+    }
+}
+
+// =============================================================================
+// MAIN ADIPARSE API
+// =============================================================================
+
+// Main utility class for easy usage - a static facade over the default OperateIdClient
+class AdiParse {
+    /**
+     * Create an independent client with its own network, API base URL, cache and logger
+     * @param {object} options - See OperateIdClient constructor
+     * @returns {OperateIdClient} The new client
+     */
+    static createClient(options = {}) {
+        return new OperateIdClient(options);
+    }
+
+    /**
+     * Get the client that the static AdiParse methods forward to
+     * @returns {OperateIdClient} The default client
+     */
+    static getDefaultClient() {
+        return AdiParse.defaultClient;
+    }
+
+    /**
+     * Subscribe to default client events
+     * @param {string} eventName - "networkChanged", "configChanged" or "cacheCleared"
+     * @param {function} handler - Called with the event payload
+     * @returns {function} Call to unsubscribe
+     */
+    static on(eventName, handler) {
+        return AdiParse.defaultClient.on(eventName, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of a default client event only
+     * @param {string} eventName - "networkChanged", "configChanged" or "cacheCleared"
+     * @param {function} handler - Called with the event payload
+     * @returns {function} Call to unsubscribe
+     */
+    static once(eventName, handler) {
+        return AdiParse.defaultClient.once(eventName, handler);
+    }
+
+    /**
+     * Unsubscribe a handler from default client events
+     * @param {string} eventName - The event name
+     * @param {function} handler - The handler passed to on()
+     */
+    static off(eventName, handler) {
+        AdiParse.defaultClient.off(eventName, handler);
+    }
+
+    /**
+     * Get the BankOnLedger URL for a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { errorMode } for this call
+     * @returns {string|null} The BankOnLedger URL or null if invalid
+     */
+    static getBankOnLedgerUrl(identityUrl, options = {}) {
+        return AdiParse.defaultClient.getBankOnLedgerUrl(identityUrl, options);
+    }
+
+    /**
+     * Get the Qoboto URL for a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { errorMode } for this call
+     * @returns {string|null} The Qoboto URL, or null if invalid or a lite account
+     *   (in "throw" and "result" mode lite accounts are INVALID_IDENTITY with details.app)
+     */
+    static getQobotoUrl(identityUrl, options = {}) {
+        return AdiParse.defaultClient.getQobotoUrl(identityUrl, options);
+    }
+
+    /**
+     * Get the URL of a registered DID app for a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {string} appId - The app id (e.g., "qoboto", "bankOnLedger")
+     * @param {object} options - Optional { errorMode } for this call
+     * @returns {string|null} The app URL or null if invalid, unknown or unsupported
+     */
+    static getAppUrl(identityUrl, appId, options = {}) {
+        return AdiParse.defaultClient.getAppUrl(identityUrl, appId, options);
+    }
+
+    /**
+     * Get the URLs of all registered DID apps that support a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { errorMode } for this call
+     * @returns {Array<{id: string, displayName: string, icon: string, url: string}>} Empty if invalid
+     */
+    static getAppUrls(identityUrl, options = {}) {
+        return AdiParse.defaultClient.getAppUrls(identityUrl, options);
+    }
+
+    /**
+     * Get a QR code for an identity link, generated offline
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - { target: "qoboto" (default), "bankOnLedger", another app id or "acc",
+     *   format: "svg" (default) or "dataUri", errorCorrection, moduleSize, margin, foreground, background, errorMode }
+     * @returns {string|null} The QR code, or null if the identity is invalid or the target app
+     *   doesn't support this kind of account (INVALID_IDENTITY in "throw" and "result" mode)
+     */
+    static getQrCode(identityUrl, options = {}) {
+        return AdiParse.defaultClient.getQrCode(identityUrl, options);
+    }
+
+    /**
+     * Register a DID asset app (or replace one with the same id)
+     * @param {object} app - { id, displayName, icon, host, path, networkParameter, supportsLite }
+     *   or { id, displayName, icon, buildUrl(context) }
+     * @returns {object} The stored app definition
+     */
+    static registerApp(app) {
+        return didAppRegistry.register(app);
+    }
+
+    /**
+     * Remove a registered DID app
+     * @param {string} appId - The app id
+     * @returns {boolean} True if the app was registered
+     */
+    static unregisterApp(appId) {
+        return didAppRegistry.unregister(appId);
+    }
+
+    /**
+     * List the registered DID apps
+     * @returns {Array<object>} The app definitions
+     */
+    static getApps() {
+        return didAppRegistry.list();
+    }
+
+    /**
+     * Find the identity behind a Qoboto, BankOnLedger or other registered app link
+     * @param {string} url - The app URL (e.g., "https://sunstream.Qoboto.com/shop?current-network=kermit")
+     * @returns {object|null} { app, appDisplayName, identityName, identityUrl, accountUrl, path, isLite,
+     *   network, networkSource, unknownNetwork }, or null if the URL is not a registered app's link;
+     *   network is null and unknownNetwork names the network when the link's network isn't registered
+     */
+    static parseAppUrl(url) {
+        return didAppRegistry.parseUrl(url);
+    }
+
+    /**
+     * Get the generated avatar for an identity (the default logo), without any network access
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Settings for this avatar only, e.g. { style: "identicon", size: 64 }
+     * @returns {string|null} A data:image/svg+xml URI, or null if the identity URL is invalid
+     */
+    static getAvatarUrl(identityUrl, options = {}) {
+        const result = AccUrlParser.parse(identityUrl);
+        return result.valid ? avatarGenerator.dataUri(result.url.identityName, options) : null;
+    }
+
+    /**
+     * Change how avatars (default logos) look, for every client
+     * @param {object} options - { style: "initials"|"identicon", size, shape: "square"|"rounded"|"circle",
+     *   palette, background, foreground, fontFamily }
+     */
+    static setAvatarOptions(options = {}) {
+        avatarGenerator.configure(options);
+    }
+
+    /**
+     * Get the current avatar settings
+     * @returns {object} The settings
+     */
+    static getAvatarOptions() {
+        return avatarGenerator.getOptions();
+    }
+
+    /**
+     * Change how QR codes look, for every client
+     * @param {object} options - { errorCorrection: "L"|"M"|"Q"|"H", moduleSize, margin, foreground, background }
+     */
+    static setQrCodeOptions(options = {}) {
+        qrCodeGenerator.configure(options);
+    }
+
+    /**
+     * Get the current QR code settings
+     * @returns {object} The settings
+     */
+    static getQrCodeOptions() {
+        return qrCodeGenerator.getOptions();
+    }
+
+    /**
+     * Get the logo URL for a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode }; aborting rejects with the signal's reason
+     * @returns {Promise<string|null>} The logo URL or null if invalid
+     */
+    static async getLogoUrl(identityUrl, options = {}) {
+        return AdiParse.defaultClient.getLogoUrl(identityUrl, options);
+    }
+
+    /**
+     * Get the main section description for a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode, format }; aborting rejects with
+     *   the signal's reason. format is "raw" (default), "plain", "escaped" or "rich" (see SafeHtml)
+     * @returns {Promise<string|null>} The section description or null if invalid
+     */
+    static async getSectionMain1Description(identityUrl, options = {}) {
+        return AdiParse.defaultClient.getSectionMain1Description(identityUrl, options);
+    }
+
+    /**
+     * Get the main section background image URL for a given identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode }; aborting rejects with the signal's reason
+     * @returns {Promise<string|null>} The background image URL or null if invalid
+     */
+    static async getSectionMain1Background2ImageUrl(identityUrl, options = {}) {
+        return AdiParse.defaultClient.getSectionMain1Background2ImageUrl(identityUrl, options);
+    }
+
+    /**
+     * Get all main data for a given identity in one call
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode, format }; aborting rejects with
+     *   the signal's reason. format applies to the description (see getSectionMain1Description)
+     * @returns {Promise<object|null>} Object with logoUrl, description, backgroundImageUrl, rawData and
+     *   sources (for each field "api", "override" or "default")
+     */
+    static async getAllMainData(identityUrl, options = {}) {
+        return AdiParse.defaultClient.getAllMainData(identityUrl, options);
+    }
+
+    /**
+     * Get all main data for many identities, a few at a time
+     * @param {Array<string>} identityUrls - The identity URLs (e.g., ["sunstream.acme", "acme"])
+     * @param {object} options - { concurrency, onProgress, bulk, format, signal }
+     * @returns {Promise<Array<{identityUrl: string, ok: boolean, data: object|null, error: OperateIdError|null}>>}
+     *   One result per input, in input order
+     */
+    static async getAllMainDataBatch(identityUrls, options = {}) {
+        return AdiParse.defaultClient.getAllMainDataBatch(identityUrls, options);
+    }
+
+    /**
+     * Use a bulk endpoint of the Qoboto API for batch requests
+     * @param {string|null} path - Path below the API base URL, or null to disable
+     */
+    static setBulkEndpoint(path) {
+        AdiParse.defaultClient.setBulkEndpoint(path);
+    }
+
+    /**
+     * Get every section (header, main, footer, ...) of an identity's Qoboto page
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode }; aborting rejects with the signal's reason
+     * @returns {Promise<Array<object>|null>} The raw sections or null if invalid or unavailable
+     */
+    static async getSections(identityUrl, options = {}) {
+        return AdiParse.defaultClient.getSections(identityUrl, options);
+    }
+
+    /**
+     * Get one section of an identity's Qoboto page
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {string} sectionName - The section name (e.g., "header", "main", "footer")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode }; aborting rejects with the signal's reason
+     * @returns {Promise<object|null>} The raw section or null if invalid or missing
+     */
+    static async getSection(identityUrl, sectionName, options = {}) {
+        return AdiParse.defaultClient.getSection(identityUrl, sectionName, options);
+    }
+
+    /**
+     * Get a typed model of an identity's whole Qoboto page
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { signal: AbortSignal, errorMode }; aborting rejects with the signal's reason
+     * @returns {Promise<QobotoPageModel|null>} header, footer and main (with numbered sections) or null
+     */
+    static async getPageModel(identityUrl, options = {}) {
+        return AdiParse.defaultClient.getPageModel(identityUrl, options);
+    }
+
+    /**
+     * Get the schema validation report of the cached API response for an identity
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @returns {object|null} { valid, version, sourceVersion, adaptersApplied, data, errors } or null
+     */
+    static getValidationReport(identityUrl) {
+        return AdiParse.defaultClient.getValidationReport(identityUrl);
+    }
+
+    /**
+     * Validate (and upgrade) a Qoboto API response without fetching anything
+     * @param {*} responseData - The parsed response
+     * @returns {object} { valid, version, sourceVersion, adaptersApplied, data, errors }
+     */
+    static validateResponse(responseData) {
+        return QobotoResponseSchema.validate(responseData);
+    }
+
+    /**
+     * Choose how schema violations in API responses are handled
+     * @param {string} mode - "lenient" (drop invalid parts) or "strict" (reject the response)
+     */
+    static setSchemaMode(mode) {
+        AdiParse.defaultClient.setSchemaMode(mode);
+    }
+
+    /**
+     * Get the full opIdResource object for advanced usage
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @returns {object|null} The opIdResource object or null if invalid
+     */
+    static getOpIdResource(identityUrl) {
+        return AdiParse.defaultClient.getOpIdResource(identityUrl);
+    }
+
+    /**
+     * Parse an Accumulate URL into authority, path segments, query and fragment
+     * @param {string} url - The URL (e.g., "acc://sunstream.acme/shop/book?x=1#top" or "sunstream")
+     * @param {object} options - { strict: true } to require "acc://" and ".acme" to be written out
+     * @returns {{valid: boolean, url: AccUrl|null, errors: Array<{code: string, message: string}>}}
+     */
+    static parseUrl(url, options = {}) {
+        return AccUrlParser.parse(url, options);
+    }
+
+    /**
+     * Describe a lite identity or lite token account URL
+     * @param {string} url - The URL (e.g., "acc://<40 hex key hash><8 hex checksum>/ACME")
+     * @returns {object|null} { identityUrl, keyHash, checksum, checksumValid, isTokenAccount, tokenPath, supportedApps }
+     *   or null if the URL is not a lite URL
+     */
+    static getLiteAccountInfo(url) {
+        if (typeof url !== "string") return null;
+
+        // Split by hand rather than through AccUrlParser, which rejects bad checksums
+        // outright - here they should be reported
+        const parts = url.trim().replace(/^acc:\/\//i, "").split(/[?#]/)[0].toLowerCase().split("/").filter(Boolean);
+        const authority = parts[0] || "";
+        const pathSegments = parts.slice(1);
+        const lite = LiteAccountHelper.parseAuthority(authority);
+        if (!lite) return null;
+
+        return {
+            identityUrl: "acc://" + authority,
+            keyHash: lite.keyHash,
+            checksum: lite.checksum,
+            checksumValid: lite.checksumValid,
+            isTokenAccount: pathSegments.length > 0,
+            tokenPath: pathSegments.join("/"),
+            supportedApps: AdiUrlClass.createByUrl("acc://" + authority).supportedApps()
+        };
+    }
+
+    /**
+     * Check an identity name against the Accumulate naming rules
+     * @param {string} input - The identity (e.g., "sunstream", "sunstream.acme" or "acc://sunstream.acme")
+     * @param {object} options - { allowReserved: true } to accept reserved system names
+     * @returns {{valid: boolean, identityName: string|null, identityUrl: string|null, errors: Array<{code: string, message: string}>}}
+     */
+    static validateIdentity(input, options = {}) {
+        return identityValidator.validate(input, options);
+    }
+
+    /**
+     * Get the canonical form of an Accumulate URL
+     * @param {string} url - The URL (e.g., "Sunstream" or "acc://sunstream.acme/")
+     * @returns {string|null} The canonical URL (e.g., "acc://sunstream.acme") or null if invalid
+     */
+    static canonicalizeUrl(url) {
+        return AccUrlParser.canonicalize(url);
+    }
+
+    /**
+     * Check whether two URL forms refer to the same account
+     * @param {string} a - First URL (e.g., "Sunstream")
+     * @param {string} b - Second URL (e.g., "acc://sunstream.acme/")
+     * @returns {boolean} True if both are valid and equal
+     */
+    static urlsEqual(a, b) {
+        return AccUrlParser.equals(a, b);
+    }
+
+    /**
+     * Convert untrusted text (e.g., a description) to a safe format
+     * @param {string|null} text - The text
+     * @param {string} format - "raw", "plain", "escaped" or "rich" (allow-listed HTML and Markdown)
+     * @returns {string|null} The converted text
+     */
+    static formatText(text, format = "plain") {
+        return SafeHtml.format(text, format);
+    }
+
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - The text
+     * @returns {string} The escaped text
+     */
+    static escapeHtml(text) {
+        return SafeHtml.escape(text);
+    }
+
+    /**
+     * Replace an element's content with untrusted text, built from DOM nodes (never innerHTML)
+     * @param {Element} element - The element to fill
+     * @param {string|null} text - The text
+     * @param {string} format - "plain" (default) or "rich"; "raw" and "escaped" show the text as-is
+     * @returns {Element} The element
+     */
+    static renderText(element, text, format = "plain") {
+        return SafeHtml.render(element, text, format);
+    }
+
+    /**
+     * Switch network (default is "mainnet"), including its app hosts, explorer and API base URL
+     * (unless one was set with setApiBaseUrl())
+     * @param {string} networkName - A registered network ("mainnet", "kermit", "fozzie", etc.)
+     * @throws {Error} If the network is not registered
+     */
+    static setNetwork(networkName) {
+        AdiParse.defaultClient.setNetwork(networkName);
+    }
+
+    /**
+     * Get the definition of the current network
+     * @returns {object} { id, displayName, qobotoApiBaseUrl, appHostPattern, explorerUrl }
+     */
+    static getNetworkInfo() {
+        return AdiParse.defaultClient.getNetworkInfo();
+    }
+
+    /**
+     * Get the block explorer URL for a given identity on the current network
+     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
+     * @param {object} options - Optional { errorMode } for this call
+     * @returns {string|null} The explorer URL or null if invalid
+     */
+    static getExplorerUrl(identityUrl, options = {}) {
+        return AdiParse.defaultClient.getExplorerUrl(identityUrl, options);
+    }
+
+    /**
+     * Register a network (or replace one with the same id)
+     * @param {object} network - { id, displayName, qobotoApiBaseUrl, appHostPattern, explorerUrl }
+     * @returns {object} The stored network definition
+     */
+    static registerNetwork(network) {
+        return networkRegistry.register(network);
+    }
+
+    /**
+     * List the registered networks
+     * @returns {Array<object>} The network definitions
+     */
+    static getNetworks() {
+        return networkRegistry.list();
+    }
+
+    /**
+     * Get the current network name
+     * @returns {string} The current network name
+     */
+    static getNetwork() {
+        return AdiParse.defaultClient.getNetwork();
+    }
+
+    /**
+     * Configure the Qoboto API base URL, kept across network changes (null: use the network's)
+     * @param {string|null} baseUrl - The API base URL (e.g., "https://api.qoboto.com")
+     */
+    static setApiBaseUrl(baseUrl) {
+        AdiParse.defaultClient.setApiBaseUrl(baseUrl);
+    }
+
+    /**
+     * Get the Qoboto API base URL
+     * @returns {string} The API base URL
+     */
+    static getApiBaseUrl() {
+        return AdiParse.defaultClient.getApiBaseUrl();
+    }
+
+    /**
+     * Enable or disable development mode (uses mock data when enabled)
+     * @param {boolean} enabled - Whether to use development mode with mock data
+     */
+    static setDevelopmentMode(enabled = true) {
+        AdiParse.defaultClient.setDevelopmentMode(enabled);
+    }
+
+    /**
+     * Choose where identity data comes from
+     * @param {string|object|null} provider - "http", "mock", a provider object
+     *   (e.g. new QobotoStaticDataProvider(fixtures)), or null to follow development mode
+     */
+    static setDataProvider(provider) {
+        AdiParse.defaultClient.setDataProvider(provider);
+    }
+
+    /**
+     * Serve identity data from fixtures instead of the API (handy for tests)
+     * @param {object} fixtures - Map of identity URL to section list
+     * @returns {QobotoStaticDataProvider} The provider now in use
+     */
+    static useStaticData(fixtures) {
+        return AdiParse.defaultClient.useStaticData(fixtures);
+    }
+
+    /**
+     * Get the name of the data provider currently in use
+     * @returns {string} "http", "mock", "static" or the custom provider's name
+     */
+    static getDataProviderName() {
+        return AdiParse.defaultClient.getDataProviderName();
+    }
 
-        // Default background image fallback
-        const defaultBackgroundUrl = "https://images.unsplash.com/photo-1557804506-669a67965ba0?ixlib=rb-4.0.3&auto=format&fit=crop&w=1074&q=80";
-        this._dataCache.sectionMain1Background2ImageUrl = defaultBackgroundUrl;
-        return defaultBackgroundUrl;
+    /**
+     * Enable or disable debug logging for API calls
+     * @param {boolean} enabled - Whether to enable debug logging
+     */
+    static setDebugMode(enabled = true) {
+        AdiParse.defaultClient.setDebugMode(enabled);
     }
 
-    async getAllMainData() {
-        const identityUrl = this._getSimpleIdentityUrl();
+    /**
+     * Send log output somewhere other than the console
+     * @param {object} logger - Object with log, warn and error methods
+     */
+    static setLogger(logger) {
+        AdiParse.defaultClient.setLogger(logger);
+    }
 
-        try {
-            // Get all data in one API call for efficiency
-            const allData = await qobotoApiService.getAllMainData(identityUrl);
-
-            // Update cache
-            if (allData.logoUrl) this._dataCache.logoUrl = allData.logoUrl;
-            if (allData.sectionMain1Description) this._dataCache.sectionMain1Description = allData.sectionMain1Description;
-            if (allData.sectionMain1Background2ImageUrl) this._dataCache.sectionMain1Background2ImageUrl = allData.sectionMain1Background2ImageUrl;
-
-            return {
-                logoUrl: allData.logoUrl || await this.logoUrl(),
-                sectionMain1Description: allData.sectionMain1Description || await this.sectionMain1Description(),
-                sectionMain1Background2ImageUrl: allData.sectionMain1Background2ImageUrl || await this.sectionMain1Background2ImageUrl(),
-                rawData: allData.rawData
-            };
-        } catch (error) {
-            console.error("Error fetching all main data:", error);
-            // Return individual cached/default values
-            return {
-                logoUrl: await this.logoUrl(),
-                sectionMain1Description: await this.sectionMain1Description(),
-                sectionMain1Background2ImageUrl: await this.sectionMain1Background2ImageUrl(),
-                rawData: null
-            };
-        }
+    /**
+     * Set how much is logged, for everything or for one scope
+     * @param {string} level - "silent", "error" (default), "warn", "info", "debug" or "trace"
+     * @param {string} scopeName - Optional scope, e.g. "QobotoApiService"
+     */
+    static setLogLevel(level, scopeName = null) {
+        AdiParse.defaultClient.setLogLevel(level, scopeName);
     }
 
-    // Method to manually set custom values for testing/development
-    setCustomLogoUrl(logoUrl) {
-        this._customOverrides.logoUrl = logoUrl;
+    /**
+     * Get how much is logged
+     * @param {string} scopeName - Optional scope
+     * @returns {string} The level name
+     */
+    static getLogLevel(scopeName = null) {
+        return AdiParse.defaultClient.getLogLevel(scopeName);
     }
 
-    setCustomDescription(description) {
-        this._customOverrides.sectionMain1Description = description;
+    /**
+     * Configure caching
+     * @param {object} options - { ttl, maxEntries, staleWhileRevalidate, persistent, storeOptions }
+     */
+    static setCacheOptions(options = {}) {
+        AdiParse.defaultClient.setCacheOptions(options);
     }
 
-    setCustomBackgroundImageUrl(backgroundImageUrl) {
-        this._customOverrides.sectionMain1Background2ImageUrl = backgroundImageUrl;
+    /**
+     * Get the current cache settings
+     * @returns {object} { ttl, maxEntries, staleWhileRevalidate, persistent }
+     */
+    static getCacheOptions() {
+        return AdiParse.defaultClient.getCacheOptions();
     }
 
-    // Clear cache to force refresh from API
-    clearCache(dataType = null) {
-        if (dataType) {
-            delete this._dataCache[dataType];
-        } else {
-            this._dataCache = {};
-        }
+    /**
+     * Choose how failures are reported
+     * @param {string} mode - "fallback" (default), "throw" or "result" ({ ok, data, error })
+     */
+    static setErrorMode(mode) {
+        AdiParse.defaultClient.setErrorMode(mode);
+    }
 
-        // Also clear API cache for this identity
-        qobotoApiService.clearCache(this._getSimpleIdentityUrl());
+    /**
+     * Get how failures are reported
+     * @returns {string} "fallback", "throw" or "result"
+     */
+    static getErrorMode() {
+        return AdiParse.defaultClient.getErrorMode();
     }
 
-    // Clear all overrides
-    clearOverrides() {
-        this._customOverrides = {};
+    /**
+     * Configure timeouts and retries of API requests
+     * @param {object} options - { timeoutMs, retries, retryDelayMs, maxRetryDelayMs }
+     */
+    static setRequestOptions(options = {}) {
+        AdiParse.defaultClient.setRequestOptions(options);
     }
-}
 
-// =============================================================================
-// OPID RESOURCE FACTORY
-// =============================================================================
+    /**
+     * Get the current timeout and retry settings
+     * @returns {object} { timeoutMs, retries, retryDelayMs, maxRetryDelayMs }
+     */
+    static getRequestOptions() {
+        return AdiParse.defaultClient.getRequestOptions();
+    }
 
-class OpIdResourceFactoryClass {
-    createByIdentityUrl(identityUrl) {
-        const info = opIdInfoFactory.createByIdentityUrl(identityUrl);
-        if (info == null) return null;
-        var result = new OpIdResourceClass(info);
-        return result;
+    /**
+     * Configure which logo and background image URLs are passed on; rejected ones are
+     * replaced by the fallback and announced with an "assetRejected" event
+     * @param {object} options - { allowedSchemes, allowedHosts, deniedHosts, maxLength, upgradeToHttps, fallbacks }
+     */
+    static setAssetUrlPolicy(options = {}) {
+        AdiParse.defaultClient.setAssetUrlPolicy(options);
     }
 
-    createByIdentityName(identityName) {
-        const info = opIdInfoFactory.createByIdentityName(identityName);
-        if (info == null) return null;
-        var result = new OpIdResourceClass(info);
-        return result;
+    /**
+     * Get the current asset URL policy
+     * @returns {object} { allowedSchemes, allowedHosts, deniedHosts, maxLength, upgradeToHttps, fallbacks }
+     */
+    static getAssetUrlPolicy() {
+        return AdiParse.defaultClient.getAssetUrlPolicy();
+    }
+
+    /**
+     * Clear all cached data for a specific identity or all identities
+     * @param {string} identityUrl - Optional identity URL to clear specific cache
+     */
+    static clearCache(identityUrl = null) {
+        AdiParse.defaultClient.clearCache(identityUrl);
     }
 }
 
-const opIdResourceFactory = new OpIdResourceFactoryClass();
+// The default client wraps the module-level services so existing code that
+// uses opId$, qobotoApiService or networkNameService directly stays in sync
+AdiParse.defaultClient = new OperateIdClient({
+    networkNameService: networkNameService,
+    qobotoApiService: qobotoApiService,
+    opId$: opId$
+});
 
 // =============================================================================
-// OPID RESOURCE REPOSITORY
+// OPERATEID CARD WEB COMPONENT
 // =============================================================================
 
-class OpIdResourceRepositoryClass {
-    getOpIdResource_createByIdentityUrl(identityUrl) {
-        return opIdResourceFactory.createByIdentityUrl(identityUrl);
+/**
+ * <operate-id-card> - Identity card custom element (browsers only)
+ *
+ *   <operate-id-card identity="sunstream.acme" network="kermit">
+ *       <a slot="actions" href="/follow">Follow</a>
+ *   </operate-id-card>
+ *
+ * Attributes (changing one re-renders the card):
+ * - identity:           the identity URL; without it the card shows its empty state
+ * - network:            network for this card only (default: AdiParse's network)
+ * - description-format: "rich" (default) or "plain" (see SafeHtml)
+ * - qr:                 show a QR code below the links; the value is the target
+ *                       ("qoboto" when empty, "bankOnLedger", another app id or "acc")
+ *
+ * The host's "state" attribute is "empty", "loading", "ready" or "error", for
+ * styling from outside. Slots: "actions" (next to the links), "footer",
+ * "loading", "empty" and "error" (replace the default state content). Parts:
+ * card, header, logo, name, identity, links, link, qoboto-link, bank-link,
+ * qr, qr-image, background, description, status.
+ *
+ * Events (bubbling, composed): "operateid-load" { identity, data } and
+ * "operateid-error" { identity, error } with an OperateIdError.
+ *
+ * The card uses AdiParse's default client, or a client per network when the
+ * network attribute differs from it; set card.client to use your own. Network
+ * clients follow the default client's settings and cache clears. An unknown
+ * network puts the card in the error state with an INVALID_IDENTITY error.
+ * Everything from the API is set with textContent, attributes or
+ * SafeHtml.render() - never innerHTML.
+ */
+const OperateIdCardElement = typeof HTMLElement === "undefined" ? null : class OperateIdCardElement extends HTMLElement {
+    static get observedAttributes() {
+        return ["identity", "network", "description-format", "qr"];
     }
 
-    getOpIdResource_createByIdentityName(identityName) {
-        return opIdResourceFactory.createByIdentityName(identityName);
+    static get STYLES() {
+        return `
+            :host { display: block; font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; }
+            :host([hidden]) { display: none; }
+            .card { background: #fff; border-radius: 20px; overflow: hidden; box-shadow: 0 10px 40px rgba(0, 0, 0, 0.12); }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #fff; padding: 30px; text-align: center; }
+            .logo { max-height: 120px; max-width: 100%; margin: 0 auto 20px; display: block; }
+            .name { font-size: 2rem; font-weight: 700; margin: 0; text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.2); }
+            .identity { margin: 5px 0 0; opacity: 0.9; font-size: 0.95rem; }
+            .links { padding: 25px; display: flex; flex-wrap: wrap; gap: 15px; justify-content: center; }
+            .link { flex: 1; max-width: 200px; padding: 15px 25px; border-radius: 12px; text-decoration: none;
+                font-weight: 600; text-align: center; color: #fff; }
+            .qoboto { background: linear-gradient(135deg, #667eea, #764ba2); }
+            .bank { background: linear-gradient(135deg, #f093fb, #f5576c); }
+            .qr { padding: 0 25px 25px; text-align: center; }
+            .qr-image { width: 164px; height: 164px; }
+            .background { height: 250px; background-size: cover; background-position: center; }
+            .description { background: linear-gradient(135deg, #1F2937, #374151); color: #fff; padding: 30px; line-height: 1.8; }
+            .description a { color: #A5B4FC; }
+            .status { padding: 30px; text-align: center; color: #374151; }
+            :host([state="error"]) .status { color: #DC2626; }
+            .spinner { display: inline-block; width: 20px; height: 20px; margin-right: 10px; vertical-align: middle;
+                border: 3px solid rgba(102, 126, 234, 0.3); border-top-color: #667eea; border-radius: 50%;
+                animation: spin 1s ease-in-out infinite; }
+            @keyframes spin { to { transform: rotate(360deg); } }
+        `;
     }
-}
 
-// =============================================================================
-// OPID SERVICE
-// =============================================================================
+    /**
+     * The client cards share for a network other than the default client's. It is built
+     * from the default client's current settings, rebuilt after they change and has its
+     * cache cleared along with the default client's
+     * @param {string} network - The network id (e.g., "kermit")
+     * @returns {OperateIdClient} The client
+     * @throws {Error} If the network is not registered
+     */
+    static clientFor(network) {
+        const defaultClient = AdiParse.defaultClient;
+        if (!network || network === defaultClient.getNetwork()) {
+            return defaultClient;
+        }
+        if (!OperateIdCardElement._clients) {
+            const clients = new Map();
+            defaultClient.on("configChanged", () => clients.clear());
+            defaultClient.on("cacheCleared", ({ identityUrl }) => {
+                clients.forEach(client => client.clearCache(identityUrl));
+            });
+            OperateIdCardElement._clients = clients;
+        }
+        if (!OperateIdCardElement._clients.has(network)) {
+            OperateIdCardElement._clients.set(network, new OperateIdClient({ ...defaultClient.getOptions(), network: network }));
+        }
+        return OperateIdCardElement._clients.get(network);
+    }
 
-class OpIdServiceClass {
     constructor() {
-        this.opIdResourceRepository = new OpIdResourceRepositoryClass();
+        super();
+        this.attachShadow({ mode: "open" });
+        this._client = null; // Set through the client property
+        this._controller = null; // Aborts the request of the previous render
+        this._renderQueued = false;
+        this._unsubscribe = [];
+        this._data = null;
     }
-}
 
-// Create a global service object similar to the original structure
-const opId$ = {
-    service: new OpIdServiceClass()
-};
+    get identity() {
+        return this.getAttribute("identity");
+    }
 
-// =============================================================================
-// MAIN ADIPARSE API
-// =============================================================================
+    set identity(value) {
+        if (value === null || value === undefined) {
+            this.removeAttribute("identity");
+        } else {
+            this.setAttribute("identity", value);
+        }
+    }
 
-// Load dependencies in correct order
-if (typeof module !== 'undefined' && module.exports) {
-    // Node.js environment
-    module.exports = { AdiParse, opId$ };
-} else {
-    // Browser environment - classes are already defined
-}
+    get network() {
+        return this.getAttribute("network");
+    }
 
-// Main utility class for easy usage
-class AdiParse {
-    /**
-     * Get the BankOnLedger URL for a given identity
-     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
-     * @returns {string|null} The BankOnLedger URL or null if invalid
-     */
-    static getBankOnLedgerUrl(identityUrl) {
-        try {
-            const opIdResource = opId$.service.opIdResourceRepository.getOpIdResource_createByIdentityUrl(identityUrl);
-            if (opIdResource && opIdResource.opIdInfo && opIdResource.opIdInfo.adiInfo) {
-                return opIdResource.opIdInfo.adiInfo.bankOnLedger_Url();
-            }
-            return null;
-        } catch (error) {
-            console.error("Error generating BankOnLedger URL:", error);
-            return null;
+    set network(value) {
+        if (value === null || value === undefined) {
+            this.removeAttribute("network");
+        } else {
+            this.setAttribute("network", value);
         }
     }
 
     /**
-     * Get the Qoboto URL for a given identity
-     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
-     * @returns {string|null} The Qoboto URL or null if invalid
+     * The OperateIdClient used by this card
      */
-    static getQobotoUrl(identityUrl) {
-        try {
-            const opIdResource = opId$.service.opIdResourceRepository.getOpIdResource_createByIdentityUrl(identityUrl);
-            if (opIdResource && opIdResource.opIdInfo && opIdResource.opIdInfo.adiInfo) {
-                return opIdResource.opIdInfo.adiInfo.qoboto_Url();
-            }
-            return null;
-        } catch (error) {
-            console.error("Error generating Qoboto URL:", error);
-            return null;
+    get client() {
+        return this._client || OperateIdCardElement.clientFor(this.network);
+    }
+
+    set client(client) {
+        this._client = client || null;
+        if (this.isConnected) {
+            this._subscribe();
+            this._scheduleRender();
         }
     }
 
     /**
-     * Get the logo URL for a given identity
-     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
-     * @returns {Promise<string|null>} The logo URL or null if invalid
+     * "empty", "loading", "ready" or "error"
      */
-    static async getLogoUrl(identityUrl) {
-        try {
-            const opIdResource = opId$.service.opIdResourceRepository.getOpIdResource_createByIdentityUrl(identityUrl);
-            if (opIdResource) {
-                return await opIdResource.logoUrl();
-            }
-            return null;
-        } catch (error) {
-            console.error("Error generating logo URL:", error);
-            return null;
-        }
+    get state() {
+        return this.getAttribute("state") || "empty";
     }
 
     /**
-     * Get the main section description for a given identity
-     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
-     * @returns {Promise<string|null>} The section description or null if invalid
+     * The data shown (from getAllMainData), or null
      */
-    static async getSectionMain1Description(identityUrl) {
-        try {
-            const opIdResource = opId$.service.opIdResourceRepository.getOpIdResource_createByIdentityUrl(identityUrl);
-            if (opIdResource) {
-                return await opIdResource.sectionMain1Description();
-            }
-            return null;
-        } catch (error) {
-            console.error("Error getting section description:", error);
-            return null;
+    get data() {
+        return this._data;
+    }
+
+    connectedCallback() {
+        this._subscribe();
+        this._scheduleRender();
+    }
+
+    disconnectedCallback() {
+        this._unsubscribe.forEach(unsubscribe => unsubscribe());
+        this._unsubscribe = [];
+        if (this._controller) {
+            this._controller.abort();
+            this._controller = null;
+        }
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue || !this.isConnected) {
+            return;
+        }
+        if (name === "network") {
+            this._subscribe();
         }
+        this._scheduleRender();
     }
 
     /**
-     * Get the main section background image URL for a given identity
-     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
-     * @returns {Promise<string|null>} The background image URL or null if invalid
+     * Load and render the card again (e.g., after clearing the cache)
+     * @returns {Promise<void>} Resolves when the card is rendered
      */
-    static async getSectionMain1Background2ImageUrl(identityUrl) {
+    refresh() {
+        return this._render();
+    }
+
+    _subscribe() {
+        this._unsubscribe.forEach(unsubscribe => unsubscribe());
+        this._unsubscribe = [];
+        const defaultClient = AdiParse.defaultClient;
+        const rerender = () => this._scheduleRender();
+        const rendersOn = key => !["debugMode", "logLevel", "logger"].includes(key);
+        let client = null;
         try {
-            const opIdResource = opId$.service.opIdResourceRepository.getOpIdResource_createByIdentityUrl(identityUrl);
-            if (opIdResource) {
-                return await opIdResource.sectionMain1Background2ImageUrl();
-            }
-            return null;
+            client = this.client;
         } catch (error) {
-            console.error("Error getting background image URL:", error);
-            return null;
+            // Unknown network attribute; _render() shows the error
+        }
+
+        if (!this._client && client !== defaultClient) {
+            // The shared network client is replaced when the default client's settings change
+            this._unsubscribe.push(
+                defaultClient.on("networkChanged", () => {
+                    this._subscribe();
+                    rerender();
+                }),
+                defaultClient.on("configChanged", ({ key }) => {
+                    this._subscribe();
+                    if (rendersOn(key)) rerender();
+                }));
+        }
+        if (client) {
+            this._unsubscribe.push(
+                client.on("networkChanged", rerender),
+                client.on("cacheCleared", rerender),
+                client.on("configChanged", ({ key }) => {
+                    if (rendersOn(key)) rerender();
+                }),
+                client.on("dataRevalidated", ({ identityUrl }) => {
+                    if (this.identity && AccUrlParser.equals(identityUrl, this.identity)) rerender();
+                }));
         }
     }
 
-    /**
-     * Get all main data for a given identity in one call
-     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
-     * @returns {Promise<object|null>} Object with logoUrl, description, backgroundImageUrl, and rawData
-     */
-    static async getAllMainData(identityUrl) {
+    // Attribute changes often come in groups; render once after all of them
+    _scheduleRender() {
+        if (this._renderQueued) {
+            return;
+        }
+        this._renderQueued = true;
+        Promise.resolve().then(() => {
+            this._renderQueued = false;
+            if (this.isConnected) return this._render();
+        }).catch(error => {
+            this._showError(this.identity, OperateIdError.from(error, { identityUrl: this.identity }), error.message);
+        });
+    }
+
+    async _render() {
+        if (this._controller) {
+            this._controller.abort();
+        }
+        const controller = new AbortController();
+        this._controller = controller;
+        const identity = this.identity;
+        this._data = null;
+
+        if (!identity) {
+            this._showStatus("empty", "No identity selected");
+            return;
+        }
+        let client;
         try {
-            const opIdResource = opId$.service.opIdResourceRepository.getOpIdResource_createByIdentityUrl(identityUrl);
-            if (opIdResource) {
-                return await opIdResource.getAllMainData();
-            }
-            return null;
+            client = this.client;
         } catch (error) {
-            console.error("Error getting all main data:", error);
-            return null;
+            this._showError(identity, new OperateIdError(OperateIdError.CODES.INVALID_IDENTITY, error.message,
+                { identityUrl: identity, network: this.network }, error), error.message);
+            return;
         }
-    }
 
-    /**
-     * Get the full opIdResource object for advanced usage
-     * @param {string} identityUrl - The identity URL (e.g., "acc://sunstream.acme" or "sunstream.acme")
-     * @returns {object|null} The opIdResource object or null if invalid
-     */
-    static getOpIdResource(identityUrl) {
+        this._showStatus("loading", "Loading...");
+        let result;
         try {
-            return opId$.service.opIdResourceRepository.getOpIdResource_createByIdentityUrl(identityUrl);
+            result = await client.getAllMainData(identity, {
+                signal: controller.signal,
+                errorMode: "result",
+                format: this.getAttribute("description-format") === "plain" ? "plain" : "rich"
+            });
         } catch (error) {
-            console.error("Error creating OpIdResource:", error);
-            return null;
+            if (controller.signal.aborted) return; // A newer render took over
+            result = { ok: false, data: null, error: OperateIdError.from(error, { identityUrl: identity }) };
         }
-    }
+        if (controller !== this._controller) {
+            return;
+        }
+        this._controller = null;
 
-    /**
-     * Set the network name (default is "mainnet")
-     * @param {string} networkName - The network name ("mainnet", "kermit", "fozzie", etc.)
-     */
-    static setNetwork(networkName) {
-        networkNameService.switchNetworkName(networkName);
+        if (!result.ok) {
+            const notFound = result.error.code === OperateIdError.CODES.NOT_FOUND;
+            if (notFound) {
+                this._showStatus("empty", `No OperateID data for ${identity}`);
+                this._emit("operateid-error", { identity, error: result.error });
+            } else {
+                // Invalid identities say why, e.g. "Path segment ".." is not allowed"
+                const reasons = result.error.details.errors;
+                this._showError(identity, result.error, reasons && reasons[0] ? reasons[0].message : result.error.message);
+            }
+            return;
+        }
+        this._data = result.data;
+        this._showCard(identity, client, result.data);
+        this._emit("operateid-load", { identity, data: result.data });
     }
 
-    /**
-     * Get the current network name
-     * @returns {string} The current network name
-     */
-    static getNetwork() {
-        return networkNameService.currentNetworkName();
+    _showCard(identity, client, data) {
+        const el = this._el.bind(this);
+        const identityName = AccUrlParser.parse(identity).url.identityName;
+
+        const logo = el("img", "logo");
+        logo.alt = `${identityName} logo`;
+        logo.addEventListener("error", () => {
+            logo.src = AdiParse.getAvatarUrl(identity);
+        }, { once: true });
+        logo.src = data.logoUrl || AdiParse.getAvatarUrl(identity);
+
+        const link = (href, className, label) => {
+            const anchor = el("a", `link ${className}`, label);
+            anchor.setAttribute("part", `link ${className === "qoboto" ? "qoboto-link" : "bank-link"}`);
+            anchor.href = href;
+            anchor.target = "_blank";
+            anchor.rel = "noopener";
+            return anchor;
+        };
+        const links = el("div", "links");
+        // Apps without a page for this identity (lite accounts on Qoboto) get no link
+        const qobotoUrl = client.getQobotoUrl(identity, { errorMode: "fallback" });
+        const bankUrl = client.getBankOnLedgerUrl(identity, { errorMode: "fallback" });
+        if (qobotoUrl) links.append(link(qobotoUrl, "qoboto", "Qoboto"));
+        if (bankUrl) links.append(link(bankUrl, "bank", "Bank on Ledger"));
+        links.append(this._slot("actions"));
+
+        const qr = el("div", "qr");
+        const qrTarget = this.getAttribute("qr") || "qoboto";
+        const qrCode = this.getAttribute("qr") !== null && (qrTarget === "acc" || didAppRegistry.get(qrTarget))
+            ? client.getQrCode(identity, { target: qrTarget, format: "dataUri", errorMode: "fallback" })
+            : null;
+        if (qrCode) {
+            const image = el("img", "qr-image");
+            image.alt = `QR code for ${identityName}`;
+            image.src = qrCode;
+            qr.append(image);
+        } else {
+            qr.hidden = true;
+        }
+
+        const background = el("div", "background");
+        if (data.sectionMain1Background2ImageUrl) {
+            background.style.backgroundImage = `url(${JSON.stringify(data.sectionMain1Background2ImageUrl)})`;
+        } else {
+            background.hidden = true;
+        }
+
+        const description = el("div", "description");
+        SafeHtml.render(description, data.sectionMain1Description,
+            this.getAttribute("description-format") === "plain" ? "plain" : "rich");
+
+        this._setContent("ready", el("div", "card",
+            el("div", "header", logo,
+                el("h2", "name", identityName.charAt(0).toUpperCase() + identityName.slice(1)),
+                el("p", "identity", identity)),
+            links,
+            qr,
+            background,
+            description,
+            this._slot("footer")));
     }
 
-    /**
-     * Configure the Qoboto API base URL
-     * @param {string} baseUrl - The API base URL (e.g., "https://api.qoboto.com")
-     */
-    static setApiBaseUrl(baseUrl) {
-        qobotoApiService.setBaseUrl(baseUrl);
+    _showStatus(state, message) {
+        const status = this._el("div", "status");
+        const fallback = state === "loading" ? [this._el("span", "spinner"), message] : [message];
+        status.append(this._slot(state, ...fallback));
+        this._setContent(state, this._el("div", "card", status));
     }
 
-    /**
-     * Enable or disable development mode (uses mock data when enabled)
-     * @param {boolean} enabled - Whether to use development mode with mock data
-     */
-    static setDevelopmentMode(enabled = true) {
-        qobotoApiService.setDevelopmentMode(enabled);
+    _showError(identity, error, message) {
+        this._showStatus("error", message);
+        this._emit("operateid-error", { identity, error });
     }
 
-    /**
-     * Enable or disable debug logging for API calls
-     * @param {boolean} enabled - Whether to enable debug logging
-     */
-    static setDebugMode(enabled = true) {
-        qobotoApiService.setDebugMode(enabled);
+    _setContent(state, content) {
+        const style = document.createElement("style");
+        style.textContent = OperateIdCardElement.STYLES;
+        this.shadowRoot.replaceChildren(style, content);
+        this.setAttribute("state", state);
     }
 
-    /**
-     * Clear all cached data for a specific identity or all identities
-     * @param {string} identityUrl - Optional identity URL to clear specific cache
-     */
-    static clearCache(identityUrl = null) {
-        if (identityUrl) {
-            const opIdResource = opId$.service.opIdResourceRepository.getOpIdResource_createByIdentityUrl(identityUrl);
-            if (opIdResource) {
-                opIdResource.clearCache();
-            }
-        } else {
-            qobotoApiService.clearCache();
+    _el(tag, className, ...children) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+            element.setAttribute("part", className.split(" ")[0]);
         }
+        element.append(...children);
+        return element;
+    }
+
+    _slot(name, ...fallback) {
+        const slot = document.createElement("slot");
+        slot.name = name;
+        slot.append(...fallback);
+        return slot;
+    }
+
+    _emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
     }
+};
+
+if (OperateIdCardElement && typeof customElements !== "undefined" && !customElements.get("operate-id-card")) {
+    customElements.define("operate-id-card", OperateIdCardElement);
 }
 
 // =============================================================================
-// CONSOLE INITIALIZATION MESSAGE
+// MODULE EXPORTS
 // =============================================================================
 
-console.log("✅ OperateID Assembly loaded successfully!");
-console.log("📋 Available APIs: AdiParse.getBankOnLedgerUrl(), getQobotoUrl(), getLogoUrl(), getAllMainData()");
-console.log("🔧 Configuration: AdiParse.setNetwork(), setApiBaseUrl(), setDebugMode()");
\ No newline at end of file
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        AdiParse,
+        AccUrl,
+        AccUrlParser,
+        AssetUrlPolicy,
+        AvatarGeneratorClass,
+        CacheStoreFactory,
+        DidAppRegistryClass,
+        FileCacheStore,
+        IdentityValidatorClass,
+        IndexedDbCacheStore,
+        LocalStorageCacheStore,
+        LiteAccountHelper,
+        NetworkRegistryClass,
+        OperateIdCardElement,
+        OperateIdClient,
+        OperateIdError,
+        OperateIdLogger,
+        OperateIdEventEmitter,
+        QobotoHttpDataProvider,
+        QobotoMockDataProvider,
+        QobotoPageModel,
+        QobotoResponseSchema,
+        QobotoStaticDataProvider,
+        QrCodeGeneratorClass,
+        SafeHtml,
+        opId$
+    };
+} else {
+    // Browser environment - classes are already defined
+}
@@ -0,0 +1,429 @@
+/**
+ * Mock Qoboto API Server - Local stand-in for the Qoboto API (Node.js, no dependencies)
+ *
+ * Serves fixture identities in the documented section-list format so AdiParse
+ * and QobotoApiService can be developed and tested offline:
+ *
+ *   GET  /api/v1/Qoboto/GetDataValue/All?DataAccountUrl=sunstream.acme
+ *   POST /api/v1/Qoboto/GetDataValue/AllBatch   { "dataAccountUrls": [...] }
+ *
+ * Usage:
+ *   node src/mock/mockQobotoServer.js --port 7033 --latency 300
+ *   node src/mock/mockQobotoServer.js --fixtures my-fixtures.json --scenario serverError
+ *   node src/mock/mockQobotoServer.js --cert cert.pem --key key.pem   (serve https)
+ *
+ *   AdiParse.setApiBaseUrl("http://localhost:7033");
+ *   AdiParse.setDevelopmentMode(false);
+ *
+ * Scenarios (per identity, or for every identity):
+ * - "ok":            the fixture (unknown identities get 404)
+ * - "notFound":      404
+ * - "serverError":   500
+ * - "malformed":     200 with a body that isn't JSON
+ * - "doubleEncoded": 200 with the section list encoded as a JSON string
+ * - "missingMain":   200 with the fixture minus its "main" section
+ *
+ * The identities notfound.acme, servererror.acme, malformed.acme,
+ * doubleencoded.acme and missingmain.acme always use their scenario. Others
+ * can be switched at runtime:
+ *
+ *   POST /__mock/scenario  { "scenario": "serverError", "identity": "sunstream.acme" }
+ *   POST /__mock/scenario  { "scenario": "ok" }                  (all identities)
+ *   POST /__mock/latency   { "latencyMs": 2000 }
+ *   POST /__mock/reset
+ *   GET  /__mock/state
+ *
+ * In tests, require the module and use the class:
+ *
+ *   const { MockQobotoServer } = require("./src/mock/mockQobotoServer.js");
+ *   const server = new MockQobotoServer({ latencyMs: 0 });
+ *   const baseUrl = await server.start(0); // random free port
+ *   ...
+ *   await server.stop();
+ */
+
+const http = require("http");
+const https = require("https");
+const fs = require("fs");
+
+const SCENARIOS = ["ok", "notFound", "serverError", "malformed", "doubleEncoded", "missingMain"];
+
+// Fixture identities in the documented format (see README "API Endpoint Format")
+function defaultFixtures() {
+    const identity = (name, title, description, logo, background) => [
+        { name: "header", headerTitle: title },
+        {
+            name: "main",
+            logoUrl: logo,
+            sectionMain1Description: description,
+            sectionMain1Background2ImageUrl: background,
+            lastUpdated: "2024-01-01T00:00:00Z"
+        },
+        { name: "footer", footerText: `© ${name}` }
+    ];
+
+    return {
+        "sunstream.acme": identity("Sunstream", "Sunstream",
+            "Welcome to sunstream's digital identity space. Solar-powered services on the Accumulate network.",
+            "https://pub-1c0e543900fc40318aa4c4aec39fb352.r2.dev/logo-sunstream.png",
+            "https://images.unsplash.com/photo-1509391366360-2e959784a276?auto=format&fit=crop&w=1074&q=80"),
+        "acme.acme": identity("ACME", "ACME Corporation",
+            "ACME builds **everything**. Visit [our site](https://example.com) for details.",
+            "https://pub-1c0e543900fc40318aa4c4aec39fb352.r2.dev/logo-acme.png",
+            "https://images.unsplash.com/photo-1557804506-669a67965ba0?auto=format&fit=crop&w=1074&q=80"),
+        "nologo.acme": [
+            { name: "main", sectionMain1Description: "An identity without a logo or background image." }
+        ],
+        "missingmain.acme": identity("Missing Main", "Missing Main", "Never served - the main section is removed", null, null),
+        "doubleencoded.acme": identity("Double Encoded", "Double Encoded",
+            "Served as a JSON string inside JSON, like some older Qoboto deployments.",
+            "https://pub-1c0e543900fc40318aa4c4aec39fb352.r2.dev/logo.png", null)
+    };
+}
+
+class MockQobotoServer {
+    /**
+     * @param {object} options - Server settings (all optional)
+     * @param {object} options.fixtures - Section lists by identity URL, added to (and replacing) the defaults
+     * @param {number} options.latencyMs - Delay before every API response (default 0)
+     * @param {string} options.scenario - Scenario for all identities (default "ok")
+     * @param {object} options.scenarios - Scenario by identity URL
+     * @param {boolean} options.quiet - Don't log requests (default false)
+     * @param {object} options.tls - { cert, key } to serve https
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.fixtures = {};
+        Object.entries({ ...defaultFixtures(), ...(options.fixtures || {}) }).forEach(([identityUrl, sections]) => {
+            this.fixtures[MockQobotoServer.normalize(identityUrl)] = sections;
+        });
+        this.reset();
+        this.server = options.tls
+            ? https.createServer(options.tls, (request, response) => this.handle(request, response))
+            : http.createServer((request, response) => this.handle(request, response));
+    }
+
+    static get SCENARIOS() {
+        return [...SCENARIOS];
+    }
+
+    /**
+     * Lower-case an identity URL and drop "acc://" and trailing slashes
+     * @param {string} identityUrl - The identity URL
+     * @returns {string} The normalised form (e.g., "sunstream.acme")
+     */
+    static normalize(identityUrl) {
+        return String(identityUrl || "").trim().toLowerCase().replace(/^acc:\/\//, "").replace(/\/+$/, "");
+    }
+
+    /**
+     * Start listening
+     * @param {number} port - Port to listen on, 0 for a free one (default 7033)
+     * @param {string} host - Interface to bind (default "127.0.0.1")
+     * @returns {Promise<string>} The base URL (e.g., "http://127.0.0.1:7033")
+     */
+    start(port = 7033, host = "127.0.0.1") {
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, host, () => {
+                this.server.off("error", reject);
+                const protocol = this.options.tls ? "https" : "http";
+                resolve(`${protocol}://${host}:${this.server.address().port}`);
+            });
+        });
+    }
+
+    /**
+     * Stop listening and close open connections
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (typeof this.server.closeAllConnections === "function") {
+                this.server.closeAllConnections();
+            }
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Use a scenario for one identity, or for every identity without its own
+     * @param {string} scenario - One of MockQobotoServer.SCENARIOS
+     * @param {string} identityUrl - Optional identity URL
+     */
+    setScenario(scenario, identityUrl = null) {
+        if (!SCENARIOS.includes(scenario)) {
+            throw new Error(`Unknown scenario: ${scenario} (expected ${SCENARIOS.join(", ")})`);
+        }
+        if (identityUrl) {
+            this.scenarios.set(MockQobotoServer.normalize(identityUrl), scenario);
+        } else {
+            this.defaultScenario = scenario;
+            this.scenarios.clear();
+        }
+    }
+
+    /**
+     * Set the delay before every API response
+     * @param {number} latencyMs - Delay in milliseconds
+     */
+    setLatency(latencyMs) {
+        if (typeof latencyMs !== "number" || latencyMs < 0) {
+            throw new Error("latencyMs must be a non-negative number");
+        }
+        this.latencyMs = latencyMs;
+    }
+
+    /**
+     * Go back to the scenarios and latency the server was created with
+     */
+    reset() {
+        this.defaultScenario = "ok";
+        this.scenarios = new Map();
+        this.latencyMs = this.options.latencyMs || 0;
+        this.requestCount = 0;
+        if (this.options.scenario) {
+            this.setScenario(this.options.scenario);
+        }
+        Object.entries(this.options.scenarios || {}).forEach(([identityUrl, scenario]) => {
+            this.setScenario(scenario, identityUrl);
+        });
+    }
+
+    /**
+     * The scenario an identity gets right now
+     * @param {string} identityUrl - The identity URL
+     * @returns {string} The scenario name
+     */
+    scenarioFor(identityUrl) {
+        const key = MockQobotoServer.normalize(identityUrl);
+        const pinned = {
+            "notfound.acme": "notFound",
+            "servererror.acme": "serverError",
+            "malformed.acme": "malformed",
+            "doubleencoded.acme": "doubleEncoded",
+            "missingmain.acme": "missingMain"
+        }[key];
+        return pinned || this.scenarios.get(key) || this.defaultScenario;
+    }
+
+    /**
+     * Build the response for one identity
+     * @param {string} identityUrl - The identity URL
+     * @returns {object} { status, body } where body is the raw response text
+     */
+    respondFor(identityUrl) {
+        const sections = this.fixtures[MockQobotoServer.normalize(identityUrl)];
+        switch (this.scenarioFor(identityUrl)) {
+            case "notFound":
+                return { status: 404, body: JSON.stringify({ error: `No data account ${identityUrl}` }) };
+            case "serverError":
+                return { status: 500, body: JSON.stringify({ error: "Simulated server error" }) };
+            case "malformed":
+                return { status: 200, body: '[{"name": "main", "logoUrl": "https://example.com/logo.png",' };
+            default:
+                break;
+        }
+        if (!sections) {
+            return { status: 404, body: JSON.stringify({ error: `No data account ${identityUrl}` }) };
+        }
+        switch (this.scenarioFor(identityUrl)) {
+            case "doubleEncoded":
+                return { status: 200, body: JSON.stringify(JSON.stringify(sections)) };
+            case "missingMain":
+                return { status: 200, body: JSON.stringify(sections.filter(section => section.name !== "main")) };
+            default:
+                return { status: 200, body: JSON.stringify(sections) };
+        }
+    }
+
+    async handle(request, response) {
+        const url = new URL(request.url, "http://localhost");
+        const path = url.pathname.replace(/\/+$/, "");
+        this._cors(request, response);
+
+        if (request.method === "OPTIONS") {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        try {
+            if (path.startsWith("/__mock/")) {
+                await this._handleControl(request, response, path);
+                return;
+            }
+
+            if (request.method === "GET" && path.toLowerCase() === "/api/v1/qoboto/getdatavalue/all") {
+                const identityUrl = url.searchParams.get("DataAccountUrl");
+                await this._delay();
+                if (!identityUrl) {
+                    this._send(response, 400, JSON.stringify({ error: "DataAccountUrl is required" }));
+                    return;
+                }
+                const { status, body } = this.respondFor(identityUrl);
+                this._log(request, status, identityUrl);
+                this._send(response, status, body);
+                return;
+            }
+
+            if (request.method === "POST" && path.toLowerCase() === "/api/v1/qoboto/getdatavalue/allbatch") {
+                const payload = JSON.parse(await this._readBody(request) || "{}");
+                await this._delay();
+                if (!Array.isArray(payload.dataAccountUrls)) {
+                    this._send(response, 400, JSON.stringify({ error: "dataAccountUrls must be an array" }));
+                    return;
+                }
+                // Identities that fail on their own are left out, so the client falls back to single requests
+                const result = {};
+                payload.dataAccountUrls.forEach(identityUrl => {
+                    const { status, body } = this.respondFor(identityUrl);
+                    if (status === 200) {
+                        try {
+                            result[identityUrl] = JSON.parse(body);
+                        } catch (error) {
+                            // Malformed scenario
+                        }
+                    }
+                });
+                this._log(request, 200, `${payload.dataAccountUrls.length} identities`);
+                this._send(response, 200, JSON.stringify(result));
+                return;
+            }
+
+            this._send(response, 404, JSON.stringify({ error: `Unknown endpoint ${request.method} ${url.pathname}` }));
+        } catch (error) {
+            this._send(response, 400, JSON.stringify({ error: error.message }));
+        }
+    }
+
+    async _handleControl(request, response, path) {
+        if (request.method === "GET" && path === "/__mock/state") {
+            this._send(response, 200, JSON.stringify(this._state()));
+            return;
+        }
+        if (request.method !== "POST") {
+            this._send(response, 405, JSON.stringify({ error: "Use POST" }));
+            return;
+        }
+        const payload = JSON.parse(await this._readBody(request) || "{}");
+        if (path === "/__mock/scenario") {
+            this.setScenario(payload.scenario, payload.identity || null);
+        } else if (path === "/__mock/latency") {
+            this.setLatency(payload.latencyMs);
+        } else if (path === "/__mock/reset") {
+            this.reset();
+        } else {
+            this._send(response, 404, JSON.stringify({ error: `Unknown control endpoint ${path}` }));
+            return;
+        }
+        this._send(response, 200, JSON.stringify(this._state()));
+    }
+
+    _state() {
+        return {
+            scenario: this.defaultScenario,
+            scenarios: Object.fromEntries(this.scenarios),
+            latencyMs: this.latencyMs,
+            identities: Object.keys(this.fixtures),
+            requestCount: this.requestCount
+        };
+    }
+
+    _cors(request, response) {
+        response.setHeader("Access-Control-Allow-Origin", request.headers.origin || "*");
+        response.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+        response.setHeader("Access-Control-Allow-Headers", request.headers["access-control-request-headers"] || "Content-Type, Accept");
+        response.setHeader("Access-Control-Max-Age", "600");
+        response.setHeader("Vary", "Origin");
+    }
+
+    _send(response, status, body) {
+        response.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+        response.end(body);
+    }
+
+    _readBody(request) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            request.on("data", chunk => chunks.push(chunk));
+            request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+            request.on("error", reject);
+        });
+    }
+
+    _delay() {
+        this.requestCount++;
+        return this.latencyMs > 0 ? new Promise(resolve => setTimeout(resolve, this.latencyMs)) : Promise.resolve();
+    }
+
+    _log(request, status, detail) {
+        if (!this.options.quiet) {
+            console.log(`[MockQobotoServer] ${request.method} ${status} ${detail}`);
+        }
+    }
+}
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+function parseArguments(argv) {
+    const options = { port: 7033, host: "127.0.0.1" };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case "--port": options.port = parseInt(value, 10); i++; break;
+            case "--host": options.host = value; i++; break;
+            case "--latency": options.latencyMs = parseInt(value, 10); i++; break;
+            case "--scenario": options.scenario = value; i++; break;
+            case "--fixtures": options.fixtures = JSON.parse(fs.readFileSync(value, "utf8")); i++; break;
+            case "--cert": options.cert = value; i++; break;
+            case "--key": options.key = value; i++; break;
+            case "--quiet": options.quiet = true; break;
+            case "--help":
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log("Usage: node src/mock/mockQobotoServer.js [--port 7033] [--host 127.0.0.1] [--latency ms]\n"
+            + `  [--scenario ${SCENARIOS.join("|")}] [--fixtures file.json] [--cert cert.pem --key key.pem] [--quiet]`);
+        return;
+    }
+    if (options.cert || options.key) {
+        options.tls = { cert: fs.readFileSync(options.cert), key: fs.readFileSync(options.key) };
+    }
+
+    const server = new MockQobotoServer(options);
+    const baseUrl = await server.start(options.port, options.host);
+    console.log(`[MockQobotoServer] Listening on ${baseUrl}`);
+    console.log(`[MockQobotoServer] Identities: ${Object.keys(server.fixtures).join(", ")}`);
+    console.log(`[MockQobotoServer] Use AdiParse.setApiBaseUrl("${baseUrl}") and AdiParse.setDevelopmentMode(false)`);
+
+    const shutdown = () => server.stop().then(() => process.exit(0));
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`[MockQobotoServer] ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { MockQobotoServer, defaultFixtures };
@@ -0,0 +1,96 @@
+/**
+ * AccUrlParser - URL parts, canonical form, equality and error codes
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { AccUrlParser, AdiParse } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const CODES = AccUrlParser.ERROR_CODES;
+
+function errorCodes(input, options) {
+    return AccUrlParser.parse(input, options).errors.map(error => error.code);
+}
+
+describe("AccUrlParser", () => {
+    it("splits authority, path segments, query and fragment", () => {
+        const result = AccUrlParser.parse("acc://Sunstream.acme/Shop/book?x=1#top");
+        assert.equal(result.valid, true);
+        assert.deepEqual(result.errors, []);
+        assert.equal(result.url.authority, "sunstream.acme");
+        assert.deepEqual(result.url.pathSegments, ["shop", "book"]);
+        assert.equal(result.url.query, "x=1");
+        assert.equal(result.url.fragment, "top");
+        assert.equal(result.url.identityName, "sunstream");
+        assert.equal(result.url.path, "shop/book");
+        assert.equal(result.url.rootUrl, "acc://sunstream.acme");
+        assert.equal(result.url.accountUrl, "acc://sunstream.acme/shop/book");
+    });
+
+    it("parses key book and key page URLs", () => {
+        const result = AccUrlParser.parse("acc://sunstream.acme/book/1");
+        assert.deepEqual(result.url.pathSegments, ["book", "1"]);
+        assert.equal(result.url.toString(), "acc://sunstream.acme/book/1");
+    });
+
+    it("canonicalizes every accepted form", () => {
+        for (const input of ["Sunstream", "sunstream.acme", "acc://sunstream.acme/", "ACC://SUNSTREAM.ACME//", " sunstream "]) {
+            assert.equal(AccUrlParser.canonicalize(input), "acc://sunstream.acme", input);
+        }
+        assert.equal(AccUrlParser.canonicalize("sunstream/shop/?q#f"), "acc://sunstream.acme/shop?q#f");
+        assert.equal(AccUrlParser.canonicalize("http://sunstream.acme"), null);
+    });
+
+    it("compares URL forms", () => {
+        assert.equal(AccUrlParser.equals("Sunstream", "acc://sunstream.acme/"), true);
+        assert.equal(AccUrlParser.equals("sunstream.acme", "acc://SUNSTREAM.acme"), true);
+        assert.equal(AccUrlParser.equals("sunstream/shop", "sunstream"), false);
+        assert.equal(AccUrlParser.equals("sunstream?x=1", "sunstream"), false);
+        assert.equal(AccUrlParser.equals("bad name", "bad name"), false);
+        assert.equal(AccUrlParser.parse("sunstream").url.equals("acc://sunstream.acme"), true);
+    });
+
+    it("reports why a string isn't a URL", () => {
+        const cases = {
+            "": CODES.EMPTY,
+            "   ": CODES.EMPTY,
+            "sun stream": CODES.WHITESPACE,
+            "http://sunstream.acme": CODES.INVALID_SCHEME,
+            "acc://": CODES.MISSING_AUTHORITY,
+            "acc:///shop": CODES.MISSING_AUTHORITY,
+            "acc://user@sunstream.acme": CODES.USERINFO_OR_PORT,
+            "acc://sunstream.acme:8080": CODES.USERINFO_OR_PORT,
+            "sun$tream": CODES.INVALID_AUTHORITY,
+            "shop.sunstream.acme": CODES.INVALID_AUTHORITY,
+            "sunstream.com": CODES.INVALID_TLD,
+            "sunstream.acme/shop//book": CODES.EMPTY_PATH_SEGMENT,
+            "sunstream.acme/../book": CODES.INVALID_PATH_SEGMENT,
+            "sunstream.acme/a%2Fb": CODES.INVALID_PATH_SEGMENT,
+            "sunstream.acme/a\\b": CODES.INVALID_PATH_SEGMENT
+        };
+        for (const [input, code] of Object.entries(cases)) {
+            const result = AccUrlParser.parse(input);
+            assert.equal(result.valid, false, input);
+            assert.equal(result.url, null, input);
+            assert.deepEqual(result.errors.map(error => error.code), [code], input);
+            assert.equal(typeof result.errors[0].message, "string");
+        }
+        assert.deepEqual(errorCodes(null), [CODES.NOT_A_STRING]);
+        assert.deepEqual(errorCodes(42), [CODES.NOT_A_STRING]);
+    });
+
+    it("strict mode requires the scheme and the TLD", () => {
+        assert.deepEqual(errorCodes("sunstream", { strict: true }), [CODES.MISSING_SCHEME, CODES.MISSING_TLD]);
+        assert.deepEqual(errorCodes("sunstream.acme", { strict: true }), [CODES.MISSING_SCHEME]);
+        assert.equal(AccUrlParser.parse("acc://sunstream.acme", { strict: true }).valid, true);
+    });
+
+    it("is exposed through AdiParse", () => {
+        assert.equal(AdiParse.canonicalizeUrl("Sunstream"), "acc://sunstream.acme");
+        assert.equal(AdiParse.urlsEqual("Sunstream", "acc://sunstream.acme/"), true);
+        assert.deepEqual(AdiParse.parseUrl("http://sunstream.com").errors.map(error => error.code), [CODES.INVALID_SCHEME]);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * AvatarGeneratorClass - deterministic SVG avatars used as default logos
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { AdiParse, AvatarGeneratorClass } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+describe("AvatarGeneratorClass", () => {
+    it("gives the same name the same avatar, and other names their own", () => {
+        const avatars = new AvatarGeneratorClass();
+        assert.equal(avatars.svg("sunstream"), avatars.svg(" Sunstream "));
+        assert.notEqual(avatars.svg("sunstream", { style: "identicon" }), avatars.svg("acme", { style: "identicon" }));
+    });
+
+    it("draws initials on a palette color", () => {
+        const svg = new AvatarGeneratorClass({ palette: ["#123456"] }).svg("acme-corp");
+        assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="120" height="120" viewBox="0 0 120 120">/);
+        assert.match(svg, /<rect width="120" height="120" rx="18" fill="#123456"\/>/);
+        assert.match(svg, /fill="#FFFFFF"[^>]*font-size="48"[^>]*>AC<\/text>/);
+    });
+
+    it("takes the first letters of the first two words", () => {
+        assert.equal(AvatarGeneratorClass.initials("sunstream"), "S");
+        assert.equal(AvatarGeneratorClass.initials("acme-corp-labs"), "AC");
+        assert.equal(AvatarGeneratorClass.initials("--"), "?");
+    });
+
+    it("draws a mirrored pattern for identicons", () => {
+        const svg = new AvatarGeneratorClass({ style: "identicon", size: 60, foreground: "#000" }).svg("sunstream");
+        const cells = [...svg.matchAll(/<rect x="([\d.]+)" y="([\d.]+)"/g)].map(([, x, y]) => `${x},${y}`);
+        assert.ok(cells.length > 0);
+        for (const cell of cells) {
+            const [x, y] = cell.split(",").map(Number);
+            assert.ok(cells.includes(`${60 - 10 - x},${y}`), `${cell} is mirrored`);
+        }
+    });
+
+    it("shapes the background", () => {
+        const avatars = new AvatarGeneratorClass({ size: 100 });
+        assert.match(avatars.svg("a", { shape: "square" }), /rx="0"/);
+        assert.match(avatars.svg("a", { shape: "circle" }), /rx="50"/);
+    });
+
+    it("returns an SVG data URI", () => {
+        const avatars = new AvatarGeneratorClass();
+        const uri = avatars.dataUri("sunstream");
+        assert.ok(uri.startsWith("data:image/svg+xml;charset=utf-8,"));
+        assert.equal(decodeURIComponent(uri.slice(uri.indexOf(",") + 1)), avatars.svg("sunstream"));
+    });
+
+    it("escapes the name and rejects settings that aren't colors", () => {
+        assert.doesNotMatch(new AvatarGeneratorClass().svg("<script>"), /<script>/);
+        assert.throws(() => new AvatarGeneratorClass({ background: "red\"/><script>" }), /Invalid avatar color/);
+        assert.throws(() => new AvatarGeneratorClass({ style: "photo" }), /Unknown avatar style: photo/);
+        assert.throws(() => new AvatarGeneratorClass({ size: 0 }), /Avatar size must be a positive number/);
+        assert.throws(() => new AvatarGeneratorClass({ radius: 4 }), /Unknown avatar option: radius/);
+    });
+
+    it("one-off settings don't change the generator", () => {
+        const avatars = new AvatarGeneratorClass();
+        avatars.svg("sunstream", { style: "identicon" });
+        assert.deepEqual(avatars.getOptions(), AvatarGeneratorClass.DEFAULTS);
+    });
+});
+
+describe("AdiParse.getAvatarUrl", () => {
+    it("builds the avatar from the identity name", () => {
+        assert.equal(AdiParse.getAvatarUrl("acc://sunstream.acme/shop"), new AvatarGeneratorClass().dataUri("sunstream"));
+        assert.equal(AdiParse.getAvatarUrl("sunstream.acme", { size: 64 }), new AvatarGeneratorClass({ size: 64 }).dataUri("sunstream"));
+    });
+
+    it("returns null for invalid identities", () => {
+        assert.equal(AdiParse.getAvatarUrl("bad name"), null);
+    });
+});
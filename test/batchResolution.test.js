@@ -0,0 +1,144 @@
+/**
+ * Batch identity resolution - order, concurrency, progress and bulk providers
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { OperateIdClient, OperateIdError } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const CODES = OperateIdError.CODES;
+
+function mainSection(identityUrl) {
+    return [{ name: "main", logoUrl: `https://example.com/${identityUrl}.png` }];
+}
+
+/**
+ * A provider that answers after a few ticks and records how many requests ran at once
+ */
+function createCountingProvider(failing = []) {
+    const provider = {
+        name: "counting",
+        requested: [],
+        active: 0,
+        maxActive: 0,
+        async fetchSections(identityUrl) {
+            provider.requested.push(identityUrl);
+            provider.active++;
+            provider.maxActive = Math.max(provider.maxActive, provider.active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            provider.active--;
+            if (failing.includes(identityUrl)) {
+                throw new OperateIdError(CODES.HTTP_STATUS, "API request failed: 500", { status: 500 });
+            }
+            return mainSection(identityUrl);
+        }
+    };
+    return provider;
+}
+
+function createClient(provider) {
+    return new OperateIdClient({ logLevel: "silent", dataProvider: provider, request: { retries: 0 } });
+}
+
+describe("getAllMainDataBatch", () => {
+    it("returns one result per identity in input order", async () => {
+        const client = createClient(createCountingProvider(["broken.acme"]));
+        const results = await client.getAllMainDataBatch(["sunstream.acme", "bad name", "broken.acme", "acme"]);
+
+        assert.deepEqual(results.map(result => [result.identityUrl, result.ok]), [
+            ["sunstream.acme", true],
+            ["bad name", false],
+            ["broken.acme", false],
+            ["acme", true]
+        ]);
+        assert.equal(results[0].data.logoUrl, "https://example.com/sunstream.acme.png");
+        assert.equal(results[0].error, null);
+        assert.equal(results[1].error.code, CODES.INVALID_IDENTITY);
+        assert.equal(results[2].error.code, CODES.HTTP_STATUS);
+        assert.equal(results[2].data, null);
+    });
+
+    it("resolves at most `concurrency` identities at a time", async () => {
+        const provider = createCountingProvider();
+        const identities = Array.from({ length: 10 }, (_, index) => `identity${index}.acme`);
+        await createClient(provider).getAllMainDataBatch(identities, { concurrency: 3 });
+        assert.equal(provider.requested.length, 10);
+        assert.equal(provider.maxActive, 3);
+    });
+
+    it("reports progress after each identity", async () => {
+        const progress = [];
+        await createClient(createCountingProvider()).getAllMainDataBatch(["sunstream.acme", "acme.acme"], {
+            concurrency: 1,
+            onProgress: ({ completed, total, identityUrl, result }) => progress.push([completed, total, identityUrl, result.ok])
+        });
+        assert.deepEqual(progress, [[1, 2, "sunstream.acme", true], [2, 2, "acme.acme", true]]);
+    });
+
+    it("returns an empty list for no identities", async () => {
+        assert.deepEqual(await createClient(createCountingProvider()).getAllMainDataBatch([]), []);
+    });
+
+    it("rejects with the abort reason when cancelled", async () => {
+        const controller = new AbortController();
+        const batch = createClient(createCountingProvider()).getAllMainDataBatch(["sunstream.acme"], { signal: controller.signal });
+        controller.abort(new Error("stop"));
+        await assert.rejects(batch, /stop/);
+    });
+});
+
+describe("bulk providers", () => {
+    function createBulkProvider(answer) {
+        const provider = {
+            name: "bulk",
+            chunks: [],
+            single: [],
+            supportsBatch: () => true,
+            async fetchSectionsBatch(identityUrls) {
+                provider.chunks.push(identityUrls);
+                return answer(identityUrls);
+            },
+            async fetchSections(identityUrl) {
+                provider.single.push(identityUrl);
+                return mainSection(identityUrl);
+            }
+        };
+        return provider;
+    }
+
+    it("loads 50 identities per bulk call", async () => {
+        const provider = createBulkProvider(identityUrls =>
+            Object.fromEntries(identityUrls.map(identityUrl => [identityUrl, mainSection(identityUrl)])));
+        const identities = Array.from({ length: 60 }, (_, index) => `identity${index}.acme`);
+        const results = await createClient(provider).getAllMainDataBatch(identities);
+
+        assert.deepEqual(provider.chunks.map(chunk => chunk.length), [50, 10]);
+        assert.deepEqual(provider.single, []);
+        assert.ok(results.every(result => result.ok));
+    });
+
+    it("matches answers in any URL form and fetches the rest one by one", async () => {
+        const provider = createBulkProvider(() => ({ "acc://Sunstream.acme": mainSection("bulk") }));
+        const results = await createClient(provider).getAllMainDataBatch(["sunstream.acme", "acme.acme"]);
+
+        assert.equal(results[0].data.logoUrl, "https://example.com/bulk.png");
+        assert.equal(results[1].data.logoUrl, "https://example.com/acme.acme.png");
+        assert.deepEqual(provider.single, ["acme.acme"]);
+    });
+
+    it("falls back to single requests when the bulk call fails", async () => {
+        const provider = createBulkProvider(() => { throw new Error("bulk down"); });
+        const results = await createClient(provider).getAllMainDataBatch(["sunstream.acme"]);
+        assert.equal(results[0].ok, true);
+        assert.deepEqual(provider.single, ["sunstream.acme"]);
+    });
+
+    it("can be skipped with bulk: false", async () => {
+        const provider = createBulkProvider(() => ({}));
+        await createClient(provider).getAllMainDataBatch(["sunstream.acme"], { bulk: false });
+        assert.deepEqual(provider.chunks, []);
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * operateid CLI - output and exit codes of every command
+ *
+ *   node --test
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const path = require("path");
+const { MockQobotoServer } = require(path.join(__dirname, "..", "src", "mock", "mockQobotoServer.js"));
+
+const CLI = path.join(__dirname, "..", "src", "cli", "operateid.js");
+const LITE_IDENTITY = "acc://0123456789abcdef0123456789abcdef01234567b3417eaa";
+
+/**
+ * Run the CLI in its own process
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function run(args, input = "") {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [CLI, ...args]);
+        let stdout = "";
+        let stderr = "";
+        child.stdout.on("data", chunk => { stdout += chunk; });
+        child.stderr.on("data", chunk => { stderr += chunk; });
+        child.on("error", reject);
+        child.on("close", code => resolve({ code, stdout, stderr }));
+        child.stdin.end(input);
+    });
+}
+
+describe("operateid urls", () => {
+    it("prints the app and explorer URLs", async () => {
+        const { code, stdout } = await run(["urls", "sunstream", "--network", "kermit"]);
+        assert.equal(code, 0);
+        assert.match(stdout, /^Identity: +acc:\/\/sunstream\.acme$/m);
+        assert.match(stdout, /^Network: +kermit$/m);
+        assert.match(stdout, /^Qoboto: +https:\/\/kermit-sunstream\.Qoboto\.com\/\?current-network=kermit$/m);
+        assert.match(stdout, /^Explorer: +https:\/\/kermit\.explorer\.accumulatenetwork\.io\/acc\/sunstream\.acme$/m);
+    });
+
+    it("keeps the path of sub-accounts", async () => {
+        const { code, stdout } = await run(["urls", "sunstream.acme/shop", "--json"]);
+        const output = JSON.parse(stdout);
+        assert.equal(code, 0);
+        assert.equal(output.identityUrl, "acc://sunstream.acme/shop");
+        assert.equal(output.apps.find(app => app.id === "qoboto").url, "https://sunstream.Qoboto.com/shop?current-network=mainnet");
+    });
+
+    it("lists only the apps that support lite accounts", async () => {
+        const { code, stdout } = await run(["urls", LITE_IDENTITY, "--json"]);
+        assert.equal(code, 0);
+        assert.deepEqual(JSON.parse(stdout).apps.map(app => app.id), ["bankOnLedger"]);
+    });
+
+    it("explains invalid identities and exits with 1", async () => {
+        const { code, stdout } = await run(["urls", "bad name"]);
+        assert.equal(code, 1);
+        assert.match(stdout, /^Error: +INVALID_IDENTITY: Invalid identity: bad name$/m);
+        assert.match(stdout, /^ {2}WHITESPACE: /m);
+    });
+});
+
+describe("operateid validate", () => {
+    it("exits with 0 for valid names", async () => {
+        const { code, stdout } = await run(["validate", "sunstream"]);
+        assert.equal(code, 0);
+        assert.equal(stdout, "valid: acc://sunstream.acme\n");
+    });
+
+    it("lists the problems and exits with 1 for invalid names", async () => {
+        const { code, stdout } = await run(["validate", "bad name", "--json"]);
+        assert.equal(code, 1);
+        assert.equal(JSON.parse(stdout).valid, false);
+    });
+});
+
+describe("operateid data and batch", () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = new MockQobotoServer({ latencyMs: 0, quiet: true });
+        baseUrl = await server.start(0);
+    });
+
+    after(() => server.stop());
+
+    it("prints the main data with where each value came from", async () => {
+        const { code, stdout } = await run(["data", "sunstream", "--api", baseUrl, "--format", "plain"]);
+        assert.equal(code, 0);
+        assert.match(stdout, /^Logo: +https:\/\/\S+ \(api\)$/m);
+    });
+
+    it("exits with 3 when the API has no data", async () => {
+        const { code, stdout } = await run(["data", "unknown-identity", "--api", baseUrl, "--retries", "0", "--json"]);
+        assert.equal(code, 3);
+        assert.equal(JSON.parse(stdout).error.code, "NOT_FOUND");
+    });
+
+    it("reads a batch from stdin and exits with 1 if a line is invalid", async () => {
+        const input = "# identities\nsunstream\n\nbad name\nunknown-identity\n";
+        const { code, stdout } = await run(["batch", "-", "--api", baseUrl, "--retries", "0"], input);
+        assert.equal(code, 1);
+        assert.match(stdout, /^ok +sunstream /m);
+        assert.match(stdout, /^invalid +bad name +INVALID_IDENTITY/m);
+        assert.match(stdout, /^failed +unknown-identity +NOT_FOUND/m);
+        assert.match(stdout, /^3 identities: 1 ok, 1 invalid, 1 failed$/m);
+    });
+});
+
+describe("usage errors", () => {
+    it("prints the usage and exits with 2 without a command", async () => {
+        const { code, stdout } = await run([]);
+        assert.equal(code, 2);
+        assert.match(stdout, /^Usage: operateid <command> \[options\]/);
+    });
+
+    it("exits with 0 for --help", async () => {
+        assert.equal((await run(["--help"])).code, 0);
+    });
+
+    for (const [args, message] of [
+        [["fetch", "sunstream"], /Unknown command: fetch/],
+        [["urls", "sunstream", "--verbosity"], /Unknown option: --verbosity/],
+        [["urls", "sunstream", "--network", "nowhere"], /Unknown network "nowhere"/],
+        [["data", "sunstream", "--timeout", "soon"], /--timeout expects a whole number/],
+        [["data", "sunstream", "--format", "html"], /--format must be one of raw, plain, escaped, rich/],
+        [["batch", "missing-file.txt"], /Cannot read missing-file.txt/]
+    ]) {
+        it(`exits with 2 for ${args.join(" ")}`, async () => {
+            const { code, stderr } = await run(args);
+            assert.equal(code, 2);
+            assert.match(stderr, message);
+        });
+    }
+});
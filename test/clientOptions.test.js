@@ -0,0 +1,102 @@
+/**
+ * Client settings - getOptions() copies, and the per-network clients of <operate-id-card>
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+// The card class is only defined where HTMLElement exists; its client handling needs nothing else
+globalThis.HTMLElement = class HTMLElement {};
+const { AdiParse, OperateIdCardElement, OperateIdClient } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+describe("getOptions", () => {
+    function createClient() {
+        return new OperateIdClient({
+            network: "kermit",
+            apiBaseUrl: "http://localhost:7033",
+            logLevel: "silent",
+            cache: { ttl: { response: 1000, error: 500 }, maxEntries: 50, staleWhileRevalidate: 2000 },
+            request: { retries: 0, timeoutMs: 3000 },
+            assetUrlPolicy: { upgradeToHttps: true },
+            errorMode: "result",
+            schemaMode: "strict",
+            bulkEndpoint: "/api/bulk"
+        });
+    }
+
+    it("returns the settings the client was created with", () => {
+        const options = createClient().getOptions();
+        assert.equal(options.network, "kermit");
+        assert.equal(options.apiBaseUrl, "http://localhost:7033");
+        assert.equal(options.logLevel, "silent");
+        assert.deepEqual(options.cache.ttl, { response: 1000, notFound: 60 * 1000, error: 500 });
+        assert.equal(options.cache.maxEntries, 50);
+        assert.equal(options.request.retries, 0);
+        assert.equal(options.assetUrlPolicy.upgradeToHttps, true);
+        assert.equal(options.errorMode, "result");
+        assert.equal(options.schemaMode, "strict");
+        assert.equal(options.bulkEndpoint, "/api/bulk");
+    });
+
+    it("builds an equivalent client", () => {
+        const client = createClient();
+        const copy = new OperateIdClient(client.getOptions());
+        assert.deepEqual(copy.getOptions(), client.getOptions());
+        assert.equal(copy.getApiBaseUrl(), "http://localhost:7033");
+    });
+
+    it("leaves the API base URL to the network when none was set", () => {
+        const options = new OperateIdClient({ network: "fozzie" }).getOptions();
+        assert.equal(options.apiBaseUrl, undefined);
+        assert.equal(new OperateIdClient({ ...options, network: "kermit" }).getApiBaseUrl(), "https://kermit-api.qoboto.com");
+    });
+
+    it("returns copies", () => {
+        const client = createClient();
+        const options = client.getOptions();
+        options.request.retries = 5;
+        options.assetUrlPolicy.allowedSchemes.push("data");
+        assert.equal(client.getRequestOptions().retries, 0);
+        assert.deepEqual(client.getAssetUrlPolicy().allowedSchemes, ["https", "http"]);
+    });
+});
+
+describe("card clients", () => {
+    it("use the default client for its own network", () => {
+        assert.equal(OperateIdCardElement.clientFor(null), AdiParse.defaultClient);
+        assert.equal(OperateIdCardElement.clientFor(AdiParse.getNetwork()), AdiParse.defaultClient);
+    });
+
+    it("share one client per other network, with the default client's settings", () => {
+        AdiParse.setLogLevel("silent");
+        AdiParse.setApiBaseUrl("http://localhost:7033");
+        const kermit = OperateIdCardElement.clientFor("kermit");
+        assert.equal(OperateIdCardElement.clientFor("kermit"), kermit);
+        assert.equal(kermit.getNetwork(), "kermit");
+        assert.equal(kermit.getApiBaseUrl(), "http://localhost:7033");
+    });
+
+    it("are rebuilt when the default client's settings change", () => {
+        const before = OperateIdCardElement.clientFor("kermit");
+        AdiParse.setErrorMode("result");
+        const after = OperateIdCardElement.clientFor("kermit");
+        assert.notEqual(after, before);
+        assert.equal(after.getErrorMode(), "result");
+        AdiParse.setErrorMode("fallback");
+    });
+
+    it("have their cache cleared with the default client's", () => {
+        const kermit = OperateIdCardElement.clientFor("kermit");
+        const cleared = [];
+        kermit.on("cacheCleared", ({ identityUrl }) => cleared.push(identityUrl));
+        AdiParse.clearCache("sunstream.acme");
+        assert.deepEqual(cleared, ["sunstream.acme"]);
+    });
+
+    it("reject unknown networks", () => {
+        assert.throws(() => OperateIdCardElement.clientFor("nowhere"), /Unknown network "nowhere"/);
+    });
+});
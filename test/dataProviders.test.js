@@ -0,0 +1,103 @@
+/**
+ * Data providers - development mode, static fixtures and custom providers
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { OperateIdClient, OperateIdError, QobotoMockDataProvider } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const CODES = OperateIdError.CODES;
+// Nothing listens here, so any request that reaches the network fails at once
+const UNREACHABLE_API = "http://127.0.0.1:1";
+
+function createClient(options = {}) {
+    return new OperateIdClient({
+        apiBaseUrl: UNREACHABLE_API,
+        logLevel: "silent",
+        request: { retries: 0 },
+        errorMode: "result",
+        ...options
+    });
+}
+
+describe("data providers", () => {
+    it("development mode serves mock data without calling the API", async () => {
+        const client = createClient({ developmentMode: true });
+        client.setDataProvider(new QobotoMockDataProvider({ delayMs: 0 }));
+        assert.equal(client.getDataProviderName(), "mock");
+
+        const result = await client.getAllMainData("sunstream.acme");
+        assert.equal(result.ok, true);
+        assert.match(result.data.logoUrl, /logo-sunstream\.png$/);
+        assert.match(result.data.sectionMain1Description, /sunstream/);
+    });
+
+    it("follows the development mode until a provider is set", () => {
+        const client = createClient();
+        assert.equal(client.getDataProviderName(), "http");
+        client.setDevelopmentMode(true);
+        assert.equal(client.getDataProviderName(), "mock");
+        client.setDataProvider("http");
+        assert.equal(client.getDataProviderName(), "http");
+        client.setDataProvider(null);
+        assert.equal(client.getDataProviderName(), "mock");
+    });
+
+    it("production mode calls the API", async () => {
+        const result = await createClient().getAllMainData("sunstream.acme");
+        assert.equal(result.ok, false);
+        assert.equal(result.error.code, CODES.NETWORK);
+    });
+
+    it("rejects unknown provider names and objects without fetchSections", () => {
+        const client = createClient();
+        assert.throws(() => client.setDataProvider("ftp"), /Unknown data provider: ftp/);
+        assert.throws(() => client.setDataProvider({ name: "broken" }), /fetchSections/);
+    });
+
+    it("useStaticData serves fixtures by identity, with or without acc://", async () => {
+        const client = createClient();
+        client.useStaticData({
+            "sunstream.acme": [{ name: "main", logoUrl: "https://example.com/logo.png", sectionMain1Description: "Hello" }]
+        });
+        assert.equal(client.getDataProviderName(), "static");
+
+        const result = await client.getAllMainData("acc://sunstream.acme");
+        assert.equal(result.ok, true);
+        assert.equal(result.data.logoUrl, "https://example.com/logo.png");
+        assert.equal(result.data.sectionMain1Description, "Hello");
+
+        const missing = await client.getAllMainData("acme.acme");
+        assert.equal(missing.ok, false);
+        assert.equal(missing.error.code, CODES.NOT_FOUND);
+    });
+
+    it("static fixtures can't be changed through the returned data", async () => {
+        const client = createClient();
+        const provider = client.useStaticData({ "sunstream.acme": [{ name: "main", logoUrl: "https://example.com/a.png" }] });
+        const sections = await provider.fetchSections("sunstream.acme", client.qobotoApiService);
+        sections[0].logoUrl = "https://example.com/changed.png";
+        assert.equal(provider.fixtures["sunstream.acme"][0].logoUrl, "https://example.com/a.png");
+    });
+
+    it("custom providers receive the identity and their name is reported", async () => {
+        const requested = [];
+        const client = createClient({
+            dataProvider: {
+                name: "my-backend",
+                async fetchSections(identityUrl) {
+                    requested.push(identityUrl);
+                    return [{ name: "main", logoUrl: "https://example.com/custom.png" }];
+                }
+            }
+        });
+        assert.equal(client.getDataProviderName(), "my-backend");
+
+        const result = await client.getAllMainData("sunstream.acme");
+        assert.equal(result.data.logoUrl, "https://example.com/custom.png");
+        assert.deepEqual(requested, ["sunstream.acme"]);
+    });
+});
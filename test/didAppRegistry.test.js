@@ -0,0 +1,105 @@
+/**
+ * DidAppRegistryClass - app definitions, URL templates and registered apps in AdiParse
+ *
+ *   node --test
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { AdiParse, DidAppRegistryClass } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const SHOP = {
+    id: "shop",
+    displayName: "Shop",
+    icon: "fas fa-store",
+    host: "{name}.shop.example.com"
+};
+
+describe("DidAppRegistryClass", () => {
+    it("fills in the defaults of a definition", () => {
+        const registry = new DidAppRegistryClass();
+        assert.deepEqual(registry.register({ id: "shop", host: "{name}.shop.example.com" }), {
+            id: "shop",
+            displayName: "shop",
+            icon: "",
+            host: "{name}.shop.example.com",
+            path: "/{path}",
+            networkParameter: "current-network",
+            supportsLite: false
+        });
+    });
+
+    it("needs an id and a host or buildUrl", () => {
+        const registry = new DidAppRegistryClass();
+        assert.throws(() => registry.register({ host: "{name}.example.com" }), /must have an id/);
+        assert.throws(() => registry.register({ id: "shop" }), /host template or a buildUrl/);
+    });
+
+    it("builds URLs from the templates", () => {
+        const registry = new DidAppRegistryClass();
+        registry.register(SHOP);
+        assert.equal(registry.buildUrl("shop", { name: "sunstream", path: "", network: "mainnet" }),
+            "https://sunstream.shop.example.com/?current-network=mainnet");
+        assert.equal(registry.buildUrl("shop", { name: "sunstream", path: "book/1", network: "kermit", hostPattern: "{network}-{host}" }),
+            "https://kermit-sunstream.shop.example.com/book/1?current-network=kermit");
+        assert.equal(registry.buildUrl("missing", { name: "sunstream", path: "", network: "mainnet" }), null);
+    });
+
+    it("leaves out the network parameter when there is none", () => {
+        const registry = new DidAppRegistryClass();
+        registry.register({ ...SHOP, path: "/{network}/{path}", networkParameter: null });
+        assert.equal(registry.buildUrl("shop", { name: "sunstream", path: "shop", network: "fozzie" }),
+            "https://sunstream.shop.example.com/fozzie/shop");
+    });
+
+    it("calls buildUrl for apps that need more than a template", () => {
+        const registry = new DidAppRegistryClass();
+        registry.register({ id: "custom", buildUrl: ({ name, path, network }) => `https://example.com/${network}/${name}/${path}` });
+        assert.equal(registry.buildUrl("custom", { name: "sunstream", path: "shop", network: "mainnet" }),
+            "https://example.com/mainnet/sunstream/shop");
+    });
+
+    it("replaces, lists and unregisters apps", () => {
+        const registry = new DidAppRegistryClass();
+        registry.register(SHOP);
+        registry.register({ ...SHOP, displayName: "Store" });
+        assert.deepEqual(registry.list().map(app => app.displayName), ["Store"]);
+        assert.equal(registry.unregister("shop"), true);
+        assert.equal(registry.unregister("shop"), false);
+        assert.equal(registry.get("shop"), null);
+    });
+});
+
+describe("registered apps in AdiParse", () => {
+    afterEach(() => AdiParse.unregisterApp("shop"));
+
+    it("ships Qoboto and BankOnLedger", () => {
+        assert.deepEqual(AdiParse.getApps().map(app => app.id), ["qoboto", "bankOnLedger"]);
+    });
+
+    it("builds URLs for registered apps", () => {
+        AdiParse.registerApp(SHOP);
+        assert.equal(AdiParse.getAppUrl("sunstream.acme/book", "shop"),
+            "https://sunstream.shop.example.com/book?current-network=mainnet");
+        assert.deepEqual(AdiParse.getAppUrls("sunstream.acme").map(app => [app.id, app.displayName, app.icon]), [
+            ["qoboto", "Qoboto", "fas fa-globe"],
+            ["bankOnLedger", "Bank on Ledger", "fas fa-university"],
+            ["shop", "Shop", "fas fa-store"]
+        ]);
+    });
+
+    it("only offers apps with supportsLite for lite accounts", () => {
+        AdiParse.registerApp(SHOP);
+        const liteUrl = "acc://0123456789abcdef0123456789abcdef01234567b3417eaa";
+        assert.equal(AdiParse.getAppUrl(liteUrl, "shop"), null);
+        assert.deepEqual(AdiParse.getAppUrls(liteUrl).map(app => app.id), ["bankOnLedger"]);
+
+        AdiParse.registerApp({ ...SHOP, supportsLite: true });
+        assert.match(AdiParse.getAppUrl(liteUrl, "shop"), /^https:\/\/0123456789abcdef0123456789abcdef01234567b3417eaa\.shop\.example\.com\//);
+    });
+
+    it("returns null for unknown apps", () => {
+        assert.equal(AdiParse.getAppUrl("sunstream.acme", "shop"), null);
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Error modes - fallback, throw and result, and the error codes they report
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { OperateIdClient, OperateIdError } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const CODES = OperateIdError.CODES;
+const LITE_IDENTITY = "acc://0123456789abcdef0123456789abcdef01234567b3417eaa";
+
+/**
+ * A provider that answers from a table: sections, null (no data) or an Error
+ */
+function createTableProvider(table) {
+    return {
+        name: "table",
+        async fetchSections(identityUrl) {
+            const answer = table[identityUrl];
+            if (answer instanceof Error) throw answer;
+            return answer ?? null;
+        }
+    };
+}
+
+function createClient(errorMode, table = {}) {
+    return new OperateIdClient({
+        logLevel: "silent",
+        dataProvider: createTableProvider(table),
+        errorMode: errorMode
+    });
+}
+
+describe("fallback mode", () => {
+    it("is the default", () => {
+        assert.equal(new OperateIdClient({ logLevel: "silent" }).getErrorMode(), "fallback");
+    });
+
+    it("returns null for invalid identities", async () => {
+        const client = createClient("fallback");
+        assert.equal(await client.getLogoUrl("bad name"), null);
+        assert.equal(client.getQobotoUrl("bad name"), null);
+        assert.equal(client.getQobotoUrl(LITE_IDENTITY), null);
+    });
+
+    it("returns the defaults when the data can't be loaded", async () => {
+        const client = createClient("fallback", { "sunstream.acme": new Error("connection reset") });
+        assert.match(await client.getLogoUrl("sunstream.acme"), /^data:image\/svg\+xml/);
+        assert.equal(await client.getSectionMain1Description("sunstream.acme"),
+            "Welcome to sunstream's digital identity dashboard.");
+    });
+});
+
+describe("throw mode", () => {
+    it("throws an OperateIdError with the reason", async () => {
+        const client = createClient("throw");
+        await assert.rejects(client.getSections("sunstream.acme"), error => {
+            assert.ok(error instanceof OperateIdError);
+            assert.equal(error.code, CODES.NOT_FOUND);
+            assert.equal(error.details.identityUrl, "sunstream.acme");
+            return true;
+        });
+    });
+
+    it("says why an identity is invalid", () => {
+        assert.throws(() => createClient("throw").getQobotoUrl("bad name"), error => {
+            assert.equal(error.code, CODES.INVALID_IDENTITY);
+            assert.ok(error.details.errors.length > 0);
+            return true;
+        });
+    });
+
+    it("returns the data when nothing went wrong", async () => {
+        const client = createClient("throw", { "sunstream.acme": [{ name: "main", logoUrl: "https://example.com/logo.png" }] });
+        assert.equal(await client.getLogoUrl("sunstream.acme"), "https://example.com/logo.png");
+    });
+});
+
+describe("result mode", () => {
+    it("wraps data and errors", async () => {
+        const client = createClient("result", {
+            "sunstream.acme": [{ name: "main", logoUrl: "https://example.com/logo.png" }],
+            "broken.acme": new Error("connection reset")
+        });
+        assert.deepEqual(await client.getLogoUrl("sunstream.acme"), { ok: true, data: "https://example.com/logo.png", error: null });
+
+        const failed = await client.getLogoUrl("broken.acme");
+        assert.equal(failed.ok, false);
+        assert.equal(failed.data, null);
+        assert.equal(failed.error.code, CODES.NETWORK);
+        assert.equal(failed.error.message, "connection reset");
+    });
+
+    it("reports the app that has no page for a lite account", () => {
+        const client = createClient("result");
+        for (const result of [client.getQobotoUrl(LITE_IDENTITY), client.getAppUrl(LITE_IDENTITY, "qoboto")]) {
+            assert.equal(result.ok, false);
+            assert.equal(result.error.code, CODES.INVALID_IDENTITY);
+            assert.equal(result.error.details.app, "qoboto");
+            assert.equal(result.error.details.errors[0].code, "APP_NOT_SUPPORTED");
+        }
+        // BankOnLedger does support lite accounts
+        assert.equal(client.getBankOnLedgerUrl(LITE_IDENTITY).ok, true);
+    });
+
+    it("reports unknown apps as NOT_FOUND", () => {
+        const result = createClient("result").getAppUrl("sunstream.acme", "nowhere");
+        assert.equal(result.error.code, CODES.NOT_FOUND);
+        assert.equal(result.error.details.app, "nowhere");
+    });
+
+    it("serializes errors to JSON", async () => {
+        const result = await createClient("result").getAllMainData("sunstream.acme");
+        assert.deepEqual(JSON.parse(JSON.stringify(result.error)), {
+            name: "OperateIdError",
+            code: CODES.NOT_FOUND,
+            message: "No Qoboto data for sunstream.acme",
+            details: { identityUrl: "sunstream.acme" }
+        });
+    });
+});
+
+describe("choosing the mode", () => {
+    it("a call can override the client's mode", async () => {
+        const client = createClient("fallback");
+        assert.equal((await client.getLogoUrl("bad name", { errorMode: "result" })).error.code, CODES.INVALID_IDENTITY);
+        await assert.rejects(client.getLogoUrl("bad name", { errorMode: "throw" }), { code: CODES.INVALID_IDENTITY });
+        assert.equal(client.getErrorMode(), "fallback");
+    });
+
+    it("rejects unknown modes", () => {
+        assert.throws(() => createClient("fallback").setErrorMode("silent"), /Unknown error mode: silent/);
+    });
+});
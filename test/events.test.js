@@ -0,0 +1,122 @@
+/**
+ * Change events - network, config and cache events, and data kept per network
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { OperateIdClient, OperateIdEventEmitter } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+function record(client, ...eventNames) {
+    const events = [];
+    eventNames.forEach(eventName => client.on(eventName, payload => events.push([eventName, payload])));
+    return events;
+}
+
+describe("OperateIdEventEmitter", () => {
+    it("calls handlers until they unsubscribe", () => {
+        const emitter = new OperateIdEventEmitter();
+        const calls = [];
+        const unsubscribe = emitter.on("changed", payload => calls.push(payload));
+        emitter.emit("changed", 1);
+        unsubscribe();
+        emitter.emit("changed", 2);
+        assert.deepEqual(calls, [1]);
+    });
+
+    it("once() only delivers the next event", () => {
+        const emitter = new OperateIdEventEmitter();
+        const calls = [];
+        emitter.once("changed", payload => calls.push(payload));
+        emitter.emit("changed", 1);
+        emitter.emit("changed", 2);
+        assert.deepEqual(calls, [1]);
+    });
+
+    it("logs a throwing handler and still calls the others", () => {
+        const logged = [];
+        const emitter = new OperateIdEventEmitter(() => ({ error: (...args) => logged.push(args) }));
+        const calls = [];
+        emitter.on("changed", () => { throw new Error("boom"); });
+        emitter.on("changed", payload => calls.push(payload));
+        emitter.emit("changed", 1);
+        assert.deepEqual(calls, [1]);
+        assert.equal(logged.length, 1);
+        assert.match(logged[0][0], /"changed" handler/);
+    });
+
+    it("rejects handlers that aren't functions", () => {
+        assert.throws(() => new OperateIdEventEmitter().on("changed", null), /must be a function/);
+    });
+});
+
+describe("OperateIdClient events", () => {
+    it("a network switch emits networkChanged only", () => {
+        const client = new OperateIdClient();
+        const events = record(client, "networkChanged", "configChanged");
+        client.setNetwork("kermit");
+        client.setNetwork("kermit");
+
+        assert.equal(events.length, 1);
+        const [eventName, payload] = events[0];
+        assert.equal(eventName, "networkChanged");
+        assert.equal(payload.network, "kermit");
+        assert.equal(payload.previousNetwork, "mainnet");
+        assert.equal(payload.networkInfo.id, "kermit");
+        assert.equal(payload.apiBaseUrl, "https://kermit-api.qoboto.com");
+    });
+
+    it("settings changes emit configChanged with the previous value", () => {
+        const client = new OperateIdClient();
+        const events = record(client, "configChanged");
+        client.setDevelopmentMode(true);
+        client.setDevelopmentMode(true);
+        client.setApiBaseUrl("http://localhost:7033");
+
+        assert.deepEqual(events.map(([, payload]) => payload), [
+            { key: "developmentMode", value: true, previousValue: false },
+            { key: "apiBaseUrl", value: "http://localhost:7033", previousValue: "https://api.qoboto.com" }
+        ]);
+    });
+
+    it("clearing the cache emits cacheCleared", () => {
+        const client = new OperateIdClient();
+        const events = record(client, "cacheCleared");
+        client.clearCache("sunstream.acme");
+        client.clearCache();
+        assert.deepEqual(events.map(([, payload]) => payload), [{ identityUrl: "sunstream.acme" }, { identityUrl: null }]);
+    });
+
+    it("off() removes a handler", () => {
+        const client = new OperateIdClient();
+        const calls = [];
+        const handler = payload => calls.push(payload.network);
+        client.on("networkChanged", handler);
+        client.setNetwork("kermit");
+        client.off("networkChanged", handler);
+        client.setNetwork("fozzie");
+        assert.deepEqual(calls, ["kermit"]);
+    });
+
+    it("keeps cached data per network", async () => {
+        const requests = [];
+        const client = new OperateIdClient({
+            dataProvider: {
+                name: "per-network",
+                async fetchSections(identityUrl, service) {
+                    requests.push(service.baseUrl);
+                    return [{ name: "main", logoUrl: `${service.baseUrl}/logo.png` }];
+                }
+            }
+        });
+
+        assert.equal(await client.getLogoUrl("sunstream.acme"), "https://api.qoboto.com/logo.png");
+        client.setNetwork("kermit");
+        assert.equal(await client.getLogoUrl("sunstream.acme"), "https://kermit-api.qoboto.com/logo.png");
+        client.setNetwork("mainnet");
+        assert.equal(await client.getLogoUrl("sunstream.acme"), "https://api.qoboto.com/logo.png");
+        assert.equal(requests.length, 2);
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * IdentityValidatorClass - Accumulate naming rules and structured errors
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { AdiParse, IdentityValidatorClass } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const CODES = IdentityValidatorClass.ERROR_CODES;
+const validator = new IdentityValidatorClass();
+
+function errorCodes(input, options) {
+    return validator.validate(input, options).errors.map(error => error.code);
+}
+
+describe("IdentityValidatorClass", () => {
+    it("accepts names, names with TLD and root URLs", () => {
+        for (const input of ["sunstream", "Sunstream.acme", "acc://sunstream.acme", "acc://sunstream.acme/", "  sun_stream-2  "]) {
+            const result = validator.validate(input);
+            assert.equal(result.valid, true, input);
+            assert.deepEqual(result.errors, [], input);
+        }
+        assert.deepEqual(validator.validate("acc://Sunstream.acme"), {
+            valid: true,
+            identityName: "sunstream",
+            identityUrl: "acc://sunstream.acme",
+            errors: []
+        });
+    });
+
+    it("reports each rule with its own code", () => {
+        const cases = {
+            "": CODES.EMPTY,
+            "http://sunstream.acme": CODES.INVALID_URL,
+            "acc://sunstream.acme/shop": CODES.HAS_PATH,
+            "sunstream?x=1": CODES.HAS_PATH,
+            "sunstream#top": CODES.HAS_PATH,
+            ".acme": CODES.TOO_SHORT,
+            ["z".repeat(65)]: CODES.TOO_LONG,
+            "sun.stream": CODES.INVALID_CHARACTERS,
+            "12345": CODES.NUMERIC,
+            ["ab".repeat(20)]: CODES.LITE_ACCOUNT_COLLISION,
+            "dn": CODES.RESERVED,
+            "acme": CODES.RESERVED,
+            "bvn-east": CODES.RESERVED
+        };
+        for (const [input, code] of Object.entries(cases)) {
+            const result = validator.validate(input);
+            assert.equal(result.valid, false, input);
+            assert.equal(result.identityName, null, input);
+            assert.equal(result.identityUrl, null, input);
+            assert.deepEqual(result.errors.map(error => error.code), [code], input);
+        }
+        assert.deepEqual(errorCodes(undefined), [CODES.NOT_A_STRING]);
+    });
+
+    it("collects every problem, not just the first", () => {
+        assert.deepEqual(errorCodes("z".repeat(65) + "!"), [CODES.TOO_LONG, CODES.INVALID_CHARACTERS]);
+    });
+
+    it("names the invalid characters", () => {
+        const [error] = validator.validate("my name!").errors;
+        assert.equal(error.code, CODES.INVALID_CHARACTERS);
+        assert.match(error.message, /" ", "!"/);
+    });
+
+    it("keeps the length limits at 1 and 64", () => {
+        assert.equal(validator.validate("a").valid, true);
+        assert.equal(validator.validate("z".repeat(64)).valid, true);
+    });
+
+    it("only treats long hexadecimal names as lite account collisions", () => {
+        assert.equal(validator.validate("ab".repeat(19) + "a").valid, true);
+        assert.equal(validator.validate("cafe").valid, true);
+    });
+
+    it("accepts reserved names when asked to", () => {
+        assert.equal(validator.validate("dn", { allowReserved: true }).valid, true);
+        assert.equal(validator.isReserved("bvn-east"), true);
+        assert.equal(validator.isReserved("sunstream"), false);
+    });
+
+    it("is exposed through AdiParse, and invalid names get no URLs", () => {
+        assert.equal(AdiParse.validateIdentity("sunstream").valid, true);
+        assert.deepEqual(AdiParse.validateIdentity("12345").errors.map(error => error.code), [CODES.NUMERIC]);
+        assert.equal(AdiParse.getQobotoUrl("sun.stream.acme"), null);
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Lite identities and lite token accounts - checksums, parsing and app URLs
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const path = require("path");
+const { AccUrlParser, AdiParse, LiteAccountHelper } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const KEY_HASH = "0123456789abcdef0123456789abcdef01234567";
+const LITE_IDENTITY = `acc://${KEY_HASH}b3417eaa`;
+const LITE_TOKEN_ACCOUNT = `${LITE_IDENTITY}/ACME`;
+
+describe("LiteAccountHelper.sha256Hex", () => {
+    // FIPS 180-2 examples and the usual pangram
+    const vectors = {
+        "": "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855",
+        "abc": "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad",
+        "abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq":
+            "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1",
+        "The quick brown fox jumps over the lazy dog":
+            "d7a8fbb307d7809469ca9abcb0082e4f8d5651e46d3cdb762d02d0bf37c9e592"
+    };
+
+    for (const [input, digest] of Object.entries(vectors)) {
+        it(`hashes ${JSON.stringify(input)}`, () => {
+            assert.equal(LiteAccountHelper.sha256Hex(input), digest);
+        });
+    }
+
+    it("matches node:crypto around the block boundaries", () => {
+        for (const length of [55, 56, 63, 64, 65, 119, 120, 128]) {
+            const input = "a".repeat(length);
+            assert.equal(LiteAccountHelper.sha256Hex(input),
+                crypto.createHash("sha256").update(input, "ascii").digest("hex"), `length ${length}`);
+        }
+    });
+});
+
+describe("LiteAccountHelper", () => {
+    it("derives the checksum from the last 4 bytes of SHA-256 over the key hash", () => {
+        const digest = crypto.createHash("sha256").update(KEY_HASH, "ascii").digest("hex");
+        assert.equal(LiteAccountHelper.computeChecksum(KEY_HASH), digest.substring(56));
+        assert.equal(LiteAccountHelper.computeChecksum(KEY_HASH.toUpperCase()), "b3417eaa");
+        assert.equal(LiteAccountHelper.authorityForKeyHash(KEY_HASH), `${KEY_HASH}b3417eaa`);
+    });
+
+    it("splits and verifies lite authorities", () => {
+        assert.deepEqual(LiteAccountHelper.parseAuthority(`${KEY_HASH}B3417EAA`), {
+            keyHash: KEY_HASH,
+            checksum: "b3417eaa",
+            checksumValid: true
+        });
+        assert.equal(LiteAccountHelper.parseAuthority(`${KEY_HASH}00000000`).checksumValid, false);
+        assert.equal(LiteAccountHelper.parseAuthority("sunstream.acme"), null);
+        assert.equal(LiteAccountHelper.isLiteAuthority(KEY_HASH), false);
+    });
+});
+
+describe("lite account URLs", () => {
+    it("parse without a TLD and keep the token path", () => {
+        const result = AccUrlParser.parse(LITE_TOKEN_ACCOUNT);
+        assert.equal(result.valid, true);
+        assert.equal(result.url.isLite, true);
+        assert.equal(result.url.authority, `${KEY_HASH}b3417eaa`);
+        assert.deepEqual(result.url.pathSegments, ["acme"]);
+        assert.equal(result.url.rootUrl, LITE_IDENTITY);
+    });
+
+    it("fail with INVALID_LITE_CHECKSUM when the checksum is wrong", () => {
+        const result = AccUrlParser.parse(`acc://${KEY_HASH}00000000`);
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.errors.map(error => error.code), [AccUrlParser.ERROR_CODES.INVALID_LITE_CHECKSUM]);
+    });
+
+    it("describe the account", () => {
+        assert.deepEqual(AdiParse.getLiteAccountInfo(LITE_TOKEN_ACCOUNT), {
+            identityUrl: LITE_IDENTITY,
+            keyHash: KEY_HASH,
+            checksum: "b3417eaa",
+            checksumValid: true,
+            isTokenAccount: true,
+            tokenPath: "acme",
+            supportedApps: { qoboto: false, bankOnLedger: true }
+        });
+        assert.equal(AdiParse.getLiteAccountInfo("sunstream.acme"), null);
+    });
+
+    it("have a BankOnLedger page but no Qoboto page", () => {
+        assert.equal(AdiParse.getBankOnLedgerUrl(LITE_TOKEN_ACCOUNT),
+            `https://${KEY_HASH}b3417eaa.BankOnLedger.com/acme?current-network=mainnet`);
+        assert.equal(AdiParse.getQobotoUrl(LITE_TOKEN_ACCOUNT), null);
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * OperateIdLogger - levels, scopes, sinks, redaction and what the client logs
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { OperateIdClient, OperateIdLogger } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+/**
+ * A sink that records [method, ...args] for every message
+ */
+function createSink(withInfo = true) {
+    const lines = [];
+    const sink = {
+        lines,
+        log: (...args) => lines.push(["log", ...args]),
+        warn: (...args) => lines.push(["warn", ...args]),
+        error: (...args) => lines.push(["error", ...args])
+    };
+    if (withInfo) sink.info = (...args) => lines.push(["info", ...args]);
+    return sink;
+}
+
+function logEveryLevel(logger) {
+    ["error", "warn", "info", "debug", "trace"].forEach(level => logger[level](level));
+}
+
+describe("OperateIdLogger", () => {
+    it("logs only errors by default", () => {
+        const sink = createSink();
+        logEveryLevel(new OperateIdLogger({ sink }));
+        assert.deepEqual(sink.lines, [["error", "error"]]);
+    });
+
+    it("sends each level to the matching sink method", () => {
+        const sink = createSink();
+        logEveryLevel(new OperateIdLogger({ sink, level: "trace" }));
+        assert.deepEqual(sink.lines, [["error", "error"], ["warn", "warn"], ["info", "info"], ["log", "debug"], ["log", "trace"]]);
+    });
+
+    it("uses log for info when the sink has no info method", () => {
+        const sink = createSink(false);
+        new OperateIdLogger({ sink, level: "info" }).info("hello");
+        assert.deepEqual(sink.lines, [["log", "hello"]]);
+    });
+
+    it("logs nothing when silent", () => {
+        const sink = createSink();
+        logEveryLevel(new OperateIdLogger({ sink, level: "silent" }));
+        assert.deepEqual(sink.lines, []);
+    });
+
+    it("prefixes scoped messages and lets scopes have their own level", () => {
+        const sink = createSink();
+        const logger = new OperateIdLogger({ sink, level: "warn" });
+        const api = logger.scope("QobotoApiService");
+        logger.setLevel("debug", "QobotoApiService");
+
+        api.debug("fetching");
+        logger.scope("OperateIdClient").debug("hidden");
+        assert.deepEqual(sink.lines, [["log", "[QobotoApiService]", "fetching"]]);
+        assert.equal(api.getLevel(), "debug");
+
+        logger.setLevel(null, "QobotoApiService");
+        assert.equal(api.getLevel(), "warn");
+        assert.equal(logger.scope("QobotoApiService"), api);
+    });
+
+    it("a global level resets the scope levels", () => {
+        const logger = new OperateIdLogger();
+        logger.setLevel("trace", "QobotoApiService");
+        logger.setLevel("info");
+        assert.equal(logger.getLevel("QobotoApiService"), "info");
+    });
+
+    it("rejects unknown levels", () => {
+        assert.throws(() => new OperateIdLogger().setLevel("verbose"), /Unknown log level: verbose/);
+    });
+
+    it("masks tokens and response bodies until redaction is turned off", () => {
+        const sink = createSink();
+        const logger = new OperateIdLogger({ sink, level: "trace" });
+        logger.warn("Authorization: Bearer abc.def-123", "?api_key=s3cret&x=1", "password: hunter2");
+        logger.trace(OperateIdLogger.body("[{\"name\":\"main\"}]"));
+        assert.deepEqual(sink.lines, [
+            ["warn", "Authorization: Bearer [redacted]", "?api_key=[redacted]&x=1", "password: [redacted]"],
+            ["log", "[response body redacted: 17 chars]"]
+        ]);
+
+        sink.lines.length = 0;
+        logger.setRedaction(false);
+        logger.warn("token=abc");
+        logger.trace(OperateIdLogger.body({ name: "main" }));
+        assert.deepEqual(sink.lines, [["warn", "token=abc"], ["log", { name: "main" }]]);
+    });
+});
+
+describe("client logging", () => {
+    function createClient(sink, errorMode) {
+        return new OperateIdClient({
+            logLevel: "warn",
+            logger: sink,
+            errorMode: errorMode,
+            dataProvider: { name: "failing", async fetchSections() { throw new Error("connection reset"); } }
+        });
+    }
+
+    it("logs a failure the caller can't see once, at error level", async () => {
+        const sink = createSink();
+        const client = createClient(sink, "fallback");
+        await client.getLogoUrl("sunstream.acme");
+        await client.getLogoUrl("sunstream.acme");
+        const errors = sink.lines.filter(([method]) => method === "error");
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0][1], "[QobotoApiService]");
+        assert.match(errors[0][2], /Could not load Qoboto data for sunstream.acme: NETWORK - connection reset/);
+    });
+
+    it("only warns when the error is returned to the caller", async () => {
+        const sink = createSink();
+        await createClient(sink, "result").getLogoUrl("sunstream.acme");
+        assert.deepEqual(sink.lines.map(([method]) => method), ["warn"]);
+    });
+
+    it("is quiet at the default level until something fails", async () => {
+        const sink = createSink();
+        const client = new OperateIdClient({ logger: sink });
+        client.useStaticData({ "sunstream.acme": [{ name: "main", logoUrl: "https://example.com/logo.png" }] });
+        await client.getLogoUrl("sunstream.acme");
+        assert.equal(client.getLogLevel(), "error");
+        assert.deepEqual(sink.lines, []);
+    });
+
+    it("debug mode is the debug level", () => {
+        const client = new OperateIdClient({ logLevel: "silent" });
+        client.setDebugMode(true);
+        assert.equal(client.getLogLevel(), "debug");
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Memory cache - LRU eviction, TTLs per entry type and caching of failures
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { OperateIdClient, OperateIdError } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const CODES = OperateIdError.CODES;
+
+/**
+ * A provider that records each request and answers from a table:
+ * sections, null (no data) or an Error (failure)
+ */
+function createTableProvider(table) {
+    const provider = {
+        name: "table",
+        requested: [],
+        async fetchSections(identityUrl) {
+            provider.requested.push(identityUrl);
+            const answer = table[identityUrl];
+            if (answer instanceof Error) throw answer;
+            return answer === undefined ? [{ name: "main", logoUrl: `https://example.com/${identityUrl}.png` }] : answer;
+        }
+    };
+    return provider;
+}
+
+function createClient(provider, cache = {}) {
+    return new OperateIdClient({
+        logLevel: "silent",
+        dataProvider: provider,
+        request: { retries: 0 },
+        errorMode: "result",
+        cache: cache
+    });
+}
+
+const expire = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe("LRU eviction", () => {
+    it("evicts the least recently used identity beyond maxEntries", async () => {
+        const provider = createTableProvider({});
+        const client = createClient(provider, { maxEntries: 2 });
+        await client.getLogoUrl("one.acme");
+        await client.getLogoUrl("two.acme");
+        await client.getLogoUrl("one.acme"); // one.acme is now the most recently used
+        await client.getLogoUrl("three.acme");
+
+        await client.getLogoUrl("one.acme");
+        await client.getLogoUrl("two.acme");
+        assert.deepEqual(provider.requested, ["one.acme", "two.acme", "three.acme", "two.acme"]);
+    });
+
+    it("shrinking the cache evicts at once", async () => {
+        const provider = createTableProvider({});
+        const client = createClient(provider);
+        await client.getLogoUrl("one.acme");
+        await client.getLogoUrl("two.acme");
+        client.setCacheOptions({ maxEntries: 1 });
+
+        await client.getLogoUrl("two.acme");
+        await client.getLogoUrl("one.acme");
+        assert.deepEqual(provider.requested, ["one.acme", "two.acme", "one.acme"]);
+        assert.equal(client.getCacheOptions().maxEntries, 1);
+    });
+});
+
+describe("TTLs per entry type", () => {
+    it("defaults to 5 minutes for data, 1 minute for not found and 10 seconds for errors", () => {
+        assert.deepEqual(createClient(createTableProvider({})).getCacheOptions().ttl,
+            { response: 5 * 60 * 1000, notFound: 60 * 1000, error: 10 * 1000 });
+    });
+
+    it("a number sets the response TTL only", () => {
+        const client = createClient(createTableProvider({}), { ttl: 1000 });
+        assert.deepEqual(client.getCacheOptions().ttl, { response: 1000, notFound: 60 * 1000, error: 10 * 1000 });
+    });
+
+    it("rejects unknown entry types", () => {
+        assert.throws(() => createClient(createTableProvider({}), { ttl: { timeout: 1000 } }),
+            /Unknown cache entry type: timeout/);
+    });
+
+    it("refetches data once its TTL is over", async () => {
+        const provider = createTableProvider({});
+        const client = createClient(provider, { ttl: { response: 1 } });
+        await client.getLogoUrl("sunstream.acme");
+        await expire();
+        await client.getLogoUrl("sunstream.acme");
+        assert.equal(provider.requested.length, 2);
+    });
+});
+
+describe("caching failures", () => {
+    it("remembers that an identity has no data", async () => {
+        const provider = createTableProvider({ "missing.acme": null });
+        const client = createClient(provider);
+        const first = await client.getAllMainData("missing.acme");
+        const second = await client.getAllMainData("missing.acme");
+
+        assert.equal(first.error.code, CODES.NOT_FOUND);
+        assert.equal(second.error.code, CODES.NOT_FOUND);
+        assert.deepEqual(provider.requested, ["missing.acme"]);
+    });
+
+    it("remembers errors for the error TTL only", async () => {
+        const provider = createTableProvider({ "broken.acme": new Error("connection reset") });
+        const client = createClient(provider, { ttl: { error: 1 } });
+        assert.equal((await client.getAllMainData("broken.acme")).error.code, CODES.NETWORK);
+        assert.equal(provider.requested.length, 1);
+
+        await expire();
+        await client.getAllMainData("broken.acme");
+        assert.equal(provider.requested.length, 2);
+    });
+
+    it("doesn't cache the defaults as if they were the identity's data", async () => {
+        const table = { "sunstream.acme": new Error("connection reset") };
+        const provider = createTableProvider(table);
+        const client = createClient(provider, { ttl: { error: 1 } });
+        const fallback = await client.getLogoUrl("sunstream.acme", { errorMode: "fallback" });
+        assert.notEqual(fallback, "https://example.com/sunstream.acme.png");
+
+        delete table["sunstream.acme"];
+        await expire();
+        assert.equal(await client.getLogoUrl("sunstream.acme", { errorMode: "fallback" }), "https://example.com/sunstream.acme.png");
+    });
+
+    it("clearCache() forgets failures", async () => {
+        const provider = createTableProvider({ "missing.acme": null });
+        const client = createClient(provider);
+        await client.getAllMainData("missing.acme");
+        client.clearCache("missing.acme");
+        await client.getAllMainData("missing.acme");
+        assert.equal(provider.requested.length, 2);
+    });
+});
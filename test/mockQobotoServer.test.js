@@ -0,0 +1,129 @@
+/**
+ * OperateIdClient against MockQobotoServer - one test per scenario, plus batches
+ *
+ *   node --test
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { OperateIdClient, OperateIdError } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+const { MockQobotoServer, defaultFixtures } = require(path.join(__dirname, "..", "src", "mock", "mockQobotoServer.js"));
+
+const BULK_PATH = "/api/v1/Qoboto/GetDataValue/AllBatch";
+const CODES = OperateIdError.CODES;
+
+function mainSection(identityUrl) {
+    return defaultFixtures()[identityUrl].find(section => section.name === "main");
+}
+
+describe("OperateIdClient with MockQobotoServer", () => {
+    let server;
+    let client;
+
+    before(async () => {
+        server = new MockQobotoServer({ latencyMs: 0, quiet: true });
+        const baseUrl = await server.start(0);
+        client = new OperateIdClient({
+            apiBaseUrl: baseUrl,
+            developmentMode: false,
+            logLevel: "silent",
+            request: { retries: 0 },
+            errorMode: "result"
+        });
+    });
+
+    after(() => server.stop());
+
+    beforeEach(() => {
+        server.reset();
+        client.clearCache();
+        client.setBulkEndpoint(null);
+    });
+
+    const load = identityUrl => client.getAllMainData(identityUrl);
+
+    it("ok: returns the fixture's main section", async () => {
+        const result = await load("sunstream.acme");
+        const main = mainSection("sunstream.acme");
+        assert.equal(result.ok, true);
+        assert.equal(result.error, null);
+        assert.equal(result.data.logoUrl, main.logoUrl);
+        assert.equal(result.data.sectionMain1Description, main.sectionMain1Description);
+        assert.equal(result.data.sources.logoUrl, "api");
+    });
+
+    it("ok: unknown identities are NOT_FOUND", async () => {
+        const result = await load("unknown-identity.acme");
+        assert.equal(result.ok, false);
+        assert.equal(result.error.code, CODES.NOT_FOUND);
+    });
+
+    it("notFound: 404 is NOT_FOUND", async () => {
+        server.setScenario("notFound", "sunstream.acme");
+        const result = await load("sunstream.acme");
+        assert.equal(result.ok, false);
+        assert.equal(result.error.code, CODES.NOT_FOUND);
+    });
+
+    it("serverError: 500 is HTTP_STATUS with the status", async () => {
+        server.setScenario("serverError", "sunstream.acme");
+        const result = await load("sunstream.acme");
+        assert.equal(result.ok, false);
+        assert.equal(result.error.code, CODES.HTTP_STATUS);
+        assert.equal(result.error.details.status, 500);
+    });
+
+    it("malformed: a body that isn't JSON is PARSE", async () => {
+        server.setScenario("malformed", "sunstream.acme");
+        const result = await load("sunstream.acme");
+        assert.equal(result.ok, false);
+        assert.equal(result.error.code, CODES.PARSE);
+    });
+
+    it("doubleEncoded: the JSON string is decoded", async () => {
+        server.setScenario("doubleEncoded", "sunstream.acme");
+        const result = await load("sunstream.acme");
+        assert.equal(result.ok, true);
+        assert.equal(result.data.logoUrl, mainSection("sunstream.acme").logoUrl);
+        assert.ok(client.getValidationReport("sunstream.acme").adaptersApplied.length > 0);
+    });
+
+    it("missingMain: a response without main is SCHEMA", async () => {
+        server.setScenario("missingMain", "sunstream.acme");
+        const result = await load("sunstream.acme");
+        assert.equal(result.ok, false);
+        assert.equal(result.error.code, CODES.SCHEMA);
+    });
+
+    it("pinned identities always use their scenario", async () => {
+        const expected = {
+            "notfound.acme": CODES.NOT_FOUND,
+            "servererror.acme": CODES.HTTP_STATUS,
+            "malformed.acme": CODES.PARSE,
+            "missingmain.acme": CODES.SCHEMA
+        };
+        for (const [identityUrl, code] of Object.entries(expected)) {
+            const result = await load(identityUrl);
+            assert.equal(result.error && result.error.code, code, identityUrl);
+        }
+        assert.equal((await load("doubleencoded.acme")).ok, true);
+    });
+
+    it("batch: one result per identity, in input order", async () => {
+        const identities = ["sunstream.acme", "acme", "servererror.acme", "bad name", "nologo.acme"];
+        const results = await client.getAllMainDataBatch(identities, { concurrency: 2 });
+        assert.deepEqual(results.map(result => result.ok), [true, true, false, false, true]);
+        assert.equal(results[1].data.logoUrl, mainSection("acme.acme").logoUrl);
+        assert.equal(results[2].error.code, CODES.HTTP_STATUS);
+        assert.equal(results[3].error.code, CODES.INVALID_IDENTITY);
+    });
+
+    it("batch: the bulk endpoint loads every identity in one request", async () => {
+        client.setBulkEndpoint(BULK_PATH);
+        const identities = ["sunstream.acme", "acme.acme", "nologo.acme"];
+        const results = await client.getAllMainDataBatch(identities);
+        assert.deepEqual(results.map(result => result.ok), [true, true, true]);
+        assert.equal(server.requestCount, 1);
+    });
+});
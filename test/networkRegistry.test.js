@@ -0,0 +1,106 @@
+/**
+ * Networks - built-in definitions, per-network hosts and switching networks
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { AdiParse, NetworkRegistryClass, OperateIdClient } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+describe("NetworkRegistryClass", () => {
+    it("fills in the defaults of a definition", () => {
+        const registry = new NetworkRegistryClass();
+        assert.deepEqual(registry.register({ id: "local", qobotoApiBaseUrl: "http://localhost:7033" }), {
+            id: "local",
+            displayName: "local",
+            qobotoApiBaseUrl: "http://localhost:7033",
+            appHostPattern: "{host}",
+            explorerUrl: null
+        });
+        assert.equal(registry.has("local"), true);
+        assert.equal(registry.unregister("local"), true);
+        assert.equal(registry.get("local"), null);
+    });
+
+    it("needs an id and an API base URL", () => {
+        const registry = new NetworkRegistryClass();
+        assert.throws(() => registry.register({ qobotoApiBaseUrl: "https://api.example.com" }), /must have an id/);
+        assert.throws(() => registry.register({ id: "local" }), /needs a qobotoApiBaseUrl/);
+    });
+});
+
+describe("built-in networks", () => {
+    const expected = {
+        mainnet: ["https://api.qoboto.com", "https://sunstream.Qoboto.com/?current-network=mainnet",
+            "https://explorer.accumulatenetwork.io/acc/sunstream.acme"],
+        kermit: ["https://kermit-api.qoboto.com", "https://kermit-sunstream.Qoboto.com/?current-network=kermit",
+            "https://kermit.explorer.accumulatenetwork.io/acc/sunstream.acme"],
+        fozzie: ["https://fozzie-api.qoboto.com", "https://fozzie-sunstream.Qoboto.com/?current-network=fozzie",
+            "https://fozzie.explorer.accumulatenetwork.io/acc/sunstream.acme"]
+    };
+
+    for (const [network, [apiBaseUrl, qobotoUrl, explorerUrl]] of Object.entries(expected)) {
+        it(`${network} has its own API, app hosts and explorer`, () => {
+            const client = new OperateIdClient({ network: network });
+            assert.equal(client.getNetworkInfo().id, network);
+            assert.equal(client.getApiBaseUrl(), apiBaseUrl);
+            assert.equal(client.getQobotoUrl("sunstream.acme"), qobotoUrl);
+            assert.equal(client.getExplorerUrl("sunstream.acme"), explorerUrl);
+        });
+    }
+
+    it("are listed by AdiParse", () => {
+        assert.deepEqual(AdiParse.getNetworks().map(network => network.id), ["mainnet", "kermit", "fozzie"]);
+    });
+});
+
+describe("switching networks", () => {
+    it("starts on the network's API", () => {
+        assert.equal(new OperateIdClient().getApiBaseUrl(), "https://api.qoboto.com");
+        assert.equal(AdiParse.getApiBaseUrl(), "https://api.qoboto.com");
+    });
+
+    it("switches the API base URL with the network", () => {
+        const client = new OperateIdClient();
+        client.setNetwork("kermit");
+        assert.equal(client.getApiBaseUrl(), "https://kermit-api.qoboto.com");
+        client.setNetwork("mainnet");
+        assert.equal(client.getApiBaseUrl(), "https://api.qoboto.com");
+    });
+
+    it("keeps an explicit API base URL until it is cleared", () => {
+        const client = new OperateIdClient({ apiBaseUrl: "http://localhost:7033" });
+        client.setNetwork("fozzie");
+        assert.equal(client.getApiBaseUrl(), "http://localhost:7033");
+        client.setApiBaseUrl(null);
+        assert.equal(client.getApiBaseUrl(), "https://fozzie-api.qoboto.com");
+    });
+
+    it("rejects unknown networks and keeps the current one", () => {
+        const client = new OperateIdClient({ network: "kermit" });
+        assert.throws(() => client.setNetwork("nowhere"), /Unknown network "nowhere". Known networks: mainnet, kermit, fozzie/);
+        assert.equal(client.getNetwork(), "kermit");
+    });
+
+    it("uses registered networks", () => {
+        AdiParse.registerNetwork({
+            id: "staging",
+            qobotoApiBaseUrl: "https://staging-api.example.com",
+            appHostPattern: "{network}-{host}",
+            explorerUrl: "https://staging-explorer.example.com"
+        });
+        const client = new OperateIdClient({ network: "staging" });
+        assert.equal(client.getApiBaseUrl(), "https://staging-api.example.com");
+        assert.equal(client.getBankOnLedgerUrl("sunstream.acme"), "https://staging-sunstream.BankOnLedger.com/?current-network=staging");
+        assert.equal(client.getExplorerUrl("sunstream.acme/shop"), "https://staging-explorer.example.com/acc/sunstream.acme/shop");
+    });
+
+    it("keeps calculate_app_Url as a wrapper over the app registry", () => {
+        const adiInfo = new OperateIdClient({ network: "kermit" }).getOpIdResource("sunstream.acme").opIdInfo.adiInfo;
+        assert.equal(adiInfo.calculate_app_Url("Qoboto.com"), adiInfo.app_Url("qoboto"));
+        assert.equal(adiInfo.calculate_app_Url("bankonledger.com"), adiInfo.app_Url("bankOnLedger"));
+        assert.equal(adiInfo.calculate_app_Url("example.com"), null);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * OperateIdClient - independent clients and the AdiParse facade
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { AdiParse, OperateIdClient } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+function fixture(logoUrl) {
+    return { "sunstream.acme": [{ name: "main", logoUrl: logoUrl }] };
+}
+
+describe("OperateIdClient", () => {
+    it("keeps its own network", () => {
+        const mainnet = new OperateIdClient();
+        const kermit = new OperateIdClient({ network: "kermit" });
+        assert.equal(mainnet.getNetwork(), "mainnet");
+        assert.equal(kermit.getNetwork(), "kermit");
+        assert.match(mainnet.getQobotoUrl("sunstream.acme"), /current-network=mainnet$/);
+        assert.match(kermit.getQobotoUrl("sunstream.acme"), /current-network=kermit$/);
+    });
+
+    it("keeps its own API base URL", () => {
+        const first = new OperateIdClient({ apiBaseUrl: "https://one.example" });
+        const second = new OperateIdClient({ apiBaseUrl: "https://two.example" });
+        second.setApiBaseUrl("https://three.example");
+        assert.equal(first.getApiBaseUrl(), "https://one.example");
+        assert.equal(second.getApiBaseUrl(), "https://three.example");
+    });
+
+    it("keeps its own data provider and cache", async () => {
+        const first = new OperateIdClient({ logLevel: "silent" });
+        const second = new OperateIdClient({ logLevel: "silent" });
+        first.useStaticData(fixture("https://example.com/first.png"));
+        second.useStaticData(fixture("https://example.com/second.png"));
+
+        assert.equal(await first.getLogoUrl("sunstream.acme"), "https://example.com/first.png");
+        assert.equal(await second.getLogoUrl("sunstream.acme"), "https://example.com/second.png");
+    });
+
+    it("rejects unknown networks", () => {
+        assert.throws(() => new OperateIdClient({ network: "nowhere" }), /nowhere/);
+    });
+
+    it("AdiParse forwards to the default client", async () => {
+        const client = AdiParse.getDefaultClient();
+        assert.ok(client instanceof OperateIdClient);
+        assert.equal(AdiParse.getNetwork(), client.getNetwork());
+        assert.equal(AdiParse.getQobotoUrl("sunstream.acme"), client.getQobotoUrl("sunstream.acme"));
+
+        client.useStaticData(fixture("https://example.com/default.png"));
+        assert.equal(await AdiParse.getLogoUrl("sunstream.acme"), "https://example.com/default.png");
+    });
+
+    it("AdiParse.createClient() returns a client independent of the default one", () => {
+        const client = AdiParse.createClient({ network: "fozzie" });
+        assert.notEqual(client, AdiParse.getDefaultClient());
+        assert.equal(client.getNetwork(), "fozzie");
+        assert.equal(AdiParse.getNetwork(), "mainnet");
+    });
+});
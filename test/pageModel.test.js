@@ -0,0 +1,88 @@
+/**
+ * Qoboto page sections - raw sections and the typed QobotoPageModel
+ *
+ *   node --test
+ */
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { OperateIdClient, QobotoPageModel } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const SECTIONS = [
+    { name: "header", headerTitle: "Sunstream" },
+    {
+        name: "main",
+        logoUrl: "https://example.com/logo.png",
+        sectionMain1Description: "First",
+        sectionMain1Background2ImageUrl: "https://example.com/one.png",
+        sectionMain2Description: "Second",
+        sectionMain10Description: "Tenth"
+    },
+    { name: "footer", footerText: "Powered by OperateID", footerLinkUrl: "https://example.com/" }
+];
+
+describe("page sections", () => {
+    let client;
+
+    beforeEach(() => {
+        client = new OperateIdClient({ logLevel: "silent" });
+        client.useStaticData({ "sunstream.acme": SECTIONS });
+    });
+
+    it("returns every section", async () => {
+        assert.deepEqual((await client.getSections("sunstream.acme")).map(section => section.name), ["header", "main", "footer"]);
+        assert.deepEqual(await client.getSection("sunstream.acme", "footer"), SECTIONS[2]);
+    });
+
+    it("returns null for a missing section, also in result mode", async () => {
+        assert.equal(await client.getSection("sunstream.acme", "nav"), null);
+        assert.deepEqual(await client.getSection("sunstream.acme", "nav", { errorMode: "result" }),
+            { ok: true, data: null, error: null });
+    });
+
+    it("models header, footer and numbered main sections", async () => {
+        const page = await client.getPageModel("sunstream.acme");
+        assert.ok(page instanceof QobotoPageModel);
+        assert.deepEqual(page.sectionNames(), ["header", "main", "footer"]);
+        assert.deepEqual(page.header, { title: "Sunstream" });
+        assert.deepEqual(page.footer, { text: "Powered by OperateID", linkUrl: "https://example.com/" });
+        assert.equal(page.main.logoUrl, "https://example.com/logo.png");
+        assert.deepEqual(page.main.sections, [
+            { index: 1, description: "First", background2ImageUrl: "https://example.com/one.png" },
+            { index: 2, description: "Second" },
+            { index: 10, description: "Tenth" }
+        ]);
+    });
+
+    it("checks image URLs against the asset URL policy", async () => {
+        client.useStaticData({
+            "sunstream.acme": [{ name: "main", logoUrl: "javascript:alert(1)", sectionMain1Background2ImageUrl: "/relative.png" }]
+        });
+        const page = await client.getPageModel("sunstream.acme");
+        assert.equal(page.main.logoUrl, null);
+        assert.equal(page.main.sections[0].background2ImageUrl, null);
+    });
+});
+
+describe("QobotoPageModel", () => {
+    it("passes text fields to the cleaner and image URLs to the checker", () => {
+        const checked = [];
+        const page = new QobotoPageModel("sunstream.acme", SECTIONS, text => text.toUpperCase(), (field, url) => {
+            checked.push(field);
+            return url;
+        });
+        assert.equal(page.header.title, "SUNSTREAM");
+        assert.equal(page.main.sections[1].description, "SECOND");
+        assert.equal(page.footer.linkUrl, "https://example.com/");
+        assert.deepEqual(checked, ["logoUrl", "sectionMain1Background2ImageUrl"]);
+    });
+
+    it("copes with pages without header, footer or main", () => {
+        const page = new QobotoPageModel("sunstream.acme", [{ headerTitle: "No name" }]);
+        assert.deepEqual(page.header, {});
+        assert.deepEqual(page.main, { sections: [] });
+        assert.deepEqual(page.sectionNames(), ["unnamed"]);
+        assert.equal(page.getSection("footer"), null);
+    });
+});
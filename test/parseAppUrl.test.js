@@ -0,0 +1,133 @@
+/**
+ * Reverse resolution of app links - identity, app and network behind a URL
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+    AdiParse, DidAppRegistryClass, NetworkRegistryClass, OperateIdClient
+} = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const LITE_NAME = "0123456789abcdef0123456789abcdef01234567b3417eaa";
+
+function networkOf(url) {
+    const link = AdiParse.parseAppUrl(url);
+    return link && { network: link.network, networkSource: link.networkSource, unknownNetwork: link.unknownNetwork };
+}
+
+describe("AdiParse.parseAppUrl", () => {
+    it("finds the identity, account, app and network", () => {
+        assert.deepEqual(AdiParse.parseAppUrl("https://kermit-sunstream.Qoboto.com/shop?current-network=kermit&utm_source=mail"), {
+            app: "qoboto",
+            appDisplayName: "Qoboto",
+            identityName: "sunstream",
+            identityUrl: "acc://sunstream.acme",
+            accountUrl: "acc://sunstream.acme/shop",
+            path: "shop",
+            isLite: false,
+            network: "kermit",
+            networkSource: "host",
+            unknownNetwork: null
+        });
+    });
+
+    it("reverses every app URL the clients build", () => {
+        for (const network of ["mainnet", "kermit", "fozzie"]) {
+            const client = new OperateIdClient({ network: network });
+            for (const app of client.getAppUrls("sunstream.acme/shop/items")) {
+                const link = AdiParse.parseAppUrl(app.url);
+                assert.equal(link.app, app.id);
+                assert.equal(link.accountUrl, "acc://sunstream.acme/shop/items");
+                assert.equal(link.network, network);
+            }
+        }
+    });
+
+    it("accepts links without a scheme", () => {
+        assert.deepEqual(networkOf("sunstream.bankonledger.com"), { network: "mainnet", networkSource: "host", unknownNetwork: null });
+    });
+
+    it("reports a network parameter the host doesn't serve", () => {
+        assert.deepEqual(networkOf("https://sunstream.Qoboto.com/?current-network=gonzo"),
+            { network: null, networkSource: "host", unknownNetwork: "gonzo" });
+        assert.deepEqual(networkOf("https://sunstream.Qoboto.com/?current-network=kermit"),
+            { network: null, networkSource: "host", unknownNetwork: "kermit" });
+    });
+
+    it("resolves lite accounts only for apps that support them", () => {
+        assert.equal(AdiParse.parseAppUrl(`https://${LITE_NAME}.Qoboto.com/`), null);
+        const link = AdiParse.parseAppUrl(`https://${LITE_NAME}.BankOnLedger.com/ACME`);
+        assert.equal(link.isLite, true);
+        assert.equal(link.identityUrl, `acc://${LITE_NAME}`);
+        assert.equal(link.path, "acme");
+    });
+
+    it("returns null for links that aren't app links", () => {
+        for (const url of ["https://example.com/", "ftp://sunstream.Qoboto.com/", "https://sunstream.Qoboto.com/a%2",
+            "https://sun stream.Qoboto.com/", "", null]) {
+            assert.equal(AdiParse.parseAppUrl(url), null, String(url));
+        }
+    });
+});
+
+describe("networks sharing a host", () => {
+    const networks = new NetworkRegistryClass();
+    networks.register({ id: "mainnet", qobotoApiBaseUrl: "https://api.example.com" });
+    networks.register({ id: "devnet", qobotoApiBaseUrl: "https://devnet-api.example.com" });
+    const registry = new DidAppRegistryClass();
+    registry.register({ id: "shop", host: "{name}.shop.example.com" });
+
+    function networkFor(url) {
+        const { network, networkSource, unknownNetwork } = registry.parseUrl(url, networks);
+        return { network, networkSource, unknownNetwork };
+    }
+
+    it("take the network from the parameter", () => {
+        assert.deepEqual(networkFor("https://sunstream.shop.example.com/?current-network=devnet"),
+            { network: "devnet", networkSource: "parameter", unknownNetwork: null });
+    });
+
+    it("count links without a parameter as mainnet", () => {
+        assert.deepEqual(networkFor("https://sunstream.shop.example.com/"),
+            { network: "mainnet", networkSource: "default", unknownNetwork: null });
+    });
+
+    it("report parameters naming unregistered networks", () => {
+        assert.deepEqual(networkFor("https://sunstream.shop.example.com/?current-network=Gonzo"),
+            { network: null, networkSource: "parameter", unknownNetwork: "gonzo" });
+    });
+});
+
+describe("apps with their own parseUrl", () => {
+    const registry = new DidAppRegistryClass();
+    registry.register({
+        id: "profile",
+        buildUrl: ({ name, path, network }) => `https://profiles.example.com/${network}/${name}/${path}`,
+        parseUrl: url => {
+            const { hostname, pathname } = new URL(url);
+            const match = hostname === "profiles.example.com" && pathname.match(/^\/([a-z]+)\/([a-z0-9-]+)\/?(.*)$/);
+            return match ? { network: match[1], name: match[2], path: match[3] } : null;
+        }
+    });
+
+    it("are asked first and trusted for the network", () => {
+        const link = registry.parseUrl("https://profiles.example.com/kermit/sunstream/shop");
+        assert.equal(link.app, "profile");
+        assert.equal(link.accountUrl, "acc://sunstream.acme/shop");
+        assert.equal(link.network, "kermit");
+        assert.equal(link.networkSource, "host");
+    });
+
+    it("report networks that aren't registered", () => {
+        const link = registry.parseUrl("https://profiles.example.com/gonzo/sunstream");
+        assert.equal(link.network, null);
+        assert.equal(link.unknownNetwork, "gonzo");
+    });
+
+    it("return null when their parser doesn't match", () => {
+        assert.equal(registry.parseUrl("https://other.example.com/kermit/sunstream"), null);
+    });
+});
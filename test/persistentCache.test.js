@@ -0,0 +1,244 @@
+/**
+ * Persistent cache stores and stale-while-revalidate
+ *
+ *   node --test
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    CacheStoreFactory, FileCacheStore, LocalStorageCacheStore, OperateIdClient
+} = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+const { MockQobotoServer } = require(path.join(__dirname, "..", "src", "mock", "mockQobotoServer.js"));
+
+const ENTRY = { data: [{ name: "main", logoUrl: "https://example.com/logo.png" }], identityUrl: "sunstream.acme", timestamp: 1 };
+
+/**
+ * A store object that keeps entries in a Map, so several clients can share it
+ */
+function createMemoryStore() {
+    const entries = new Map();
+    return {
+        name: "memory",
+        entries,
+        async get(key) { return entries.get(key) || null; },
+        async set(key, entry) { entries.set(key, entry); },
+        async delete(key) { entries.delete(key); },
+        async clear() { entries.clear(); },
+        async keys() { return [...entries.keys()]; }
+    };
+}
+
+/**
+ * A localStorage stand-in
+ */
+function createStorage(items = {}) {
+    const map = new Map(Object.entries(items));
+    return {
+        get length() { return map.size; },
+        key: index => [...map.keys()][index] ?? null,
+        getItem: key => map.has(key) ? map.get(key) : null,
+        setItem: (key, value) => map.set(key, String(value)),
+        removeItem: key => map.delete(key)
+    };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe("FileCacheStore", () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "operateid-cache-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("keeps entries in a JSON file that a new store reads back", async () => {
+        const filePath = path.join(directory, "cache.json");
+        const store = new FileCacheStore({ filePath });
+        await store.set("mainnet|sunstream.acme", ENTRY);
+
+        const reopened = new FileCacheStore({ filePath });
+        assert.deepEqual(await reopened.get("mainnet|sunstream.acme"), ENTRY);
+        assert.deepEqual(await reopened.keys(), ["mainnet|sunstream.acme"]);
+        assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf8")), { "mainnet|sunstream.acme": ENTRY });
+    });
+
+    it("deletes and clears entries", async () => {
+        const store = new FileCacheStore({ filePath: path.join(directory, "cache.json") });
+        await store.set("a", ENTRY);
+        await store.set("b", ENTRY);
+        await store.delete("a");
+        assert.equal(await store.get("a"), null);
+        assert.deepEqual(await store.keys(), ["b"]);
+        await store.clear();
+        assert.deepEqual(await store.keys(), []);
+    });
+
+    it("starts empty when the file is missing or broken", async () => {
+        const filePath = path.join(directory, "broken.json");
+        assert.deepEqual(await new FileCacheStore({ filePath }).keys(), []);
+        fs.writeFileSync(filePath, "{not json");
+        assert.equal(await new FileCacheStore({ filePath }).get("a"), null);
+    });
+});
+
+describe("LocalStorageCacheStore", () => {
+    it("only touches keys with its prefix", async () => {
+        const storage = createStorage({ theme: "dark" });
+        const store = new LocalStorageCacheStore({ storage });
+        await store.set("sunstream.acme", ENTRY);
+        assert.equal(storage.getItem("operateid:sunstream.acme"), JSON.stringify(ENTRY));
+        assert.deepEqual(await store.keys(), ["sunstream.acme"]);
+
+        await store.clear();
+        assert.deepEqual(await store.keys(), []);
+        assert.equal(storage.getItem("theme"), "dark");
+    });
+});
+
+describe("CacheStoreFactory", () => {
+    it("creates stores by type name", () => {
+        assert.ok(CacheStoreFactory.create("file", { filePath: "unused.json" }) instanceof FileCacheStore);
+        assert.ok(CacheStoreFactory.create("localStorage", { storage: createStorage() }) instanceof LocalStorageCacheStore);
+    });
+
+    it("picks a file in Node", () => {
+        assert.equal(CacheStoreFactory.create("auto", { filePath: "unused.json" }).name, "file");
+    });
+
+    it("rejects unknown types and missing browser storage", () => {
+        assert.throws(() => CacheStoreFactory.create("redis"), /Unknown cache store type: redis/);
+        assert.throws(() => CacheStoreFactory.create("indexedDB"), /IndexedDB is not available/);
+        assert.throws(() => CacheStoreFactory.create("localStorage"), /localStorage is not available/);
+    });
+});
+
+describe("persistent cache", () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = new MockQobotoServer({ latencyMs: 0, quiet: true });
+        baseUrl = await server.start(0);
+    });
+
+    after(() => server.stop());
+
+    beforeEach(() => server.reset());
+
+    function createClient(store) {
+        return new OperateIdClient({
+            apiBaseUrl: baseUrl,
+            logLevel: "silent",
+            request: { retries: 0 },
+            cache: { persistent: store }
+        });
+    }
+
+    it("a new client reads API responses from the store instead of the API", async () => {
+        const store = createMemoryStore();
+        const logoUrl = await createClient(store).getLogoUrl("sunstream.acme");
+        await settle();
+        assert.equal(server.requestCount, 1);
+        assert.equal(store.entries.size, 1);
+
+        assert.equal(await createClient(store).getLogoUrl("sunstream.acme"), logoUrl);
+        assert.equal(server.requestCount, 1);
+    });
+
+    it("ignores stored entries that don't pass the schema", async () => {
+        const store = createMemoryStore();
+        const client = createClient(store);
+        await client.getLogoUrl("sunstream.acme");
+        await settle();
+        const [key] = store.entries.keys();
+        store.entries.set(key, { ...store.entries.get(key), data: 42 });
+
+        await createClient(store).getLogoUrl("sunstream.acme");
+        assert.equal(server.requestCount, 2);
+    });
+
+    it("doesn't persist static or mock data", async () => {
+        const store = createMemoryStore();
+        const client = createClient(store);
+        client.useStaticData({ "sunstream.acme": [ENTRY.data[0]] });
+        await client.getLogoUrl("sunstream.acme");
+        await settle();
+        assert.equal(store.entries.size, 0);
+    });
+
+    it("clearCache() clears the store too", async () => {
+        const store = createMemoryStore();
+        const client = createClient(store);
+        await client.getLogoUrl("sunstream.acme");
+        await settle();
+        client.clearCache();
+        await settle();
+        assert.equal(store.entries.size, 0);
+    });
+
+    it("reports the store name and checks custom stores", () => {
+        const client = createClient(createMemoryStore());
+        assert.equal(client.getCacheOptions().persistent, "memory");
+        assert.throws(() => client.setCacheOptions({ persistent: { get() {} } }),
+            /Cache store must implement get, set, delete, clear and keys/);
+        client.setCacheOptions({ persistent: false });
+        assert.equal(client.getCacheOptions().persistent, null);
+    });
+});
+
+describe("stale-while-revalidate", () => {
+    /**
+     * A provider whose logo changes with every request
+     */
+    function createVersionedProvider() {
+        const provider = {
+            name: "versioned",
+            version: 0,
+            async fetchSections() {
+                provider.version++;
+                return [{ name: "main", logoUrl: `https://example.com/v${provider.version}.png` }];
+            }
+        };
+        return provider;
+    }
+
+    function createClient(provider, staleWhileRevalidate) {
+        return new OperateIdClient({
+            logLevel: "silent",
+            dataProvider: provider,
+            cache: { ttl: 1, staleWhileRevalidate }
+        });
+    }
+
+    const expire = () => new Promise(resolve => setTimeout(resolve, 5));
+
+    it("serves expired data at once and refreshes it in the background", async () => {
+        const provider = createVersionedProvider();
+        const client = createClient(provider, 60 * 1000);
+        const revalidated = [];
+        client.on("dataRevalidated", ({ identityUrl }) => revalidated.push(identityUrl));
+
+        assert.equal(await client.getLogoUrl("sunstream.acme"), "https://example.com/v1.png");
+        await expire();
+        assert.equal(await client.getLogoUrl("sunstream.acme"), "https://example.com/v1.png");
+        await settle();
+        assert.deepEqual(revalidated, ["sunstream.acme"]);
+        assert.equal(await client.getLogoUrl("sunstream.acme"), "https://example.com/v2.png");
+    });
+
+    it("waits for new data once the stale window is over", async () => {
+        const provider = createVersionedProvider();
+        const client = createClient(provider, 0);
+        await client.getLogoUrl("sunstream.acme");
+        await expire();
+        assert.equal(await client.getLogoUrl("sunstream.acme"), "https://example.com/v2.png");
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * QR codes - Reed-Solomon codewords and a full symbol by known answer, SVG output and getQrCode targets
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { OperateIdClient, OperateIdError, QrCodeGeneratorClass } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const LEVELS = QrCodeGeneratorClass.ERROR_CORRECTION_LEVELS;
+const LITE_IDENTITY = "acc://0123456789abcdef0123456789abcdef01234567b3417eaa";
+
+// Version 1-M, "sunstream.acme" in byte mode, mask 2 (format bits 101111001111100)
+const SUNSTREAM_1M = [
+    "#######...#...#######",
+    "#.....#.....#.#.....#",
+    "#.###.#.#.##..#.###.#",
+    "#.###.#.#.##..#.###.#",
+    "#.###.#.#.#.#.#.###.#",
+    "#.....#.#...#.#.....#",
+    "#######.#.#.#.#######",
+    "........##.##........",
+    "#.#####..####.#####..",
+    "..#.##..#.#....######",
+    ".#############...###.",
+    ".##.##..#..###...####",
+    ".###..##...#..#......",
+    "........##...#####.##",
+    "#######....###.....#.",
+    "#.....#.#.##...####.#",
+    "#.###.#.##..#.##.#.##",
+    "#.###.#.##...##.#.#..",
+    "#.###.#.#.###.#..#...",
+    "#.....#..#####.#.##..",
+    "#######.#...#.#..#.#."
+];
+
+describe("QrCodeGeneratorClass", () => {
+    it("computes the error correction codewords of the ISO 18004 example (01234567, 1-M)", () => {
+        const data = [16, 32, 12, 86, 97, 128, 236, 17, 236, 17, 236, 17, 236, 17, 236, 17];
+        const codewords = QrCodeGeneratorClass._addErrorCorrection(data, 1, LEVELS.M);
+        assert.deepEqual(codewords.slice(data.length), [165, 36, 212, 193, 237, 54, 199, 135, 44, 85]);
+    });
+
+    it("computes the error correction codewords of HELLO WORLD (1-M)", () => {
+        const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+        const codewords = QrCodeGeneratorClass._addErrorCorrection(data, 1, LEVELS.M);
+        assert.deepEqual(codewords.slice(data.length), [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+    });
+
+    it("encodes a known symbol module for module", () => {
+        const qr = QrCodeGeneratorClass.encode("sunstream.acme", "M");
+        assert.equal(qr.version, 1);
+        assert.equal(qr.size, 21);
+        assert.equal(qr.mask, 2);
+        assert.deepEqual(qr.modules.map(row => row.map(dark => dark ? "#" : ".").join("")), SUNSTREAM_1M);
+    });
+
+    it("picks the smallest version that fits", () => {
+        assert.equal(QrCodeGeneratorClass.encode("a".repeat(14), "M").version, 1);
+        assert.equal(QrCodeGeneratorClass.encode("a".repeat(15), "M").version, 2);
+        assert.equal(QrCodeGeneratorClass.encode("a".repeat(17), "L").version, 1);
+    });
+
+    it("needs a known error correction level and a text that fits", () => {
+        assert.throws(() => QrCodeGeneratorClass.encode("sunstream.acme", "X"), /Unknown QR error correction level: X/);
+        assert.throws(() => QrCodeGeneratorClass.encode("a".repeat(3000), "H"), /Text is too long for a QR code/);
+    });
+
+    it("draws the modules as one SVG path inside the quiet zone", () => {
+        const svg = new QrCodeGeneratorClass({ moduleSize: 2, margin: 1, foreground: "#112233" }).svg("sunstream.acme");
+        assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="46" height="46" viewBox="0 0 23 23" shape-rendering="crispEdges">/);
+        assert.match(svg, /<path d="M1,1h1v1h-1z[^"]*" fill="#112233"\/><\/svg>$/);
+        const darkModules = SUNSTREAM_1M.join("").split("#").length - 1;
+        assert.equal(svg.split("h1v1h-1z").length - 1, darkModules);
+    });
+});
+
+describe("getQrCode", () => {
+    const generator = new QrCodeGeneratorClass();
+
+    function createClient(options = {}) {
+        return new OperateIdClient({ logLevel: "silent", ...options });
+    }
+
+    it("encodes the Qoboto page by default", () => {
+        const client = createClient({ network: "kermit" });
+        assert.equal(client.getQrCode("sunstream.acme"), generator.svg(client.getQobotoUrl("sunstream.acme")));
+    });
+
+    it("encodes other apps or the Accumulate URL itself", () => {
+        const client = createClient();
+        assert.equal(client.getQrCode("sunstream.acme", { target: "bankOnLedger" }),
+            generator.svg(client.getBankOnLedgerUrl("sunstream.acme")));
+        assert.equal(client.getQrCode("sunstream.acme/shop", { target: "acc" }), generator.svg("acc://sunstream.acme/shop"));
+    });
+
+    it("returns a data URI and takes settings for one code", () => {
+        const client = createClient();
+        const url = client.getQobotoUrl("sunstream.acme");
+        assert.equal(client.getQrCode("sunstream.acme", { format: "dataUri", errorCorrection: "H", margin: 2 }),
+            generator.dataUri(url, { errorCorrection: "H", margin: 2 }));
+    });
+
+    it("returns null when the target has no page for the identity", () => {
+        const client = createClient();
+        assert.equal(client.getQrCode("bad name"), null);
+        assert.equal(client.getQrCode(LITE_IDENTITY), null);
+        assert.notEqual(client.getQrCode(LITE_IDENTITY, { target: "bankOnLedger" }), null);
+        assert.notEqual(client.getQrCode(LITE_IDENTITY, { target: "acc" }), null);
+    });
+
+    it("reports why in result mode", () => {
+        const result = createClient().getQrCode(LITE_IDENTITY, { errorMode: "result" });
+        assert.equal(result.ok, false);
+        assert.equal(result.error.code, OperateIdError.CODES.INVALID_IDENTITY);
+        assert.equal(result.error.details.app, "qoboto");
+    });
+
+    it("throws for unknown targets, formats and options", () => {
+        const client = createClient();
+        assert.throws(() => client.getQrCode("sunstream.acme", { target: "nowhere" }),
+            /Unknown QR code target "nowhere". Known targets: acc, qoboto, bankOnLedger/);
+        assert.throws(() => client.getQrCode("sunstream.acme", { format: "png" }), /Unknown QR code format "png"/);
+        assert.throws(() => client.getQrCode("sunstream.acme", { errorCorrection: "X" }), /X/);
+    });
+});
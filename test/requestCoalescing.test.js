@@ -0,0 +1,124 @@
+/**
+ * In-flight request coalescing - one fetch per identity and network, shared by every caller
+ *
+ *   node --test
+ */
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { OperateIdClient } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+/**
+ * A provider whose requests stay open until release() is called
+ */
+function createGatedProvider() {
+    const provider = {
+        name: "gated",
+        requests: [],
+        fetchSections(identityUrl, service, options = {}) {
+            return new Promise((resolve, reject) => {
+                const request = { identityUrl, baseUrl: service.baseUrl, signal: options.signal, resolve };
+                provider.requests.push(request);
+                if (options.signal) {
+                    options.signal.addEventListener("abort", () => reject(options.signal.reason), { once: true });
+                }
+            });
+        },
+        release() {
+            provider.requests.forEach(request => request.resolve([{ name: "main", logoUrl: `${request.baseUrl}/logo.png`, sectionMain1Description: "Hi" }]));
+        }
+    };
+    return provider;
+}
+
+describe("request coalescing", () => {
+    let provider;
+    let client;
+
+    beforeEach(() => {
+        provider = createGatedProvider();
+        client = new OperateIdClient({ logLevel: "silent", dataProvider: provider });
+    });
+
+    it("concurrent calls for one identity share a single fetch", async () => {
+        const calls = Promise.all([
+            client.getLogoUrl("sunstream.acme"),
+            client.getSectionMain1Description("acc://sunstream.acme"),
+            client.getAllMainData("Sunstream"),
+            client.getPageModel("sunstream.acme")
+        ]);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(provider.requests.length, 1);
+
+        provider.release();
+        const [logoUrl, description, data, page] = await calls;
+        assert.equal(logoUrl, "https://api.qoboto.com/logo.png");
+        assert.equal(description, "Hi");
+        assert.equal(data.logoUrl, logoUrl);
+        assert.equal(page.main.logoUrl, logoUrl);
+    });
+
+    it("different identities and networks get their own fetch", async () => {
+        const kermit = new OperateIdClient({ logLevel: "silent", dataProvider: provider, network: "kermit" });
+        const calls = Promise.all([
+            client.getLogoUrl("sunstream.acme"),
+            client.getLogoUrl("acme.acme"),
+            kermit.getLogoUrl("sunstream.acme")
+        ]);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(provider.requests.map(request => [request.identityUrl, request.baseUrl]), [
+            ["sunstream.acme", "https://api.qoboto.com"],
+            ["acme.acme", "https://api.qoboto.com"],
+            ["sunstream.acme", "https://kermit-api.qoboto.com"]
+        ]);
+        provider.release();
+        assert.deepEqual(await calls, [
+            "https://api.qoboto.com/logo.png",
+            "https://api.qoboto.com/logo.png",
+            "https://kermit-api.qoboto.com/logo.png"
+        ]);
+    });
+
+    it("one caller aborting doesn't cancel the fetch for the others", async () => {
+        const controller = new AbortController();
+        const aborted = client.getLogoUrl("sunstream.acme", { signal: controller.signal });
+        const waiting = client.getLogoUrl("sunstream.acme", { signal: new AbortController().signal });
+        await new Promise(resolve => setImmediate(resolve));
+
+        controller.abort(new Error("gone"));
+        await assert.rejects(aborted, /gone/);
+        assert.equal(provider.requests[0].signal.aborted, false);
+
+        provider.release();
+        assert.equal(await waiting, "https://api.qoboto.com/logo.png");
+    });
+
+    it("the fetch is cancelled once every caller has aborted", async () => {
+        const first = new AbortController();
+        const second = new AbortController();
+        const calls = [
+            client.getLogoUrl("sunstream.acme", { signal: first.signal }),
+            client.getLogoUrl("sunstream.acme", { signal: second.signal })
+        ];
+        await new Promise(resolve => setImmediate(resolve));
+
+        first.abort(new Error("first"));
+        second.abort(new Error("second"));
+        await assert.rejects(calls[0], /first/);
+        await assert.rejects(calls[1], /second/);
+        assert.equal(provider.requests[0].signal.aborted, true);
+    });
+
+    it("after clearCache() new callers start a new fetch", async () => {
+        const before = client.getLogoUrl("sunstream.acme");
+        await new Promise(resolve => setImmediate(resolve));
+        client.clearCache();
+        const after = client.getLogoUrl("sunstream.acme");
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(provider.requests.length, 2);
+        provider.release();
+        await Promise.all([before, after]);
+    });
+});
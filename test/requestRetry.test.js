@@ -0,0 +1,152 @@
+/**
+ * Timeouts, retries with backoff and cancellation of API requests
+ *
+ *   node --test
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const path = require("path");
+const { OperateIdClient, OperateIdError } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const CODES = OperateIdError.CODES;
+const SECTIONS = JSON.stringify([{ name: "main", logoUrl: "https://example.com/logo.png" }]);
+
+/**
+ * An API server that answers each request with the next step of a script.
+ * A step is { status, body, headers, delayMs, onRequest }; the last step repeats.
+ */
+function createScriptedServer() {
+    const scripted = { steps: [], requests: 0 };
+    scripted.server = http.createServer((request, response) => {
+        const step = scripted.steps[Math.min(scripted.requests, scripted.steps.length - 1)];
+        scripted.requests++;
+        if (step.onRequest) step.onRequest();
+        setTimeout(() => {
+            response.writeHead(step.status, { "Content-Type": "application/json", ...step.headers });
+            response.end(step.body ?? "");
+        }, step.delayMs || 0);
+    });
+    return scripted;
+}
+
+const ok = { status: 200, body: SECTIONS };
+const serverError = { status: 500 };
+
+describe("API requests", () => {
+    let scripted;
+    let baseUrl;
+
+    before(async () => {
+        scripted = createScriptedServer();
+        await new Promise(resolve => scripted.server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${scripted.server.address().port}`;
+    });
+
+    after(() => {
+        scripted.server.closeAllConnections();
+        scripted.server.close();
+    });
+
+    beforeEach(() => {
+        scripted.steps = [ok];
+        scripted.requests = 0;
+    });
+
+    function createClient(request = {}) {
+        return new OperateIdClient({
+            apiBaseUrl: baseUrl,
+            logLevel: "silent",
+            errorMode: "result",
+            request: { retries: 2, retryDelayMs: 1, ...request }
+        });
+    }
+
+    it("retries 5xx responses until one succeeds", async () => {
+        scripted.steps = [serverError, { status: 503 }, ok];
+        const result = await createClient().getAllMainData("sunstream.acme");
+        assert.equal(result.ok, true);
+        assert.equal(scripted.requests, 3);
+    });
+
+    it("gives up after the configured retries", async () => {
+        scripted.steps = [serverError];
+        const result = await createClient({ retries: 1 }).getAllMainData("sunstream.acme");
+        assert.equal(result.error.code, CODES.HTTP_STATUS);
+        assert.equal(result.error.details.status, 500);
+        assert.equal(scripted.requests, 2);
+    });
+
+    it("doesn't retry 404", async () => {
+        scripted.steps = [{ status: 404 }];
+        const result = await createClient().getAllMainData("sunstream.acme");
+        assert.equal(result.error.code, CODES.NOT_FOUND);
+        assert.equal(scripted.requests, 1);
+    });
+
+    it("waits as long as Retry-After asks, up to maxRetryDelayMs", async () => {
+        scripted.steps = [{ status: 429, headers: { "Retry-After": "60" } }, ok];
+        const started = Date.now();
+        const result = await createClient({ maxRetryDelayMs: 50 }).getAllMainData("sunstream.acme");
+        const elapsed = Date.now() - started;
+        assert.equal(result.ok, true);
+        assert.ok(elapsed >= 45 && elapsed < 5000, `waited ${elapsed} ms`);
+    });
+
+    it("times out slow attempts", async () => {
+        scripted.steps = [{ ...ok, delayMs: 500 }];
+        const result = await createClient({ timeoutMs: 20, retries: 0 }).getAllMainData("sunstream.acme");
+        assert.equal(result.error.code, CODES.NETWORK);
+        assert.equal(result.error.details.timeout, true);
+        assert.match(result.error.message, /timed out after 20 ms/);
+    });
+
+    it("retries a timed out attempt", async () => {
+        scripted.steps = [{ ...ok, delayMs: 500 }, ok];
+        const result = await createClient({ timeoutMs: 20 }).getAllMainData("sunstream.acme");
+        assert.equal(result.ok, true);
+        assert.equal(scripted.requests, 2);
+    });
+
+    it("rejects with the abort reason, whatever the error mode", async () => {
+        scripted.steps = [{ ...ok, delayMs: 500 }];
+        const client = createClient();
+        const controller = new AbortController();
+        const call = client.getLogoUrl("sunstream.acme", { signal: controller.signal, errorMode: "fallback" });
+        setTimeout(() => controller.abort(new Error("user left")), 20);
+        await assert.rejects(call, /user left/);
+    });
+
+    it("cancels the wait between attempts", async () => {
+        const controller = new AbortController();
+        scripted.steps = [{ ...serverError, onRequest: () => setTimeout(() => controller.abort(), 20) }];
+        const started = Date.now();
+        const call = createClient({ retryDelayMs: 60 * 1000 }).getAllMainData("sunstream.acme", { signal: controller.signal });
+        await assert.rejects(call, { name: "AbortError" });
+        assert.ok(Date.now() - started < 5000);
+        assert.equal(scripted.requests, 1);
+    });
+
+    it("doesn't cache a cancelled request", async () => {
+        scripted.steps = [{ ...ok, delayMs: 500 }, ok];
+        const client = createClient();
+        await assert.rejects(client.getLogoUrl("sunstream.acme", { signal: AbortSignal.timeout(20) }));
+        assert.equal((await client.getLogoUrl("sunstream.acme")).data, "https://example.com/logo.png");
+        assert.equal(scripted.requests, 2);
+    });
+});
+
+describe("request options", () => {
+    it("start from the defaults", () => {
+        assert.deepEqual(new OperateIdClient({ logLevel: "silent" }).getRequestOptions(),
+            { timeoutMs: 10000, retries: 2, retryDelayMs: 500, maxRetryDelayMs: 10000 });
+    });
+
+    it("reject unknown options and bad values", () => {
+        const client = new OperateIdClient({ logLevel: "silent" });
+        assert.throws(() => client.setRequestOptions({ attempts: 3 }), /Unknown request option: attempts/);
+        assert.throws(() => client.setRequestOptions({ retries: -1 }), /retries must be a non-negative number/);
+        assert.throws(() => client.setRequestOptions({ timeoutMs: "5s" }), /timeoutMs must be a non-negative number/);
+    });
+});
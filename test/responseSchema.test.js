@@ -0,0 +1,108 @@
+/**
+ * QobotoResponseSchema - legacy adapters, error locations and schema modes
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { OperateIdClient, OperateIdError, QobotoResponseSchema } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+const CODES = QobotoResponseSchema.ERROR_CODES;
+const MAIN = { name: "main", logoUrl: "https://example.com/logo.png" };
+
+function errorCodes(responseData) {
+    return QobotoResponseSchema.validate(responseData).errors.map(error => error.code);
+}
+
+describe("QobotoResponseSchema", () => {
+    it("accepts the current version as it is", () => {
+        const report = QobotoResponseSchema.validate([MAIN, { name: "footer", footerText: "Hi" }]);
+        assert.deepEqual(report, {
+            valid: true,
+            version: 2,
+            sourceVersion: 2,
+            adaptersApplied: [],
+            data: [MAIN, { name: "footer", footerText: "Hi" }],
+            errors: []
+        });
+    });
+
+    it("upgrades a legacy single object", () => {
+        const report = QobotoResponseSchema.validate({ logoUrl: MAIN.logoUrl });
+        assert.equal(report.valid, true);
+        assert.equal(report.sourceVersion, 1);
+        assert.deepEqual(report.adaptersApplied, ["wrapSingleObject"]);
+        assert.deepEqual(report.data, [MAIN]);
+    });
+
+    it("decodes double-encoded JSON and unwraps envelopes", () => {
+        const report = QobotoResponseSchema.validate(JSON.stringify({ sections: [MAIN] }));
+        assert.equal(report.valid, true);
+        assert.deepEqual(report.adaptersApplied, ["decodeJsonString", "unwrapSectionsEnvelope"]);
+        assert.deepEqual(report.data, [MAIN]);
+    });
+
+    it("reports where each problem is and drops the invalid parts", () => {
+        const report = QobotoResponseSchema.validate([{ name: "main", logoUrl: 5, sectionMain1Description: "Hi" }, "oops"]);
+        assert.equal(report.valid, false);
+        assert.deepEqual(report.errors.map(({ path, code, expected, actual }) => ({ path, code, expected, actual })), [
+            { path: "[0].logoUrl", code: CODES.WRONG_TYPE, expected: "string", actual: "number" },
+            { path: "[1]", code: CODES.ITEM_NOT_OBJECT, expected: "object", actual: "string" }
+        ]);
+        assert.deepEqual(report.data, [{ name: "main", sectionMain1Description: "Hi" }]);
+    });
+
+    it("accepts null and unknown fields", () => {
+        const report = QobotoResponseSchema.validate([{ name: "main", logoUrl: null, rating: 5 }]);
+        assert.equal(report.valid, true);
+        assert.deepEqual(report.data, [{ name: "main", logoUrl: null, rating: 5 }]);
+    });
+
+    it("has an error code for every broken rule", () => {
+        assert.deepEqual(errorCodes(42), [CODES.INVALID_ROOT]);
+        assert.deepEqual(errorCodes("{not json"), [CODES.UNDECODABLE_STRING]);
+        assert.deepEqual(errorCodes([MAIN, { footerText: "Hi" }]), [CODES.MISSING_FIELD]);
+        assert.deepEqual(errorCodes([MAIN, { name: 7 }]), [CODES.WRONG_TYPE]);
+        assert.deepEqual(errorCodes([MAIN, { name: "main" }]), [CODES.DUPLICATE_SECTION]);
+        assert.deepEqual(errorCodes([{ name: "footer" }]), [CODES.MISSING_SECTION]);
+    });
+
+    it("keeps the first of duplicate sections", () => {
+        const report = QobotoResponseSchema.validate([MAIN, { name: "main", logoUrl: "https://example.com/other.png" }]);
+        assert.deepEqual(report.data, [MAIN]);
+    });
+});
+
+describe("schema modes", () => {
+    const invalid = [{ name: "main", logoUrl: 5, sectionMain1Description: "Hi" }];
+
+    function createClient(schemaMode) {
+        const client = new OperateIdClient({ logLevel: "silent", errorMode: "result", schemaMode: schemaMode });
+        client.useStaticData({ "sunstream.acme": invalid });
+        return client;
+    }
+
+    it("lenient mode uses the valid parts and keeps the report", async () => {
+        const client = createClient("lenient");
+        const result = await client.getAllMainData("sunstream.acme");
+        assert.equal(result.ok, true);
+        assert.equal(result.data.sectionMain1Description, "Hi");
+        assert.equal(result.data.sources.logoUrl, "default");
+        assert.deepEqual(client.getValidationReport("sunstream.acme").errors.map(error => error.path), ["[0].logoUrl"]);
+    });
+
+    it("strict mode rejects the whole response", async () => {
+        const result = await createClient("strict").getAllMainData("sunstream.acme");
+        assert.equal(result.ok, false);
+        assert.equal(result.error.code, OperateIdError.CODES.SCHEMA);
+    });
+
+    it("the report is dropped with the cached response", async () => {
+        const client = createClient("lenient");
+        await client.getAllMainData("sunstream.acme");
+        client.clearCache();
+        assert.equal(client.getValidationReport("sunstream.acme"), null);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * SafeHtml - output formats, DOM rendering, and no script URLs or event handlers
+ *
+ *   node --test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { OperateIdClient, SafeHtml } = require(path.join(__dirname, "..", "src", "js", "operateIdAssembly.js"));
+
+/**
+ * Just enough of the DOM for SafeHtml.render(): elements, text nodes and
+ * attributes, with no way to parse markup
+ */
+function createDocument() {
+    const doc = {
+        createTextNode: text => ({ text }),
+        createElement: tag => {
+            const element = {
+                tag,
+                ownerDocument: doc,
+                attributes: {},
+                children: [],
+                setAttribute(name, value) { element.attributes[name] = value; },
+                append(...nodes) { element.children.push(...nodes); },
+                replaceChildren(...nodes) { element.children = nodes; },
+                set textContent(text) { element.children = [{ text }]; }
+            };
+            return element;
+        }
+    };
+    return doc;
+}
+
+describe("SafeHtml", () => {
+    it("drops javascript: links in HTML and Markdown", () => {
+        const html = SafeHtml.toRichHtml('<a href="javascript:alert(1)">one</a> [two](javascript:alert(2)) '
+            + '<a href=" JaVaScRiPt:alert(3)">three</a>');
+        assert.doesNotMatch(html, /javascript:/i);
+        assert.doesNotMatch(html, /<a\b/);
+        assert.match(html, /one/);
+        assert.match(html, /two/);
+    });
+
+    it("keeps http links", () => {
+        const html = SafeHtml.toRichHtml("[site](https://example.com)");
+        assert.match(html, /<a [^>]*href="https:\/\/example\.com"/);
+    });
+
+    it("drops onerror and other event handlers", () => {
+        const html = SafeHtml.toRichHtml('<img src=x onerror="alert(1)"><b onclick="alert(2)">bold</b>');
+        assert.doesNotMatch(html, /onerror|onclick|alert/i);
+        assert.doesNotMatch(html, /<img/i);
+        assert.match(html, /<strong>bold<\/strong>/);
+    });
+
+    it("plain text keeps no markup", () => {
+        const text = SafeHtml.toPlainText('<img src=x onerror="alert(1)">Hello <a href="javascript:alert(2)">there</a>');
+        assert.equal(text, "Hello there");
+    });
+
+    it("escaped text shows tags literally", () => {
+        assert.equal(SafeHtml.escape('<img src=x onerror="alert(1)">'),
+            "&lt;img src=x onerror=&quot;alert(1)&quot;&gt;");
+    });
+
+    it("has four formats and rejects others", () => {
+        const text = "<b>Hi</b> & **you**";
+        assert.equal(SafeHtml.format(text), text);
+        assert.equal(SafeHtml.format(text, "plain"), "Hi & you");
+        assert.equal(SafeHtml.format(text, "escaped"), "&lt;b&gt;Hi&lt;/b&gt; &amp; **you**");
+        assert.equal(SafeHtml.format(text, "rich"), "<strong>Hi</strong> &amp; <strong>you</strong>");
+        assert.equal(SafeHtml.format(null, "rich"), null);
+        assert.throws(() => SafeHtml.format(text, "html"), /html/);
+    });
+
+    it("removes scripts with their content", () => {
+        assert.equal(SafeHtml.toRichHtml("Hi<script>alert(1)</script><style>p{}</style>"), "Hi");
+    });
+});
+
+describe("SafeHtml.render", () => {
+    it("builds rich text from elements and text nodes", () => {
+        const element = createDocument().createElement("div");
+        SafeHtml.render(element, '**Hi** <a href="https://example.com" onclick="x()">site</a>', "rich");
+        const [bold, space, link] = element.children;
+        assert.equal(bold.tag, "strong");
+        assert.deepEqual(bold.children, [{ text: "Hi" }]);
+        assert.deepEqual(space, { text: " " });
+        assert.deepEqual(link.attributes, { href: "https://example.com", rel: "noopener noreferrer nofollow", target: "_blank" });
+    });
+
+    it("puts other formats in a single text node", () => {
+        const element = createDocument().createElement("div");
+        SafeHtml.render(element, "<b>Hi</b>");
+        assert.deepEqual(element.children, [{ text: "Hi" }]);
+        SafeHtml.render(element, "<b>Hi</b>", "escaped");
+        assert.deepEqual(element.children, [{ text: "<b>Hi</b>" }]);
+        SafeHtml.render(element, null);
+        assert.deepEqual(element.children, []);
+    });
+});
+
+describe("description formats", () => {
+    it("getSectionMain1Description converts the API text", async () => {
+        const client = new OperateIdClient({ logLevel: "silent" });
+        client.useStaticData({ "sunstream.acme": [{ name: "main", sectionMain1Description: '<img src=x onerror="alert(1)">Hi' }] });
+        assert.equal(await client.getSectionMain1Description("sunstream.acme"), '<img src=x onerror="alert(1)">Hi');
+        assert.equal(await client.getSectionMain1Description("sunstream.acme", { format: "plain" }), "Hi");
+        assert.equal(await client.getSectionMain1Description("sunstream.acme", { format: "rich" }), "Hi");
+    });
+});